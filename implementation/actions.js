@@ -0,0 +1,179 @@
+/**
+ * VSDL - Delegated action registry
+ *
+ * A delegation token's `actions` claim names what the delegate may do.
+ * Each action is registered here with a payload schema and a handler;
+ * the gateway (POST /api/delegate/:token/actions/:action) only runs
+ * actions that are both registered and listed in the token.
+ *
+ * Payload schema: { field: { type, required, enum, pattern, maxLength, min, max } }
+ * with type one of 'string' | 'number' | 'boolean' (the rules of
+ * validation.js). Unknown fields are rejected.
+ *
+ * Handlers receive { payload, visibleRecord, citizenId, tokenId } and
+ * return a JSON-serializable result. They only ever see the fields the
+ * policy makes visible.
+ *
+ * The gateway parses action bodies up to PAYLOAD_LIMIT, which must hold
+ * the largest payload a schema allows (upload_photo).
+ */
+
+const crypto = require('crypto');
+const { isWithin } = require('./merkle');
+const { validate } = require('./validation');
+
+const registry = new Map();
+
+// Request body limit of the action gateway (express.json `limit`)
+const PAYLOAD_LIMIT = '2mb';
+const MAX_PHOTO_LENGTH = 2000000;
+
+/**
+ * Register (or replace) an action
+ *
+ * @param {string} name - Action identifier used in policies and tokens
+ * @param {Object} definition - { description, schema, handler }
+ */
+function registerAction(name, { description, schema = {}, handler }) {
+  if (typeof handler !== 'function') {
+    throw new Error(`Action ${name} needs a handler`);
+  }
+  registry.set(name, { name, description, schema, handler });
+}
+
+/**
+ * Look up a registered action
+ */
+function getAction(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Registered actions, without their handlers
+ */
+function listActions() {
+  return [...registry.values()].map(({ name, description, schema }) => ({ name, description, schema }));
+}
+
+/**
+ * Validate a payload against an action schema (see validation.js)
+ *
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+function validatePayload(schema, payload) {
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return ['Payload must be a JSON object'];
+  }
+  return validate(schema, payload).map(problem => problem.message);
+}
+
+/**
+ * Reference number for a submitted request
+ */
+function referenceId(prefix) {
+  return `${prefix}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Handler returning the visible fields it names, including visible paths
+ * below them (a policy may show taxRecords.taxPaid but not taxRecords)
+ */
+function viewFields(...fields) {
+  return ({ visibleRecord }) => ({
+    fields: Object.fromEntries(Object.entries(visibleRecord).filter(([path]) => fields.some(f => isWithin(path, f))))
+  });
+}
+
+// Built-in actions used by the predefined policies
+
+registerAction('view_id_info', {
+  description: 'View identity fields for ID renewal',
+  handler: viewFields('name', 'nationalId', 'dateOfBirth', 'address')
+});
+
+registerAction('submit_renewal_application', {
+  description: 'Submit a national ID renewal application',
+  schema: {
+    deliveryMethod: { type: 'string', required: true, enum: ['pickup', 'courier'] },
+    notes: { type: 'string', maxLength: 500 }
+  },
+  handler: ({ payload }) => ({
+    referenceId: referenceId('REN'),
+    status: 'submitted',
+    deliveryMethod: payload.deliveryMethod
+  })
+});
+
+registerAction('upload_photo', {
+  description: 'Upload an ID photo (base64 JPEG)',
+  schema: {
+    photo: { type: 'string', required: true, pattern: '^[A-Za-z0-9+/=]+$', maxLength: MAX_PHOTO_LENGTH }
+  },
+  handler: ({ payload }) => ({
+    referenceId: referenceId('PHO'),
+    status: 'received',
+    sha256: crypto.createHash('sha256').update(payload.photo).digest('hex')
+  })
+});
+
+registerAction('view_tax_info', {
+  description: 'View tax records',
+  handler: viewFields('name', 'nationalId', 'taxRecords')
+});
+
+registerAction('submit_tax_return', {
+  description: 'Submit an annual tax return',
+  schema: {
+    taxYear: { type: 'number', required: true, min: 2000, max: 2100 },
+    declaredIncome: { type: 'number', required: true, min: 0 }
+  },
+  handler: ({ payload }) => ({
+    referenceId: referenceId('TAX'),
+    status: 'submitted',
+    taxYear: payload.taxYear
+  })
+});
+
+registerAction('download_tax_certificate', {
+  description: 'Download a tax compliance certificate',
+  schema: {
+    taxYear: { type: 'number', required: true, min: 2000, max: 2100 }
+  },
+  handler: ({ payload }) => ({
+    referenceId: referenceId('CRT'),
+    taxYear: payload.taxYear,
+    status: 'issued'
+  })
+});
+
+registerAction('view_medical_info', {
+  description: 'View medical history',
+  handler: viewFields('name', 'dateOfBirth', 'medicalHistory')
+});
+
+registerAction('book_appointment', {
+  description: 'Book a medical appointment',
+  schema: {
+    clinic: { type: 'string', required: true, maxLength: 200 },
+    date: { type: 'string', required: true, pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
+  },
+  handler: ({ payload }) => ({
+    referenceId: referenceId('APT'),
+    status: 'booked',
+    clinic: payload.clinic,
+    date: payload.date
+  })
+});
+
+registerAction('view_prescriptions', {
+  description: 'View active prescriptions',
+  handler: () => ({ prescriptions: [] })
+});
+
+module.exports = {
+  PAYLOAD_LIMIT,
+  registerAction,
+  getAction,
+  listActions,
+  validatePayload
+};
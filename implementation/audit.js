@@ -0,0 +1,167 @@
+/**
+ * VSDL - Tamper-evident audit log
+ *
+ * Every token creation, delegate access, delegated action, verification
+ * and revocation is appended to the owner's audit chain. Each citizen has
+ * their own hash chain, so an owner can check theirs end to end:
+ *
+ *   hash_i = SHA-256( [seq_i, at_i, event_i, citizenId, jti_i, ipHash_i,
+ *                      fields_i, detail_i, hash_{i-1}] )
+ *   hash_0's predecessor = 00..00
+ *
+ * Client IPs are stored only as HMAC-SHA256(salt, ip). The salt must be
+ * secret: with a known one, every IPv4 hash can be reversed by trying all
+ * 2^32 addresses. It comes from VSDL_AUDIT_SALT, or is generated on first
+ * run and kept next to the file store (loadAuditSalt).
+ *
+ * Usage: node audit.js verify <file>
+ *   <file> is a saved GET /api/audit/:citizenId response or an array of
+ *   entries. Exits non-zero if the chain is broken.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Hash of an entry over every field except `hash` itself
+ */
+function entryHash(entry) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([
+      entry.seq,
+      entry.at,
+      entry.event,
+      entry.citizenId,
+      entry.jti,
+      entry.ipHash,
+      entry.fields,
+      entry.detail,
+      entry.prevHash
+    ]))
+    .digest('hex');
+}
+
+/**
+ * Verify a citizen's chain
+ *
+ * @param {Object[]} entries - Entries in order
+ * @returns {Object} { valid, length, head, brokenAt, reason }
+ */
+function verifyChain(entries) {
+  let prevHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const broken = reason => ({ valid: false, length: entries.length, head: null, brokenAt: i, reason });
+
+    if (entry.seq !== i) {
+      return broken(`Expected seq ${i}, found ${entry.seq}`);
+    }
+    if (entry.prevHash !== prevHash) {
+      return broken('prevHash does not match the previous entry');
+    }
+    if (entry.hash !== entryHash(entry)) {
+      return broken('Entry hash does not match its contents');
+    }
+
+    prevHash = entry.hash;
+  }
+
+  return { valid: true, length: entries.length, head: prevHash, brokenAt: null, reason: null };
+}
+
+/**
+ * Secret salt for client IP hashes
+ *
+ * @param {string} [salt] - Configured salt (VSDL_AUDIT_SALT), used as is
+ * @param {string} [saltFile] - Where a generated salt is kept across
+ *   restarts; without one the salt lasts as long as the process
+ * @returns {string}
+ */
+function loadAuditSalt(salt, saltFile) {
+  if (salt) {
+    return salt;
+  }
+  if (!saltFile) {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  if (!fs.existsSync(saltFile)) {
+    fs.writeFileSync(saltFile, crypto.randomBytes(32).toString('hex') + '\n', { mode: 0o600 });
+  }
+  return fs.readFileSync(saltFile, 'utf8').trim();
+}
+
+/**
+ * Audit log over a storage adapter
+ *
+ * @param {Object} storage - Adapter with appendAuditEntry / listAuditEntries
+ * @param {Object} options - { salt }: secret for hashing client IPs (see loadAuditSalt)
+ */
+function createAuditLog(storage, { salt } = {}) {
+  if (!salt) {
+    throw new Error('The audit log needs a secret salt to hash client IPs');
+  }
+  const hashIp = ip => (ip ? crypto.createHmac('sha256', salt).update(ip).digest('hex') : null);
+
+  return {
+    /**
+     * Append an event to the citizen's chain
+     *
+     * @param {string} event - e.g. 'token.created', 'delegate.access'
+     * @param {Object} data - { citizenId, jti, ip, fields, detail }
+     */
+    record(event, { citizenId, jti = null, ip = null, fields = [], detail = {} }) {
+      const previous = storage.listAuditEntries(citizenId);
+      const last = previous[previous.length - 1];
+
+      const entry = {
+        seq: previous.length,
+        at: new Date().toISOString(),
+        event,
+        citizenId,
+        jti,
+        ipHash: hashIp(ip),
+        fields: [...fields],
+        detail,
+        prevHash: last ? last.hash : GENESIS_HASH
+      };
+      entry.hash = entryHash(entry);
+
+      storage.appendAuditEntry(entry);
+      return entry;
+    },
+
+    entries: citizenId => storage.listAuditEntries(citizenId)
+  };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  createAuditLog,
+  loadAuditSalt,
+  entryHash,
+  verifyChain
+};
+
+if (require.main === module) {
+  const [command, file] = process.argv.slice(2);
+
+  if (command !== 'verify' || !file) {
+    console.log('Usage: node audit.js verify <file>');
+    process.exit(1);
+  }
+
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Array.isArray(saved) ? saved : saved.data.entries;
+  const result = verifyChain(entries);
+
+  if (result.valid) {
+    console.log(`Chain OK: ${result.length} entries, head ${result.head}`);
+  } else {
+    console.log(`Chain BROKEN at entry ${result.brokenAt}: ${result.reason}`);
+    process.exitCode = 1;
+  }
+}
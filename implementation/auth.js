@@ -0,0 +1,156 @@
+/**
+ * VSDL - Owner authentication
+ *
+ * Owners sign in before they can register keys, define policies, issue
+ * or revoke tokens, or read their audit trail. Two methods:
+ *
+ * - password:  username + password, stored as scrypt(password, salt)
+ * - challenge: WebAuthn-style. The server issues a random single-use
+ *   challenge and the owner signs it with their registered owner key
+ *   (owner.signChallenge), so the key on the owner's device acts as the
+ *   authenticator.
+ *
+ * Either method yields a session: a random bearer token sent as
+ * `Authorization: Bearer <token>`, held in memory and expiring after
+ * `sessionTtl` seconds. Each session also has a public sessionId that
+ * drafts are bound to.
+ */
+
+const crypto = require('crypto');
+const ownerSig = require('./owner');
+
+const SCRYPT_KEYLEN = 32;
+
+/**
+ * Hash a password for storage
+ *
+ * @returns {Object} { algorithm, salt, hash } (hex)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return {
+    algorithm: 'scrypt',
+    salt: salt.toString('hex'),
+    hash: crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex')
+  };
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+function verifyPassword(password, stored) {
+  const expected = Buffer.from(stored.hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(stored.salt, 'hex'), SCRYPT_KEYLEN);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Compared against for unknown usernames, so they take as long as wrong passwords
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Owner authentication over a storage adapter
+ *
+ * @param {Object} storage - Adapter with getCredential / putCredential / getOwnerKey
+ * @param {Object} [options] - { sessionTtl, challengeTtl } in seconds
+ */
+function createAuth(storage, { sessionTtl = 1800, challengeTtl = 120 } = {}) {
+  const sessions = new Map();
+  const challenges = new Map();
+
+  const startSession = (citizenId, method) => {
+    const session = {
+      sessionId: crypto.randomBytes(8).toString('hex'),
+      token: crypto.randomBytes(32).toString('base64url'),
+      citizenId,
+      method,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + sessionTtl * 1000
+    };
+    sessions.set(session.token, session);
+    return { ...session };
+  };
+
+  return {
+    /**
+     * Create or replace a password credential for a citizen
+     */
+    setPassword(username, citizenId, password) {
+      storage.putCredential(username, { username, citizenId, password: hashPassword(password) });
+    },
+
+    /**
+     * Sign in with username and password
+     *
+     * @returns {Object|null} Session, or null if the credentials are wrong
+     */
+    loginWithPassword(username, password) {
+      const credential = typeof username === 'string' ? storage.getCredential(username) : null;
+      if (typeof password !== 'string') {
+        return null;
+      }
+      const ok = verifyPassword(password, credential ? credential.password : DUMMY_HASH);
+      return ok && credential ? startSession(credential.citizenId, 'password') : null;
+    },
+
+    /**
+     * Issue a sign-in challenge for a citizen with a registered owner key
+     *
+     * @returns {Object|null} { challengeId, challenge, expiresAt }, or null if no key
+     */
+    createChallenge(citizenId) {
+      if (!storage.getOwnerKey(citizenId)) {
+        return null;
+      }
+      const challenge = {
+        challengeId: crypto.randomBytes(8).toString('hex'),
+        challenge: crypto.randomBytes(32).toString('hex'),
+        citizenId,
+        expiresAt: Date.now() + challengeTtl * 1000
+      };
+      challenges.set(challenge.challengeId, challenge);
+      return { challengeId: challenge.challengeId, challenge: challenge.challenge, expiresAt: challenge.expiresAt };
+    },
+
+    /**
+     * Sign in by answering a challenge (each challenge can be answered once)
+     *
+     * @returns {Object|null} Session, or null if the answer is not valid
+     */
+    loginWithChallenge(challengeId, signature) {
+      const challenge = challenges.get(challengeId);
+      challenges.delete(challengeId);
+      if (!challenge || challenge.expiresAt <= Date.now()) {
+        return null;
+      }
+
+      const publicKey = storage.getOwnerKey(challenge.citizenId);
+      if (!publicKey || !ownerSig.verifyChallenge(publicKey, challenge, signature)) {
+        return null;
+      }
+      return startSession(challenge.citizenId, 'challenge');
+    },
+
+    /**
+     * Look up a live session by its bearer token
+     */
+    getSession(token) {
+      const session = sessions.get(token);
+      if (!session) {
+        return null;
+      }
+      if (session.expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return null;
+      }
+      return { ...session };
+    },
+
+    endSession: token => sessions.delete(token)
+  };
+}
+
+module.exports = {
+  createAuth,
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,163 @@
+/**
+ * VSDL - Commitment benchmarks
+ *
+ * Compares the straightforward way (a full scalar multiplication per
+ * generator and field, affine point additions, one partition at a time)
+ * with the fixed-base tables and multi-scalar multiplication used by
+ * pedersen.js (see msm.js).
+ *
+ * Usage: npm run bench [-- <fields>]   (default 100 fields per record)
+ *        VSDL_BENCH_MS sets the time spent on each measurement (default 1000)
+ *        VSDL_BENCH_CURVE picks the group (secp256k1, P-256, ristretto255)
+ */
+
+const BN = require('bn.js');
+const pedersen = require('./pedersen').forCurve(process.env.VSDL_BENCH_CURVE);
+const msm = require('./msm');
+
+const { G, H, J } = pedersen;
+const FIELDS = parseInt(process.argv[2], 10) || 100;
+const BUDGET_MS = parseInt(process.env.VSDL_BENCH_MS, 10) || 1000;
+const PARTITIONS = 50;
+const MSM_POINTS = 64;
+
+/**
+ * Operations per second of fn over the time budget (after one warm-up run)
+ */
+function opsPerSec(fn) {
+  fn();
+  let runs = 0;
+  const started = process.hrtime.bigint();
+  let elapsed = 0;
+  while (elapsed < BUDGET_MS || runs === 0) {
+    fn();
+    runs++;
+    elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+  }
+  return runs / (elapsed / 1000);
+}
+
+// Before: the commitment code as it was, one field and one point at a time
+
+function fieldMessage(fieldName, value) {
+  return pedersen.encodeScalar(value) || pedersen.hashToScalar(`${fieldName}||${value}`);
+}
+
+function naiveCommit(fieldName, value, r) {
+  return G.mul(fieldMessage(fieldName, value)).add(H.mul(r)).add(J.mul(pedersen.hashFieldName(fieldName)));
+}
+
+function naiveSum(points) {
+  return points.slice(1).reduce((sum, p) => sum.add(p), points[0]);
+}
+
+function naiveCommitRecord(record, randomness) {
+  return naiveSum(Object.entries(record).map(([f, v]) => naiveCommit(f, String(v), randomness[f])));
+}
+
+function naiveRecompute(openings) {
+  return naiveSum(openings.map(o => naiveCommit(o.fieldName, o.value, new BN(o.randomness, 16))));
+}
+
+// Tables are built on first use
+const started = Date.now();
+pedersen.mulBase('G', new BN(1));
+const tableMs = Date.now() - started;
+
+// Sample data
+
+const record = {};
+const randomness = {};
+for (let i = 0; i < FIELDS; i++) {
+  record[`field${i}`] = i % 3 === 0 ? 1000 + i : `value of field ${i}`;
+  randomness[`field${i}`] = pedersen.randomScalar();
+}
+const openings = Object.entries(record).map(([fieldName, value]) => ({
+  fieldName,
+  value,
+  randomness: pedersen.serializeBN(randomness[fieldName])
+}));
+
+const msmPoints = [];
+const msmScalars = [];
+for (let i = 0; i < MSM_POINTS; i++) {
+  msmPoints.push(pedersen.mulBase('G', pedersen.randomScalar()));
+  msmScalars.push(pedersen.randomScalar());
+}
+
+// Partitions of 10-field records: 4 hidden, 6 visible (openings)
+const partitions = [];
+for (let i = 0; i < PARTITIONS; i++) {
+  const sample = {};
+  for (let f = 0; f < 10; f++) {
+    sample[`f${f}`] = `record ${i} field ${f}`;
+  }
+  const { recordCommitment, fieldCommitments } = pedersen.commitRecord(sample);
+  const names = Object.keys(sample);
+  partitions.push({
+    C_D: recordCommitment,
+    C_H: pedersen.computeSubsetCommitment(fieldCommitments, names.slice(0, 4)).commitment,
+    openings: names.slice(4).map(f => ({
+      fieldName: f,
+      value: sample[f],
+      randomness: pedersen.serializeBN(fieldCommitments[f].randomness)
+    }))
+  });
+}
+
+// Both sides must agree before they are timed
+
+const checks = [
+  naiveCommitRecord(record, randomness).eq(pedersen.commitRecord(record, randomness).recordCommitment),
+  naiveRecompute(openings).eq(pedersen.recomputeCommitment(openings).commitment),
+  naiveSum(msmPoints.map((p, i) => p.mul(msmScalars[i]))).eq(msm.multiScalarMul(msmPoints, msmScalars)),
+  pedersen.batchVerifyPartitions(partitions).valid,
+  !pedersen.batchVerifyPartitions([...partitions, { ...partitions[0], C_H: partitions[1].C_H }]).valid
+];
+if (!checks.every(Boolean)) {
+  console.error('Benchmark self-check failed:', checks);
+  process.exit(1);
+}
+
+const cases = [
+  {
+    name: 'commit one field',
+    before: () => naiveCommit('name', 'Ahmed Ali Mohammed', randomness.field0),
+    after: () => pedersen.commitField('name', 'Ahmed Ali Mohammed', randomness.field0)
+  },
+  {
+    name: `commit record (${FIELDS} fields)`,
+    before: () => naiveCommitRecord(record, randomness),
+    after: () => pedersen.commitRecord(record, randomness)
+  },
+  {
+    name: `recompute C_F (${FIELDS} openings)`,
+    before: () => naiveRecompute(openings),
+    after: () => pedersen.recomputeCommitment(openings)
+  },
+  {
+    name: `Σ k_i·P_i (${MSM_POINTS} points)`,
+    before: () => naiveSum(msmPoints.map((p, i) => p.mul(msmScalars[i]))),
+    after: () => msm.multiScalarMul(msmPoints, msmScalars)
+  },
+  {
+    name: `verify ${PARTITIONS} partitions`,
+    before: () => partitions.every(p => pedersen.verifyPartition(p.C_D, p.C_H, naiveRecompute(p.openings)).valid),
+    after: () => pedersen.batchVerifyPartitions(partitions).valid
+  }
+];
+
+console.log(`VSDL commitment benchmark on ${pedersen.curve} (${BUDGET_MS} ms per measurement)`);
+console.log(`Fixed-base tables for G, H, J built once in ${tableMs} ms\n`);
+console.log('case'.padEnd(34) + 'before ops/s'.padStart(14) + 'after ops/s'.padStart(14) + 'speedup'.padStart(10));
+
+for (const { name, before, after } of cases) {
+  const slow = opsPerSec(before);
+  const fast = opsPerSec(after);
+  console.log(
+    name.padEnd(34) +
+    slow.toFixed(1).padStart(14) +
+    fast.toFixed(1).padStart(14) +
+    `${(fast / slow).toFixed(1)}x`.padStart(10)
+  );
+}
@@ -0,0 +1,50 @@
+/**
+ * VSDL - Browser replacement for the parts of Node's `crypto` module
+ * used by pedersen.js and verifier.js
+ *
+ * Only loaded by the browser bundle (see bundle.js). SHA-256 and SHA-512
+ * (for ristretto255, see group.js) come from hash.js (already a dependency
+ * of elliptic), randomness from WebCrypto.
+ */
+
+const hash = require('hash.js');
+
+const ALGORITHMS = {
+  sha256: hash.sha256,
+  sha512: hash.sha512
+};
+
+/**
+ * Minimal createHash('sha256' | 'sha512') with update()/digest() chaining
+ */
+function createHash(algorithm) {
+  if (!ALGORITHMS[algorithm]) {
+    throw new Error('Unsupported hash algorithm: ' + algorithm);
+  }
+
+  const h = ALGORITHMS[algorithm]();
+
+  return {
+    update(data) {
+      h.update(data);
+      return this;
+    },
+    digest(encoding) {
+      return encoding === 'hex' ? h.digest('hex') : new Uint8Array(h.digest());
+    }
+  };
+}
+
+/**
+ * Cryptographically secure random bytes from WebCrypto
+ */
+function randomBytes(size) {
+  const bytes = new Uint8Array(size);
+  self.crypto.getRandomValues(bytes);
+  return bytes;
+}
+
+module.exports = {
+  createHash,
+  randomBytes
+};
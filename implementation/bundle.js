@@ -0,0 +1,146 @@
+/**
+ * VSDL - Minimal CommonJS bundler for the browser verifier
+ *
+ * Walks the require() graph of an entry module (including elliptic and
+ * bn.js from node_modules) and emits a single script that exposes the
+ * entry's exports as a global. Honors package.json "browser" fields and
+ * swaps Node's `crypto` for browser-crypto.js.
+ *
+ * Kept deliberately small: static require('...') calls only, no
+ * transpilation, no minification. `fs` and `path`, used only by the
+ * command-line parts of modules, bundle as empty modules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BROWSER_BUILTINS = {
+  crypto: path.join(__dirname, 'browser-crypto.js')
+};
+
+const EMPTY_MODULE = '<empty>';
+const NODE_ONLY = ['fs', 'path'];
+
+/**
+ * Find the package.json that owns a file
+ */
+function findPackage(file) {
+  let dir = path.dirname(file);
+  while (dir !== path.dirname(dir)) {
+    const pkgPath = path.join(dir, 'package.json');
+    if (fs.existsSync(pkgPath)) {
+      return { dir, json: JSON.parse(fs.readFileSync(pkgPath, 'utf8')) };
+    }
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+/**
+ * Resolve a file path the way Node does (exact, .js, .json, index.js)
+ */
+function resolveFile(base) {
+  const candidates = [base, base + '.js', base + '.json', path.join(base, 'index.js')];
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+      return candidate;
+    }
+  }
+  throw new Error('bundle: cannot resolve ' + base);
+}
+
+/**
+ * Resolve a require() specifier from a given file
+ */
+function resolve(spec, fromFile) {
+  const pkg = findPackage(fromFile);
+  const browserMap = pkg && typeof pkg.json.browser === 'object' ? pkg.json.browser : {};
+
+  if (browserMap[spec] === false || NODE_ONLY.includes(spec)) {
+    return EMPTY_MODULE;
+  }
+  if (BROWSER_BUILTINS[spec]) {
+    return BROWSER_BUILTINS[spec];
+  }
+
+  if (spec.startsWith('.')) {
+    return resolveFile(path.resolve(path.dirname(fromFile), spec));
+  }
+
+  const pkgJsonPath = require.resolve(spec + '/package.json', { paths: [path.dirname(fromFile)] });
+  const pkgDir = path.dirname(pkgJsonPath);
+  const pkgJson = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf8'));
+  const main = typeof pkgJson.browser === 'string' ? pkgJson.browser : (pkgJson.main || 'index.js');
+  return resolveFile(path.resolve(pkgDir, main));
+}
+
+/**
+ * Build a browser bundle exposing `entry`'s exports as `globalName`
+ *
+ * @param {string} entry - Absolute path of the entry module
+ * @param {string} globalName - Global variable to assign
+ * @returns {string} Bundle source
+ */
+function bundle(entry, globalName) {
+  const ids = new Map();
+  const modules = [];
+
+  function add(file) {
+    if (ids.has(file)) {
+      return ids.get(file);
+    }
+
+    const id = modules.length;
+    ids.set(file, id);
+    modules.push(null);
+
+    let body;
+    const deps = {};
+
+    if (file === EMPTY_MODULE) {
+      body = '';
+    } else if (file.endsWith('.json')) {
+      body = 'module.exports = ' + fs.readFileSync(file, 'utf8') + ';';
+    } else {
+      body = fs.readFileSync(file, 'utf8');
+      const requireRe = /require\(\s*['"]([^'"]+)['"]\s*\)/g;
+      let match;
+      while ((match = requireRe.exec(body)) !== null) {
+        const spec = match[1];
+        if (!(spec in deps)) {
+          deps[spec] = add(resolve(spec, file));
+        }
+      }
+    }
+
+    modules[id] = '[function (module, exports, require) {\n' + body + '\n}, ' + JSON.stringify(deps) + ']';
+    return id;
+  }
+
+  add(entry);
+
+  return [
+    '(function (root) {',
+    '  var modules = [',
+    modules.join(',\n'),
+    '  ];',
+    '  var cache = {};',
+    '  function load(id) {',
+    '    if (cache[id]) return cache[id].exports;',
+    '    var module = cache[id] = { exports: {} };',
+    '    var deps = modules[id][1];',
+    '    modules[id][0].call(module.exports, module, module.exports, function (spec) {',
+    '      if (!(spec in deps)) throw new Error("Module not bundled: " + spec);',
+    '      return load(deps[spec]);',
+    '    });',
+    '    return module.exports;',
+    '  }',
+    '  root.' + globalName + ' = load(0);',
+    '})(typeof self !== "undefined" ? self : this);',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  bundle
+};
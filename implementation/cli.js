@@ -0,0 +1,600 @@
+#!/usr/bin/env node
+/**
+ * VSDL - Command-line tool for owners and delegates
+ *
+ * Drives the protocol without the web page. commit, verify and generators
+ * run locally on pedersen.js and verifier.js; token create and fetch talk
+ * to a server.
+ *
+ * Usage: vsdl <command> [options]   (node cli.js, or `vsdl` after npm link)
+ *
+ *   commit <record.json> [--curve c] [--record-id id]
+ *       Commit to a record: C_D, the field tree root and every opening
+ *   token create --policy <id> --key <owner key> [--citizen <id> | --user <name>]
+ *                [--curve c] [--expires-in s] [--delegate-key <pem>] [--on-behalf-of <id>] [--yes]
+ *       Sign in with the owner key (or as --user, password from
+ *       VSDL_PASSWORD), show what the link discloses, sign C_D and print
+ *       the delegation link. With --on-behalf-of, a guardian signs in as
+ *       themselves and issues the link for their ward's record
+ *   fetch <url> [--owner-key <key>] [--explain] [--dpop-key <pem>] [--save <file>]
+ *       Open a delegation link (counts one use) and verify the response
+ *       against the server's JWKS and revocation list
+ *   verify <proof.json> [--owner-key <key>] [--token <jwt|url>] [--jwks <file|url>]
+ *          [--revocations <file|url>] [--insecure]
+ *       Verify a saved delegate response (fetch --save), a bare proof, or an
+ *       SD-JWT / presentation (GET /api/delegate/:token?format=sd-jwt|vp).
+ *       The token signature is checked against --jwks, or the JWKS and
+ *       revocation list of the server in a --token link; --insecure skips it
+ *   generators [--curve c]
+ *       Generators g, h, j of a curve and how h and j were derived
+ *
+ *   --json          JSON instead of text
+ *   --server <url>  Server of token create (VSDL_SERVER, default http://localhost:3000)
+ *
+ * The owner key is 64 hex chars, or a file holding them (or owner.js
+ * generateKeyPair() JSON); VSDL_OWNER_KEY is used when --key is absent.
+ * --owner-key is the owner's public key, obtained from the owner and not
+ * from the server; without it a response does not verify.
+ *
+ * Exit codes: 0 success, 1 verification failed, 2 usage or request error.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline/promises');
+const { parseArgs } = require('util');
+const pedersen = require('./pedersen');
+const merkle = require('./merkle');
+const owner = require('./owner');
+const dpop = require('./dpop');
+const { FIELD_DOMAIN } = require('./encoding');
+const { createRegistry } = require('./registry');
+const { readCredential, tokenFromUrl, verifyDelegation } = require('./verifier');
+
+const DEFAULT_SERVER = 'http://localhost:3000';
+
+const EXIT_INVALID = 1;
+const EXIT_ERROR = 2;
+
+/**
+ * An error the user can act on: printed without a stack trace
+ */
+class CliError extends Error {}
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean' },
+  server: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Input and HTTP helpers
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new CliError(`Cannot read ${file}: ${err.code || err.message}`);
+  }
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(readText(file));
+  } catch (err) {
+    throw err instanceof CliError ? err : new CliError(`${file} is not JSON: ${err.message}`);
+  }
+}
+
+/**
+ * JSON from a URL or a file
+ */
+async function load(source) {
+  return /^https?:\/\//.test(source) ? request('GET', source) : readJson(source);
+}
+
+/**
+ * Revocation list JWT from a URL, a saved GET /api/revocations response,
+ * or a file holding the JWT
+ */
+async function revocationList(source) {
+  if (/^https?:\/\//.test(source)) {
+    return (await request('GET', source)).data.revocationList;
+  }
+  const text = readText(source).trim();
+  return text.startsWith('{') ? JSON.parse(text).data.revocationList : text;
+}
+
+/**
+ * Call the server; error responses become a CliError with their code
+ */
+async function request(method, url, { body, session, headers = {} } = {}) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+        ...(session ? { authorization: `Bearer ${session}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  } catch (err) {
+    throw new CliError(`Cannot reach ${url}: ${err.cause ? err.cause.code || err.cause.message : err.message}`);
+  }
+
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    // not JSON; reported below if the status is an error
+  }
+
+  if (!res.ok || (json && json.success === false)) {
+    const reason = json && json.error
+      ? `${json.code || res.status}: ${json.error}${json.details ? ` (${[].concat(json.details).join('; ')})` : ''}`
+      : `HTTP ${res.status}`;
+    // delegation tokens in the path are shortened
+    const path = new URL(url).pathname.replace(/[^/]{40,}/g, segment => `${segment.slice(0, 12)}...`);
+    throw new CliError(`${method} ${path}: ${reason}`);
+  }
+  return json;
+}
+
+/**
+ * Owner private key from --key, a file, or VSDL_OWNER_KEY
+ */
+function ownerKey(value = process.env.VSDL_OWNER_KEY) {
+  if (!value) {
+    throw new CliError('Need the owner key: --key <file|hex> or VSDL_OWNER_KEY');
+  }
+  let key = value.trim();
+  if (!/^[0-9a-fA-F]{64}$/.test(key)) {
+    key = readText(value).trim();
+    if (key.startsWith('{')) {
+      key = JSON.parse(key).privateKey || '';
+    }
+  }
+  if (!/^[0-9a-fA-F]{64}$/.test(key)) {
+    throw new CliError('The owner key must be 64 hex characters');
+  }
+  return key.toLowerCase();
+}
+
+/**
+ * Expected owner public key from --owner-key: hex, or a file holding it
+ * (or owner.js generateKeyPair() JSON)
+ */
+function ownerPublicKey(value) {
+  let key = value.trim();
+  if (!/^[0-9a-fA-F]+$/.test(key)) {
+    key = readText(value).trim();
+    if (key.startsWith('{')) {
+      key = JSON.parse(key).publicKey || '';
+    }
+  }
+  if (!owner.isPublicKey(key)) {
+    throw new CliError('--owner-key must be a secp256k1 public key in hex');
+  }
+  return key;
+}
+
+/**
+ * P-256 key (PKCS#8 PEM) for DPoP or token binding
+ */
+function delegateKey(file) {
+  try {
+    const privateKey = crypto.createPrivateKey(readText(file));
+    return { privateKey, publicJwk: crypto.createPublicKey(privateKey).export({ format: 'jwk' }) };
+  } catch (err) {
+    throw err instanceof CliError ? err : new CliError(`${file} is not a PEM private key: ${err.message}`);
+  }
+}
+
+/**
+ * Ask a yes/no question on the terminal
+ */
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    throw new CliError('Not a terminal: pass --yes to consent');
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Commitment functions of a curve named on the command line
+ */
+function curveOf(name = pedersen.DEFAULT_CURVE) {
+  if (!pedersen.CURVES.includes(name)) {
+    throw new CliError(`Unknown curve ${name} (${pedersen.CURVES.join(', ')})`);
+  }
+  return pedersen.forCurve(name);
+}
+
+function show(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Text lines of a verifyDelegation() result
+ */
+function describeResult(result, filteredRecord) {
+  const lines = [];
+  if (filteredRecord) {
+    lines.push('Filtered record:');
+    for (const [field, value] of Object.entries(filteredRecord)) {
+      lines.push(`  ${field}: ${show(value)}`);
+    }
+  }
+  lines.push('Checks:');
+  for (const c of result.checks) {
+    lines.push(`  ${c.passed ? 'PASS' : 'FAIL'}  ${c.name.padEnd(18)} ${c.detail}`);
+  }
+  if (result.predicates.length > 0) {
+    lines.push('Proven facts:');
+    for (const p of result.predicates) {
+      lines.push(`  ${p.verified ? (p.holds ? 'TRUE ' : 'FALSE') : '???  '} ${p.description}${p.verified ? '' : ' (not proven)'}`);
+    }
+  }
+  lines.push(`Result: ${result.valid ? 'VALID' : 'INVALID'}`);
+  return lines;
+}
+
+// Commands: each returns { output, lines, exitCode? }
+
+const COMMANDS = {};
+
+COMMANDS.commit = {
+  usage: 'commit <record.json> [--curve c] [--record-id id]',
+  options: {
+    curve: { type: 'string' },
+    'record-id': { type: 'string' }
+  },
+  async run([file], options) {
+    if (!file) {
+      throw new CliError('Missing <record.json>');
+    }
+    const record = readJson(file);
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      throw new CliError(`${file} must hold a JSON object`);
+    }
+
+    const curve = curveOf(options.curve);
+    const recordId = options['record-id'] || crypto.randomBytes(8).toString('hex');
+    // Integer and date fields of the citizen schema are committed as scalars
+    const types = createRegistry().scalarFields(record);
+    const result = merkle.commitRecord(record, {}, curve.curve, { recordId, encoding: FIELD_DOMAIN, types });
+
+    const output = {
+      curve: curve.curve,
+      encoding: FIELD_DOMAIN,
+      recordId,
+      recordCommitment: curve.group.encode(result.recordCommitment),
+      fieldRoot: result.fieldRoot,
+      openings: Object.values(result.fieldCommitments).map(fc => ({
+        fieldName: fc.fieldName,
+        value: fc.value,
+        randomness: pedersen.serializeBN(fc.randomness),
+        ...(fc.type ? { type: fc.type } : {}),
+        commitment: curve.group.encode(fc.commitment)
+      }))
+    };
+
+    const width = Math.max(...output.openings.map(o => o.fieldName.length));
+    return {
+      output,
+      lines: [
+        `Curve:      ${output.curve}`,
+        `Encoding:   ${FIELD_DOMAIN}, record id ${recordId}`,
+        `C_D:        ${output.recordCommitment}`,
+        `Field root: ${output.fieldRoot}`,
+        `Fields (${output.openings.length}):`,
+        ...output.openings.map(o => `  ${o.fieldName.padEnd(width)}  ${o.commitment}`),
+        'Openings (randomness) are in the --json output; keep them to open the fields later.'
+      ]
+    };
+  }
+};
+
+COMMANDS.token = {
+  usage: 'token create --policy <id> --key <owner key> [--citizen <id> | --user <name>] '
+    + '[--curve c] [--expires-in s] [--delegate-key <pem>] [--on-behalf-of <id>] [--yes]',
+  options: {
+    citizen: { type: 'string' },
+    policy: { type: 'string' },
+    key: { type: 'string' },
+    user: { type: 'string' },
+    curve: { type: 'string' },
+    'expires-in': { type: 'string' },
+    'delegate-key': { type: 'string' },
+    'on-behalf-of': { type: 'string' },
+    yes: { type: 'boolean', short: 'y' }
+  },
+  async run([subcommand], options) {
+    if (subcommand !== 'create') {
+      throw new CliError('Usage: vsdl ' + COMMANDS.token.usage);
+    }
+    if (!options.policy) {
+      throw new CliError('Missing --policy');
+    }
+    const server = (options.server || process.env.VSDL_SERVER || DEFAULT_SERVER).replace(/\/$/, '');
+    const privateKey = ownerKey(options.key);
+    const publicKey = owner.publicKeyFromPrivate(privateKey);
+
+    // Sign in: by password (registering the key if needed) or by challenge
+    let session;
+    if (options.user) {
+      if (!process.env.VSDL_PASSWORD) {
+        throw new CliError('--user needs the password in VSDL_PASSWORD');
+      }
+      session = (await request('POST', `${server}/api/auth/login`, {
+        body: { username: options.user, password: process.env.VSDL_PASSWORD }
+      })).data;
+      if (options.citizen && options.citizen !== session.citizenId) {
+        throw new CliError(`${options.user} is not the owner of ${options.citizen}`);
+      }
+      await request('POST', `${server}/api/owner/register`, { session: session.sessionToken, body: { publicKey } });
+    } else {
+      if (!options.citizen) {
+        throw new CliError('Missing --citizen (or --user to sign in with a password)');
+      }
+      const challenge = (await request('POST', `${server}/api/auth/challenge`, { body: { citizenId: options.citizen } })).data;
+      session = (await request('POST', `${server}/api/auth/challenge/${challenge.challengeId}`, {
+        body: { signature: owner.signChallenge(privateKey, challenge) }
+      })).data;
+    }
+
+    const body = { policyId: options.policy };
+    if (options.curve) {
+      body.curve = options.curve;
+    }
+    if (options['expires-in']) {
+      body.expiresIn = Number(options['expires-in']);
+    }
+    if (options['delegate-key']) {
+      body.binding = 'bound';
+      body.delegateKey = delegateKey(options['delegate-key']).publicJwk;
+    }
+    if (options['on-behalf-of']) {
+      body.onBehalfOf = options['on-behalf-of'];
+    }
+    const draft = (await request('POST', `${server}/api/token/create`, { session: session.sessionToken, body })).data;
+
+    const { consent } = draft;
+    const { guardianship } = consent;
+    process.stderr.write([
+      ...(guardianship ? [
+        `Signing as guardian of ${guardianship.wardId} (${guardianship.legalBasis.type} ${guardianship.legalBasis.reference}, ` +
+          `until ${guardianship.validUntil})`
+      ] : []),
+      `Policy ${consent.policyName} for ${guardianship ? guardianship.wardId : session.citizenId} discloses:`,
+      ...consent.disclosedFields.map(f => `  ${f.field}: ${show(f.value)}`),
+      `Hidden: ${consent.hiddenFields.join(', ') || 'none'}`,
+      ...consent.predicates.map(p => `Proves: ${p}`),
+      `Actions: ${consent.actions.map(a => a.name).join(', ') || 'none'}`,
+      `Expires in ${consent.expiresIn} s`,
+      ''
+    ].join('\n'));
+    if (!options.yes && !(await confirm('Sign and issue this link?'))) {
+      throw new CliError('Not signed; the draft expires unused');
+    }
+
+    const signature = owner.signCommitment(privateKey, draft.signingRequest);
+    const signed = (await request('POST', `${server}/api/token/${draft.tokenId}/sign`, {
+      session: session.sessionToken,
+      body: { signature, consent: true }
+    })).data;
+
+    return {
+      output: signed,
+      lines: [
+        `Token ${signed.tokenId}, expires ${signed.expiresAt}${signed.binding.mode === 'bound' ? ', bound to the delegate key' : ''}`,
+        `Link: ${signed.delegationUrl}`
+      ]
+    };
+  }
+};
+
+COMMANDS.fetch = {
+  usage: 'fetch <url> [--owner-key <key>] [--explain] [--dpop-key <pem>] [--save <file>]',
+  options: {
+    'owner-key': { type: 'string' },
+    explain: { type: 'boolean' },
+    'dpop-key': { type: 'string' },
+    save: { type: 'string' }
+  },
+  async run([url], options) {
+    if (!url) {
+      throw new CliError('Missing <url>');
+    }
+    const token = tokenFromUrl(url);
+    const origin = new URL(url).origin;
+    const pinned = options['owner-key'] ? ownerPublicKey(options['owner-key']) : undefined;
+
+    const target = options.explain ? `${url}${url.includes('?') ? '&' : '?'}explain=true` : url;
+    const headers = {};
+    if (options['dpop-key']) {
+      headers.DPoP = dpop.createProof(delegateKey(options['dpop-key']), { method: 'GET', url: target, accessToken: token });
+    }
+    const { data } = await request('GET', target, { headers });
+    const jwks = await request('GET', `${origin}/.well-known/jwks.json`);
+    const { revocationList } = (await request('GET', `${origin}/api/revocations`)).data;
+
+    if (options.save) {
+      fs.writeFileSync(options.save, JSON.stringify({ token, ...data }, null, 2) + '\n');
+    }
+
+    const result = verifyDelegation(data.proof, token, data.filteredRecord, { jwks, revocationList, ownerPublicKey: pinned });
+    const usage = data.usage.remainingUses === null ? [] : [`Uses left: ${data.usage.remainingUses} of ${data.usage.maxUses}`];
+    return {
+      output: { ...data, verification: result },
+      lines: [...describeResult(result, data.filteredRecord), ...usage],
+      exitCode: result.valid ? 0 : EXIT_INVALID
+    };
+  }
+};
+
+COMMANDS.verify = {
+  usage: 'verify <proof.json> [--owner-key <key>] [--token <jwt|url>] [--jwks <file|url>] [--revocations <file|url>] [--insecure]',
+  options: {
+    'owner-key': { type: 'string' },
+    token: { type: 'string' },
+    jwks: { type: 'string' },
+    revocations: { type: 'string' },
+    insecure: { type: 'boolean' }
+  },
+  async run([file], options) {
+    if (!file) {
+      throw new CliError('Missing <proof.json>');
+    }
+
+    // A saved response, a bare proof, or a credential
+    const text = readText(file).trim();
+    const credential = input => {
+      try {
+        return readCredential(input);
+      } catch (err) {
+        throw new CliError(`${file}: ${err.message}`);
+      }
+    };
+    let view;
+    if (!text.startsWith('{')) {
+      view = credential(text);
+    } else {
+      let saved;
+      try {
+        saved = JSON.parse(text);
+      } catch (err) {
+        throw new CliError(`${file} is not JSON: ${err.message}`);
+      }
+      if ([].concat(saved.type).includes('VerifiablePresentation')) {
+        view = credential(saved);
+      } else {
+        const data = saved.data && saved.data.proof ? saved.data : saved;
+        view = data.proof
+          ? { proof: data.proof, filteredRecord: data.filteredRecord, token: saved.token || data.token }
+          : { proof: data, filteredRecord: null, token: null };
+      }
+    }
+
+    const token = options.token ? tokenFromUrl(options.token) : view.token;
+    if (!token) {
+      throw new CliError('Missing --token (the file does not hold one)');
+    }
+
+    const verifyOptions = {};
+    const lines = [];
+    if (options['owner-key']) {
+      verifyOptions.ownerPublicKey = ownerPublicKey(options['owner-key']);
+    }
+    // A token link names its server, whose keys and revocations apply
+    const origin = options.token && /^https?:\/\//.test(options.token) ? new URL(options.token).origin : null;
+    if (options.jwks) {
+      verifyOptions.jwks = await load(options.jwks);
+    } else if (origin) {
+      verifyOptions.jwks = await request('GET', `${origin}/.well-known/jwks.json`);
+    } else if (options.insecure) {
+      lines.push('Token signature not checked (--insecure)');
+    } else {
+      throw new CliError('Need --jwks <file|url> or a --token link to check the token signature (--insecure to skip it)');
+    }
+    if (options.revocations) {
+      if (!verifyOptions.jwks) {
+        throw new CliError('--revocations needs --jwks');
+      }
+      verifyOptions.revocationList = await revocationList(options.revocations);
+    } else if (origin) {
+      verifyOptions.revocationList = await revocationList(`${origin}/api/revocations`);
+    }
+
+    const result = verifyDelegation(view.proof, token, view.filteredRecord, verifyOptions);
+    return {
+      output: result,
+      lines: [...lines, ...describeResult(result, view.filteredRecord)],
+      exitCode: result.valid ? 0 : EXIT_INVALID
+    };
+  }
+};
+
+COMMANDS.generators = {
+  usage: 'generators [--curve c]',
+  options: {
+    curve: { type: 'string' }
+  },
+  async run(args, options) {
+    const curve = curveOf(options.curve);
+    const info = curve.getGeneratorInfo();
+    const output = {
+      curve: curve.curve,
+      G: curve.group.encode(curve.G),
+      H: curve.group.encode(curve.H),
+      J: curve.group.encode(curve.J),
+      derivation: { H: info.derivation, J: info.derivationJ },
+      group: info.curve
+    };
+    return {
+      output,
+      lines: [
+        `Curve: ${output.curve}`,
+        `g: ${output.G}`,
+        `h: ${output.H}`,
+        `j: ${output.J}`,
+        `h derivation: ${show(info.derivation)}`,
+        `j derivation: ${show(info.derivationJ)}`
+      ]
+    };
+  }
+};
+
+function usage() {
+  return ['Usage: vsdl <command> [options] [--json]', ...Object.values(COMMANDS).map(c => `  vsdl ${c.usage}`)].join('\n');
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(usage());
+    return EXIT_ERROR;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true });
+  } catch (err) {
+    console.error(`vsdl ${name}: ${err.message}\nUsage: vsdl ${command.usage}`);
+    return EXIT_ERROR;
+  }
+  if (parsed.values.help) {
+    console.log(`Usage: vsdl ${command.usage}`);
+    return 0;
+  }
+
+  try {
+    const { output, lines, exitCode = 0 } = await command.run(parsed.positionals, parsed.values);
+    console.log(parsed.values.json ? JSON.stringify(output, null, 2) : lines.join('\n'));
+    return exitCode;
+  } catch (err) {
+    if (!(err instanceof CliError) && err.name !== 'ValidationError') {
+      throw err;
+    }
+    console.error(`vsdl ${name}: ${err.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+      console.error(err);
+      process.exitCode = EXIT_ERROR;
+    }
+  );
+}
@@ -0,0 +1,183 @@
+/**
+ * VSDL - Usage and time-window constraints on delegation tokens
+ *
+ * Set by the owner at token creation, carried in the JWT `limits` claim
+ * (and `nbf`), and enforced on every delegate request:
+ *
+ *   maxUses    - number of times the link may be opened or run an action
+ *                (a sub-delegated link gets no more than its parent has left)
+ *   singleUse  - shorthand for maxUses = 1
+ *   notBefore  - ISO 8601 time before which the link does not work
+ *   weekdays   - allowed days, 0 (Sunday) .. 6 (Saturday)
+ *   hours      - { from, to } allowed hours [from, to), may wrap midnight
+ *   timeZone   - IANA zone for weekdays/hours (default UTC)
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Validate and normalize token constraints from a request body
+ *
+ * @param {Object} input - Raw constraints (may be undefined)
+ * @returns {Object} { errors: string[], constraints }
+ */
+function parseTokenConstraints(input = {}) {
+  const errors = [];
+  const constraints = {};
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['constraints must be an object'], constraints: null };
+  }
+
+  const known = ['maxUses', 'singleUse', 'notBefore', 'weekdays', 'hours', 'timeZone'];
+  for (const key of Object.keys(input)) {
+    if (!known.includes(key)) {
+      errors.push(`Unknown constraint: ${key}`);
+    }
+  }
+
+  if (input.singleUse !== undefined && typeof input.singleUse !== 'boolean') {
+    errors.push('singleUse must be a boolean');
+  }
+  if (input.maxUses !== undefined && !(Number.isInteger(input.maxUses) && input.maxUses > 0)) {
+    errors.push('maxUses must be a positive integer');
+  }
+  if (input.singleUse && input.maxUses !== undefined && input.maxUses !== 1) {
+    errors.push('singleUse conflicts with maxUses');
+  }
+  if (input.singleUse || input.maxUses !== undefined) {
+    constraints.maxUses = input.singleUse ? 1 : input.maxUses;
+  }
+
+  if (input.notBefore !== undefined) {
+    const time = Date.parse(input.notBefore);
+    if (typeof input.notBefore !== 'string' || Number.isNaN(time)) {
+      errors.push('notBefore must be an ISO 8601 date-time');
+    } else {
+      constraints.notBefore = new Date(time).toISOString();
+    }
+  }
+
+  if (input.weekdays !== undefined) {
+    if (!Array.isArray(input.weekdays) || input.weekdays.length === 0 ||
+        !input.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      errors.push('weekdays must be a non-empty array of integers 0-6');
+    } else {
+      constraints.weekdays = [...new Set(input.weekdays)].sort((a, b) => a - b);
+    }
+  }
+
+  if (input.hours !== undefined) {
+    const { from, to } = input.hours || {};
+    const isHour = h => Number.isInteger(h) && h >= 0 && h <= 24;
+    if (!isHour(from) || !isHour(to) || from === to) {
+      errors.push('hours must be { from, to } with distinct whole hours 0-24');
+    } else {
+      constraints.hours = { from, to };
+    }
+  }
+
+  if (input.timeZone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: input.timeZone });
+      constraints.timeZone = input.timeZone;
+    } catch (err) {
+      errors.push(`Unknown timeZone: ${input.timeZone}`);
+    }
+  }
+
+  return { errors, constraints: errors.length > 0 ? null : constraints };
+}
+
+/**
+ * Weekday and hour of a moment in a time zone
+ */
+function localTime(date, timeZone = 'UTC') {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' })
+      .formatToParts(date)
+      .map(p => [p.type, p.value])
+  );
+  return { weekday: WEEKDAYS.indexOf(parts.weekday), hour: parseInt(parts.hour, 10) };
+}
+
+/**
+ * Check the time-based constraints
+ *
+ * @param {Object} constraints - Normalized constraints
+ * @param {Date} [now]
+ * @returns {Object|null} null if allowed, else { code, error }
+ */
+function checkTimeWindow(constraints = {}, now = new Date()) {
+  if (constraints.notBefore && now < new Date(constraints.notBefore)) {
+    return { code: 'TOKEN_NOT_YET_VALID', error: `Token is not valid before ${constraints.notBefore}` };
+  }
+
+  if (!constraints.weekdays && !constraints.hours) {
+    return null;
+  }
+
+  const timeZone = constraints.timeZone || 'UTC';
+  const { weekday, hour } = localTime(now, timeZone);
+
+  if (constraints.weekdays && !constraints.weekdays.includes(weekday)) {
+    return {
+      code: 'OUTSIDE_ALLOWED_WINDOW',
+      error: `Token may only be used on ${constraints.weekdays.map(d => WEEKDAYS[d]).join(', ')} (${timeZone})`
+    };
+  }
+
+  if (constraints.hours) {
+    const { from, to } = constraints.hours;
+    const inside = from < to ? hour >= from && hour < to : hour >= from || hour < to;
+    if (!inside) {
+      return {
+        code: 'OUTSIDE_ALLOWED_WINDOW',
+        error: `Token may only be used between ${from}:00 and ${to}:00 (${timeZone})`
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the usage limit
+ *
+ * @param {Object} constraints - Normalized constraints
+ * @param {number} [uses] - Uses taken so far
+ * @returns {Object|null} null if a use is left, else { code, error, maxUses }
+ */
+function checkUsage(constraints, uses = 0) {
+  const { maxUses } = constraints || {};
+  if (maxUses === undefined || uses < maxUses) {
+    return null;
+  }
+  return { code: 'USAGE_LIMIT_REACHED', error: 'Token has no uses left', maxUses };
+}
+
+/**
+ * Limit a sub-delegated token to the uses its parent has left
+ *
+ * The child gets the parent's remaining uses unless it asks for fewer.
+ *
+ * @param {Object} constraints - Normalized constraints of the child
+ * @param {number|null} remaining - Uses the parent has left (null if unlimited)
+ * @returns {Object} { errors: string[], constraints }
+ */
+function inheritUsage(constraints, remaining) {
+  if (remaining === null) {
+    return { errors: [], constraints };
+  }
+  if (constraints.maxUses !== undefined && constraints.maxUses > remaining) {
+    return { errors: [`maxUses must be at most the parent's remaining ${remaining}`], constraints: null };
+  }
+  return { errors: [], constraints: { maxUses: remaining, ...constraints } };
+}
+
+module.exports = {
+  parseTokenConstraints,
+  checkTimeWindow,
+  checkUsage,
+  inheritUsage
+};
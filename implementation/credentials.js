@@ -0,0 +1,170 @@
+/**
+ * VSDL - SD-JWT and W3C Verifiable Presentation export of delegated views
+ *
+ * GET /api/delegate/:token can answer with the filtered record as a
+ * credential that standard wallets and verifiers understand:
+ *
+ *   sd-jwt  application/dc+sd-jwt   SD-JWT VC: <issuer JWT>~<disclosure>~...~
+ *   vp      application/vp          W3C VCDM 2.0 presentation enveloping
+ *                                   the same view as a vc+sd-jwt credential
+ *
+ * Each visible path is one disclosure [salt, path, value]; the issuer JWT
+ * holds only their SHA-256 digests (`_sd`). The JWT also carries the
+ * delegation token's claims (commitment, owner signature, policyHash,
+ * chain, cnf, ...) and, as the `vsdl` proof extension, the partition proof
+ * of /api/delegate with the values left out of the openings. A verifier
+ * puts the disclosed values back (verifier.readCredential) and checks the
+ * result like any delegate response, so the partition C_D = C_H · C_F only
+ * holds when every disclosure is presented.
+ *
+ * Credentials are signed with the token signing keys (keys.js) but typed
+ * dc+sd-jwt / vc+sd-jwt, so they cannot be used as delegation links.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const SD_JWT_TYPE = 'application/dc+sd-jwt';
+const VP_TYPE = 'application/vp';
+const VC_SD_JWT_TYPE = 'application/vc+sd-jwt';
+const VC_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+
+// Type of a delegated view (SD-JWT VC `vct`)
+const VIEW_TYPE = 'urn:vsdl:delegated-view:v1';
+
+// Response formats of GET /api/delegate/:token by ?format= value
+const FORMATS = {
+  json: 'application/json',
+  'sd-jwt': SD_JWT_TYPE,
+  vp: VP_TYPE
+};
+
+/**
+ * Disclosure of one claim and its digest
+ */
+function disclose(name, value) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const disclosure = Buffer.from(JSON.stringify([salt, name, value])).toString('base64url');
+  const digest = crypto.createHash('sha256').update(disclosure).digest('base64url');
+  return { disclosure, digest };
+}
+
+/**
+ * Partition proof without the opened values (they are disclosures)
+ */
+function proofExtension(proof) {
+  return {
+    ...proof,
+    visibleFields: proof.visibleFields.map(({ fieldName, randomness, type }) => ({ fieldName, randomness, ...(type ? { type } : {}) }))
+  };
+}
+
+/**
+ * Format asked for by a request: ?format= wins over the Accept header
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} A key of FORMATS, or null if nothing acceptable
+ */
+function negotiateFormat(req) {
+  if (req.query.format !== undefined) {
+    return req.query.format;
+  }
+  const type = req.accepts(Object.values(FORMATS));
+  return type ? Object.keys(FORMATS).find(format => FORMATS[format] === type) : null;
+}
+
+/**
+ * Create a credential issuer
+ *
+ * @param {Object} options
+ * @param {Object} options.keyRing - Token signing keys (keys.js)
+ * @param {string} options.issuer - `iss` of issued credentials
+ * @returns {Object} { sdJwt(view), presentation(view) }
+ */
+function createCredentialIssuer({ keyRing, issuer }) {
+  /**
+   * Issuer-signed SD-JWT of a view; `wrap` places the digests and the
+   * proof extension in the payload
+   */
+  function issue(view, typ, wrap) {
+    const disclosures = Object.entries(view.filteredRecord).map(([name, value]) => disclose(name, value));
+    const digests = disclosures.map(d => d.digest).sort();
+
+    const payload = {
+      ...view.claims,
+      iss: issuer,
+      iat: Math.floor(Date.now() / 1000),
+      ...wrap(digests, { ...proofExtension(view.proof), policy: view.policy }),
+      _sd_alg: 'sha-256'
+    };
+
+    const signed = jwt.sign(payload, keyRing.active.privateKey, {
+      algorithm: keyRing.algorithm,
+      keyid: keyRing.active.kid,
+      header: { typ }
+    });
+    return [signed, ...disclosures.map(d => d.disclosure), ''].join('~');
+  }
+
+  /**
+   * SD-JWT VC of a delegated view
+   *
+   * @param {Object} view - { claims: delegation token payload, filteredRecord,
+   *                          proof, policy } as served by /api/delegate
+   * @returns {string} <issuer JWT>~<disclosure>~...~
+   */
+  function sdJwt(view) {
+    return issue(view, 'dc+sd-jwt', (digests, extension) => ({
+      vct: VIEW_TYPE,
+      _sd: digests,
+      vsdl: extension
+    }));
+  }
+
+  /**
+   * W3C Verifiable Presentation of a delegated view
+   *
+   * The credential is a VCDM 2.0 document secured as an SD-JWT, enveloped
+   * in the presentation as a data: URL. The presentation itself is not
+   * signed (no holder binding).
+   *
+   * @param {Object} view - As for sdJwt()
+   * @returns {Object} Presentation
+   */
+  function presentation(view) {
+    const credential = issue(view, 'vc+sd-jwt', (digests, extension) => ({
+      '@context': [VC_CONTEXT],
+      type: ['VerifiableCredential', 'VsdlDelegatedView'],
+      issuer,
+      validFrom: new Date().toISOString(),
+      validUntil: new Date(view.claims.exp * 1000).toISOString(),
+      credentialSubject: { _sd: digests },
+      vsdl: extension
+    }));
+
+    return {
+      '@context': [VC_CONTEXT],
+      type: ['VerifiablePresentation'],
+      verifiableCredential: [{
+        '@context': [VC_CONTEXT],
+        id: `data:${VC_SD_JWT_TYPE},${credential}`,
+        type: 'EnvelopedVerifiableCredential'
+      }]
+    };
+  }
+
+  return {
+    sdJwt,
+    presentation
+  };
+}
+
+module.exports = {
+  FORMATS,
+  SD_JWT_TYPE,
+  VC_SD_JWT_TYPE,
+  VIEW_TYPE,
+  VP_TYPE,
+  createCredentialIssuer,
+  negotiateFormat
+};
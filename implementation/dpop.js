@@ -0,0 +1,167 @@
+/**
+ * VSDL - Delegate proof-of-possession (DPoP-style, RFC 9449)
+ *
+ * A bound delegation token carries the thumbprint of the delegate's P-256
+ * public key in a confirmation claim (RFC 7800):
+ *
+ *   cnf = { jkt: base64url( SHA-256( RFC 7638 JWK ) ) }
+ *
+ * Every request with a bound token must carry a `DPoP` header: an ES256
+ * JWT (typ dpop+jwt) whose header holds the delegate's public `jwk` and
+ * whose payload binds it to this request:
+ *
+ *   { jti, htm: HTTP method, htu: URL without query, iat,
+ *     ath: base64url( SHA-256( delegation token ) ) }
+ *
+ * The server checks the signature, that the key matches cnf.jkt, that
+ * htm/htu/ath match the request, that iat is recent, and that the jti has
+ * not been seen before. A leaked link alone is then useless.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { thumbprint } = require('./keys');
+
+const DPOP_TYP = 'dpop+jwt';
+const DPOP_ALGORITHM = 'ES256';
+
+/**
+ * base64url SHA-256 of a delegation token (the `ath` claim)
+ */
+function accessTokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('base64url');
+}
+
+/**
+ * Check that a JWK is a P-256 public key and return its thumbprint
+ *
+ * @returns {string|null} jkt, or null if the key is not usable
+ */
+function publicKeyThumbprint(jwk) {
+  if (!jwk || typeof jwk !== 'object' || jwk.kty !== 'EC' || jwk.crv !== 'P-256' || jwk.d !== undefined) {
+    return null;
+  }
+  try {
+    crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  } catch (err) {
+    return null;
+  }
+  return thumbprint(jwk);
+}
+
+/**
+ * Create a DPoP proof (for delegates using Node)
+ *
+ * @param {Object} key - { privateKey: KeyObject | PEM, publicJwk }
+ * @param {Object} request - { method, url, accessToken }
+ * @returns {string} DPoP proof JWT
+ */
+function createProof({ privateKey, publicJwk }, { method, url, accessToken }) {
+  const { crv, kty, x, y } = publicJwk;
+  return jwt.sign(
+    {
+      jti: crypto.randomBytes(16).toString('base64url'),
+      htm: method.toUpperCase(),
+      htu: url.split('?')[0],
+      ath: accessTokenHash(accessToken)
+    },
+    privateKey,
+    { algorithm: DPOP_ALGORITHM, header: { typ: DPOP_TYP, jwk: { crv, kty, x, y } } }
+  );
+}
+
+/**
+ * Generate a delegate keypair
+ *
+ * @returns {Object} { privateKey: KeyObject, publicJwk, jkt }
+ */
+function generateDelegateKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const publicJwk = publicKey.export({ format: 'jwk' });
+  return { privateKey, publicJwk, jkt: thumbprint(publicJwk) };
+}
+
+/**
+ * DPoP proof checker with a replay cache
+ *
+ * @param {Object} [options] - { maxAge, clockSkew } in seconds
+ */
+function createDpopVerifier({ maxAge = 60, clockSkew = 5 } = {}) {
+  const seen = new Map();
+
+  return {
+    /**
+     * Check a DPoP proof against a bound token and the current request
+     *
+     * @param {string} proof - Value of the DPoP header
+     * @param {Object} expected - { method, url, accessToken, jkt }
+     * @returns {Object|null} null if valid, else { code, error }
+     */
+    verify(proof, { method, url, accessToken, jkt }) {
+      if (!proof) {
+        return { code: 'DPOP_REQUIRED', error: 'Token is bound to a delegate key; send a DPoP proof' };
+      }
+
+      const fail = error => ({ code: 'INVALID_DPOP', error });
+
+      const decoded = jwt.decode(proof, { complete: true });
+      if (!decoded || decoded.header.typ !== DPOP_TYP || decoded.header.alg !== DPOP_ALGORITHM) {
+        return fail(`DPoP proof must be an ${DPOP_ALGORITHM} JWT of type ${DPOP_TYP}`);
+      }
+
+      const proofJkt = publicKeyThumbprint(decoded.header.jwk);
+      if (!proofJkt) {
+        return fail('DPoP proof header must carry a P-256 public jwk');
+      }
+      if (proofJkt !== jkt) {
+        return { code: 'DPOP_KEY_MISMATCH', error: 'DPoP key is not the key this token is bound to' };
+      }
+
+      let payload;
+      try {
+        payload = jwt.verify(proof, crypto.createPublicKey({ key: decoded.header.jwk, format: 'jwk' }), {
+          algorithms: [DPOP_ALGORITHM]
+        });
+      } catch (err) {
+        return fail(`DPoP signature invalid: ${err.message}`);
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      if (typeof payload.iat !== 'number' || payload.iat < now - maxAge || payload.iat > now + clockSkew) {
+        return fail('DPoP proof is too old or from the future');
+      }
+      if (payload.htm !== method.toUpperCase()) {
+        return fail('DPoP htm does not match the request method');
+      }
+      if (payload.htu !== url.split('?')[0]) {
+        return fail('DPoP htu does not match the request URL');
+      }
+      if (payload.ath !== accessTokenHash(accessToken)) {
+        return fail('DPoP ath does not match the delegation token');
+      }
+      if (typeof payload.jti !== 'string' || payload.jti === '') {
+        return fail('DPoP proof must have a jti');
+      }
+
+      for (const [jti, expiresAt] of seen) {
+        if (expiresAt <= now) {
+          seen.delete(jti);
+        }
+      }
+      if (seen.has(payload.jti)) {
+        return { code: 'DPOP_REPLAY', error: 'DPoP proof has already been used' };
+      }
+      seen.set(payload.jti, payload.iat + maxAge + clockSkew);
+
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  accessTokenHash,
+  createDpopVerifier,
+  createProof,
+  generateDelegateKey,
+  publicKeyThumbprint
+};
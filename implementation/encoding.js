@@ -0,0 +1,206 @@
+/**
+ * VSDL - Canonical encoding of field commitment messages
+ *
+ * A field commitment is C = g^m · h^r · j^n. For most fields m = H(message).
+ * The message used to be the string `${fieldName}||${value}`, so "a||b" = "c"
+ * and "a" = "b||c" collided, and the value's type was lost. Tokens carrying
+ * the `encoding` claim use instead
+ *
+ *   message = lp(encoding) || lp(curve) || lp(recordId) ||
+ *             lp(fieldName) || lp(type) || lp(value)
+ *
+ *   lp(s)   = uint32be(byte length of utf8(s)) || utf8(s)
+ *   type    = "string" | "number" | "boolean" | "null"
+ *   value   = the string itself, or JSON for the other types
+ *
+ * recordId is the token's `sub`, so the same value in two records (or on
+ * two curves) gives unrelated messages. Strings and field names must be
+ * well-formed Unicode; they are not normalized.
+ *
+ * Scalar fields are committed as the number itself, m = x (see
+ * pedersen.encodeScalar), so bounds on them can be proven. Which fields
+ * are scalars is decided by the record schema (registry.js): its
+ * 'integer' and 'date' fields. Under VSDL-FIELD-V3 their tag binds what
+ * m cannot:
+ *
+ *   n = H( lp("VSDL-FIELD-V3") || lp(curve) || lp(recordId) ||
+ *          lp(fieldName) || lp(scalar type) )
+ *
+ * so 5 in an integer field, "1900-01-06" (day 5) in a date field and the
+ * string "5" all commit differently, as does 5 in another record. Other
+ * fields keep n = H(fieldName).
+ *
+ * VSDL-FIELD-V2 tokens, issued before, decided scalars by the value's
+ * shape: any whole number or ISO date, with n = H(fieldName) only. They
+ * still verify with that rule.
+ *
+ * Usage: node encoding.js check [file]
+ *   Recomputes the golden vectors (default encoding-vectors.json) and
+ *   exits non-zero if any differs.
+ */
+
+const { ValidationError } = require('./validation');
+
+const FIELD_DOMAIN = 'VSDL-FIELD-V3';
+const FIELD_DOMAIN_V2 = 'VSDL-FIELD-V2';
+const FIELD_ENCODINGS = [FIELD_DOMAIN_V2, FIELD_DOMAIN];
+
+// Schema types committed as scalars
+const SCALAR_TYPES = ['integer', 'date'];
+
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+/**
+ * Length-prefixed UTF-8 bytes of a string
+ */
+function lengthPrefixed(text) {
+  if (typeof text !== 'string') {
+    throw new ValidationError('Expected a string to encode', 'INVALID_VALUE');
+  }
+  if (LONE_SURROGATE.test(text)) {
+    throw new ValidationError('Field names and values must be well-formed Unicode', 'INVALID_VALUE');
+  }
+  const bytes = new TextEncoder().encode(text);
+  const out = new Uint8Array(4 + bytes.length);
+  new DataView(out.buffer).setUint32(0, bytes.length);
+  out.set(bytes, 4);
+  return out;
+}
+
+/**
+ * Type tag and canonical text of a leaf value
+ */
+function canonicalValue(value) {
+  if (value === null) {
+    return ['null', 'null'];
+  }
+  switch (typeof value) {
+    case 'string':
+      return ['string', value];
+    case 'boolean':
+      return ['boolean', String(value)];
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new ValidationError('Field values must be finite numbers', 'INVALID_VALUE');
+      }
+      return ['number', JSON.stringify(value)];
+    default:
+      throw new ValidationError(`Cannot encode a field value of type ${typeof value}`, 'INVALID_VALUE');
+  }
+}
+
+/**
+ * Length-prefixed strings, concatenated
+ */
+function encodeParts(parts) {
+  const encoded = parts.map(lengthPrefixed);
+  const out = new Uint8Array(encoded.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of encoded) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Canonical message of a field (see above)
+ *
+ * @param {string} curve - Curve of the commitment
+ * @param {string} recordId - Token `sub`
+ * @param {string} fieldName - Field path
+ * @param {string|number|boolean|null} value - Leaf value
+ * @param {string} [encoding] - Domain: the token's `encoding` claim
+ * @returns {Uint8Array}
+ */
+function encodeField(curve, recordId, fieldName, value, encoding = FIELD_DOMAIN) {
+  return encodeParts([encoding, curve, recordId, fieldName, ...canonicalValue(value)]);
+}
+
+/**
+ * Tag message of a VSDL-FIELD-V3 scalar field (see above)
+ *
+ * @param {string} curve - Curve of the commitment
+ * @param {string} recordId - Token `sub`
+ * @param {string} fieldName - Field path
+ * @param {string} type - 'integer' or 'date'
+ * @returns {Uint8Array}
+ */
+function encodeFieldTag(curve, recordId, fieldName, type) {
+  if (!SCALAR_TYPES.includes(type)) {
+    throw new ValidationError(`Field type must be one of ${SCALAR_TYPES.join(', ')}`, 'INVALID_VALUE');
+  }
+  return encodeParts([FIELD_DOMAIN, curve, recordId, fieldName, type]);
+}
+
+/**
+ * Encoding context of a token: { recordId, encoding } for tokens with the
+ * `encoding` claim, null for older ones (`${fieldName}||${value}`)
+ *
+ * @param {Object} claims - Token claims (or a signing request) with sub and encoding
+ */
+function fieldContext({ sub, encoding }) {
+  if (encoding === undefined) {
+    return null;
+  }
+  if (!FIELD_ENCODINGS.includes(encoding)) {
+    throw new ValidationError(`Unsupported field encoding: ${encoding}`, 'INVALID_ENCODING');
+  }
+  if (typeof sub !== 'string' || sub === '') {
+    throw new ValidationError(`${encoding} needs the record id (sub)`, 'INVALID_ENCODING');
+  }
+  return { recordId: sub, encoding };
+}
+
+module.exports = {
+  FIELD_DOMAIN,
+  FIELD_DOMAIN_V2,
+  FIELD_ENCODINGS,
+  SCALAR_TYPES,
+  encodeField,
+  encodeFieldTag,
+  fieldContext
+};
+
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+  const pedersen = require('./pedersen');
+  const BN = require('bn.js');
+
+  const [command, file = path.join(__dirname, 'encoding-vectors.json')] = process.argv.slice(2);
+  if (command !== 'check') {
+    console.log('Usage: node encoding.js check [file]');
+    process.exit(1);
+  }
+
+  const hex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  const { vectors } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  let failures = 0;
+
+  vectors.forEach((v, i) => {
+    const curve = pedersen.forCurve(v.curve);
+    const context = { recordId: v.recordId, encoding: v.encoding, types: v.type ? { [v.fieldName]: v.type } : {} };
+    const fc = curve.commitField(v.fieldName, v.value, new BN(v.randomness, 16), context);
+    const got = {
+      // Typed scalars are tagged instead of hashed
+      ...(v.type
+        ? { tag: hex(encodeFieldTag(v.curve, v.recordId, v.fieldName, v.type)) }
+        : { encoded: hex(encodeField(v.curve, v.recordId, v.fieldName, v.value, v.encoding)) }),
+      m: fc.math.m,
+      n: fc.math.n,
+      commitment: curve.group.encode(fc.commitment)
+    };
+    const wrong = Object.keys(got).filter(key => got[key] !== v[key]);
+    if (wrong.length > 0) {
+      failures++;
+      console.log(`Vector ${i} (${v.curve} ${v.fieldName}) differs in ${wrong.join(', ')}`);
+    }
+  });
+
+  if (failures === 0) {
+    console.log(`All ${vectors.length} vectors match (${FIELD_ENCODINGS.join(', ')})`);
+  } else {
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,348 @@
+/**
+ * VSDL - Prime-order groups for the commitments
+ *
+ * Every commitment, proof and field tree works in one group, chosen per
+ * token and recorded in its `curve` claim:
+ *
+ *   secp256k1     short Weierstrass, y² = x³ + 7
+ *   P-256         NIST P-256 (secp256r1), y² = x³ - 3x + b
+ *   ristretto255  prime-order group over Curve25519 (RFC 9496)
+ *
+ * A group offers the same interface for all three:
+ *
+ *   n, G                        order and standard generator
+ *   randomScalar(), hashToScalar(data)
+ *   add(P, Q), neg(P), mul(P, k), eq(P, Q), isIdentity(P), identity()
+ *   encode(P) -> hex, decode(hex) -> P (rejects non-members)
+ *   hashToGroup(seed, dst) -> { point, transcript }
+ *   coordinates(P) -> { x, y } for display
+ *
+ * Points are elliptic.js points, so P.add / P.neg / P.mul work directly.
+ * Ristretto255 points are Edwards points standing for a coset of the
+ * 4-torsion: compare and encode them with eq() / encode(), never with the
+ * point's own methods.
+ */
+
+const EC = require('elliptic').ec;
+const BN = require('bn.js');
+const crypto = require('crypto');
+
+const DEFAULT_CURVE = 'secp256k1';
+
+/**
+ * Short Weierstrass curve from elliptic.js
+ *
+ * hashToGroup is try-and-increment over SHA-256:
+ *   x = SHA-256(dst || 0x00 || seed || ctr),  first x on the curve, even y
+ */
+function shortCurveGroup(name, preset, info) {
+  const ec = new EC(preset);
+
+  function hashToGroup(seed, dst) {
+    const attempts = [];
+
+    for (let ctr = 0; ctr < 256; ctr++) {
+      const digest = crypto.createHash('sha256')
+        .update(dst)
+        .update(new Uint8Array([0x00]))
+        .update(seed)
+        .update(new Uint8Array([ctr]))
+        .digest('hex');
+      const x = new BN(digest, 16);
+
+      let point = null;
+      if (x.cmp(ec.curve.p) < 0) {
+        try {
+          point = ec.curve.pointFromX(x, false);
+        } catch (err) {
+          point = null;
+        }
+      }
+
+      attempts.push({ counter: ctr, x: digest, onCurve: point !== null });
+
+      if (point !== null && point.validate() && !point.isInfinity()) {
+        return {
+          point,
+          transcript: {
+            method: 'try-and-increment',
+            hash: 'SHA-256',
+            dst,
+            seed,
+            input: 'SHA-256(utf8(dst) || 0x00 || utf8(seed) || uint8(counter))',
+            yParity: 'even',
+            counter: ctr,
+            attempts,
+            result: point.encode('hex', true)
+          }
+        };
+      }
+    }
+
+    throw new Error('hashToGroup: no valid point found');
+  }
+
+  return {
+    name,
+    ec,
+    curve: ec.curve,
+    n: ec.n,
+    G: ec.g,
+    info,
+    identity: () => ec.curve.point(null, null),
+    add: (P, Q) => P.add(Q),
+    neg: P => P.neg(),
+    mul: (P, k) => P.mul(k),
+    eq: (P, Q) => P.eq(Q),
+    isIdentity: P => P.isInfinity(),
+    encode: P => P.encode('hex', true),
+    decode(hex) {
+      let point = null;
+      try {
+        point = ec.curve.decodePoint(hex, 'hex');
+      } catch (err) {
+        // not a point encoding, or x not on the curve
+      }
+      if (point === null || point.isInfinity() || !point.validate()) {
+        throw new Error(`Not a ${name} point`);
+      }
+      return point;
+    },
+    coordinates: P => ({
+      x: P.getX().toString(16).padStart(64, '0'),
+      y: P.getY().toString(16).padStart(64, '0')
+    }),
+    hashToGroup
+  };
+}
+
+/**
+ * Ristretto255 (RFC 9496) on top of elliptic.js's ed25519 curve
+ *
+ * hashToGroup is the one-way map of RFC 9496 section 4.3.4 applied to
+ * SHA-512(dst || 0x00 || seed).
+ */
+function ristrettoGroup() {
+  const ec = new EC('ed25519');
+  const curve = ec.curve;
+  const red = curve.red;
+  const p = curve.p;
+
+  const fe = value => new BN(value).umod(p).toRed(red);
+  const ONE = fe(1);
+  const D = curve.d;
+  const SQRT_M1 = fe(2).redPow(p.subn(1).divn(4));
+  const isNegative = x => x.fromRed().isOdd();
+  const abs = x => (isNegative(x) ? x.redNeg() : x);
+  const same = (a, b) => a.fromRed().eq(b.fromRed());
+
+  // (was_square, sqrt(u/v)) with the non-negative root (RFC 9496 4.2)
+  function sqrtRatio(u, v) {
+    const v3 = v.redSqr().redMul(v);
+    const v7 = v3.redSqr().redMul(v);
+    let r = u.redMul(v3).redMul(u.redMul(v7).redPow(p.subn(5).divn(8)));
+    const check = v.redMul(r.redSqr());
+
+    const correct = same(check, u);
+    const flipped = same(check, u.redNeg());
+    const flippedI = same(check, u.redNeg().redMul(SQRT_M1));
+    if (flipped || flippedI) {
+      r = r.redMul(SQRT_M1);
+    }
+    return { wasSquare: correct || flipped, root: abs(r) };
+  }
+
+  // Square roots as fixed by RFC 9496 (SQRT_AD_MINUS_ONE is the odd one)
+  const SQRT_AD_MINUS_ONE = fe(new BN('25063068953384623474111414158702152701244531502492656460079210482610430750235', 10));
+  const INVSQRT_A_MINUS_D = fe(new BN('54469307008909316920995813868745141605393597292927456921205312896311721017578', 10));
+  const ONE_MINUS_D_SQ = ONE.redSub(D.redSqr());
+  const D_MINUS_ONE_SQ = D.redSub(ONE).redSqr();
+
+  // 32-byte little-endian hex <-> integer
+  const toLittleEndian = n => n.toString(16).padStart(64, '0').match(/../g).reverse().join('');
+  const fromLittleEndian = hex => new BN(hex.match(/../g).reverse().join(''), 16);
+
+  function encode(P) {
+    const [x0, y0, z0, t0] = [P.x, P.y, P.z, P.t];
+    const u1 = z0.redAdd(y0).redMul(z0.redSub(y0));
+    const u2 = x0.redMul(y0);
+    const { root: invsqrt } = sqrtRatio(ONE, u1.redMul(u2.redSqr()));
+    const den1 = invsqrt.redMul(u1);
+    const den2 = invsqrt.redMul(u2);
+    const zInv = den1.redMul(den2).redMul(t0);
+
+    const rotate = isNegative(t0.redMul(zInv));
+    const x = rotate ? y0.redMul(SQRT_M1) : x0;
+    let y = rotate ? x0.redMul(SQRT_M1) : y0;
+    const denInv = rotate ? den1.redMul(INVSQRT_A_MINUS_D) : den2;
+    if (isNegative(x.redMul(zInv))) {
+      y = y.redNeg();
+    }
+
+    return toLittleEndian(abs(denInv.redMul(z0.redSub(y))).fromRed());
+  }
+
+  function decode(hex) {
+    if (typeof hex !== 'string' || !/^[0-9a-f]{64}$/i.test(hex)) {
+      throw new Error('Not a ristretto255 encoding');
+    }
+    const sInt = fromLittleEndian(hex);
+    if (sInt.cmp(p) >= 0 || sInt.isOdd()) {
+      throw new Error('Not a canonical ristretto255 encoding');
+    }
+
+    const s = sInt.toRed(red);
+    const ss = s.redSqr();
+    const u1 = ONE.redSub(ss);
+    const u2 = ONE.redAdd(ss);
+    const u2Sqr = u2.redSqr();
+    const v = D.redMul(u1.redSqr()).redNeg().redSub(u2Sqr);
+    const { wasSquare, root: invsqrt } = sqrtRatio(ONE, v.redMul(u2Sqr));
+    const denX = invsqrt.redMul(u2);
+    const denY = invsqrt.redMul(denX).redMul(v);
+    const x = abs(s.redAdd(s).redMul(denX));
+    const y = u1.redMul(denY);
+    const t = x.redMul(y);
+
+    if (!wasSquare || isNegative(t) || y.isZero()) {
+      throw new Error('Not a ristretto255 point');
+    }
+    return curve.point(x, y, ONE, t);
+  }
+
+  // Elligator map of one field element (RFC 9496 4.3.4, MAP)
+  function map(t) {
+    const r = SQRT_M1.redMul(t.redSqr());
+    const u = r.redAdd(ONE).redMul(ONE_MINUS_D_SQ);
+    const v = ONE.redNeg().redSub(r.redMul(D)).redMul(r.redAdd(D));
+    const { wasSquare, root } = sqrtRatio(u, v);
+    const s = wasSquare ? root : abs(root.redMul(t)).redNeg();
+    const c = wasSquare ? ONE.redNeg() : r;
+    const N = c.redMul(r.redSub(ONE)).redMul(D_MINUS_ONE_SQ).redSub(v);
+
+    const w0 = s.redAdd(s).redMul(v);
+    const w1 = N.redMul(SQRT_AD_MINUS_ONE);
+    const w2 = ONE.redSub(s.redSqr());
+    const w3 = ONE.redAdd(s.redSqr());
+    return curve.point(w0.redMul(w3), w2.redMul(w1), w1.redMul(w3), w0.redMul(w2));
+  }
+
+  // 64 uniform bytes (hex) -> point
+  function fromUniformBytes(hex) {
+    const element = half => fromLittleEndian(half).maskn(255).umod(p).toRed(red);
+    return map(element(hex.slice(0, 64))).add(map(element(hex.slice(64, 128))));
+  }
+
+  function hashToGroup(seed, dst) {
+    const digest = crypto.createHash('sha512')
+      .update(dst)
+      .update(new Uint8Array([0x00]))
+      .update(seed)
+      .digest('hex');
+    const point = fromUniformBytes(digest);
+
+    return {
+      point,
+      transcript: {
+        method: 'ristretto255 one-way map (RFC 9496)',
+        hash: 'SHA-512',
+        dst,
+        seed,
+        input: 'SHA-512(utf8(dst) || 0x00 || utf8(seed))',
+        uniformBytes: digest,
+        result: encode(point)
+      }
+    };
+  }
+
+  // Same coset of the 4-torsion: x1·y2 = y1·x2 or y1·y2 = x1·x2
+  const eq = (P, Q) =>
+    same(P.x.redMul(Q.y), P.y.redMul(Q.x)) || same(P.y.redMul(Q.y), P.x.redMul(Q.x));
+
+  return {
+    name: 'ristretto255',
+    ec,
+    curve,
+    n: ec.n,
+    G: ec.g,
+    info: {
+      name: 'ristretto255',
+      p: p.toString(16).toUpperCase(),
+      n: ec.n.toString(16).toUpperCase(),
+      d: D.fromRed().toString(16).toUpperCase(),
+      encoding: 'RFC 9496 (32 bytes, little-endian)'
+    },
+    identity: () => curve.point(null, null, null),
+    add: (P, Q) => P.add(Q),
+    neg: P => P.neg(),
+    mul: (P, k) => P.mul(k),
+    eq,
+    isIdentity: P => P.x.isZero() || P.y.isZero(),
+    encode,
+    decode,
+    coordinates(P) {
+      const affine = P.normalize();
+      return {
+        x: affine.x.fromRed().toString(16).padStart(64, '0'),
+        y: affine.y.fromRed().toString(16).padStart(64, '0')
+      };
+    },
+    hashToGroup,
+    fromUniformBytes
+  };
+}
+
+const FACTORIES = {
+  secp256k1: () => shortCurveGroup('secp256k1', 'secp256k1', {
+    name: 'secp256k1',
+    p: 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC2F',
+    n: 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141',
+    Gx: '79BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798',
+    Gy: '483ADA7726A3C4655DA4FBFC0E1108A8FD17B448A68554199C47D08FFB10D4B8'
+  }),
+  'P-256': () => shortCurveGroup('P-256', 'p256', {
+    name: 'P-256',
+    p: 'FFFFFFFF00000001000000000000000000000000FFFFFFFFFFFFFFFFFFFFFFFF',
+    n: 'FFFFFFFF00000000FFFFFFFFFFFFFFFFBCE6FAADA7179E84F3B9CAC2FC632551',
+    Gx: '6B17D1F2E12C4247F8BCE6E563A440F277037D812DEB33A0F4A13945D898C296',
+    Gy: '4FE342E2FE1A7F9B8EE7EB4A7C0F9E162BCE33576B315ECECBB6406837BF51F5'
+  }),
+  ristretto255: ristrettoGroup
+};
+
+const CURVES = Object.keys(FACTORIES);
+const groups = new Map();
+
+/**
+ * The group for a curve name (built once)
+ *
+ * @param {string} [name] - One of CURVES (default secp256k1)
+ */
+function getGroup(name = DEFAULT_CURVE) {
+  if (!FACTORIES[name]) {
+    throw new Error(`Unknown curve: ${name}`);
+  }
+  if (!groups.has(name)) {
+    groups.set(name, FACTORIES[name]());
+  }
+  return groups.get(name);
+}
+
+/**
+ * The group a point belongs to
+ */
+function groupOf(point) {
+  for (const group of groups.values()) {
+    if (group.curve === point.curve) {
+      return group;
+    }
+  }
+  throw new Error('Point is not from a known group');
+}
+
+module.exports = {
+  CURVES,
+  DEFAULT_CURVE,
+  getGroup,
+  groupOf
+};
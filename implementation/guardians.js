@@ -0,0 +1,283 @@
+/**
+ * VSDL - Guardians and legal representatives
+ *
+ * Many owners (an elderly parent, a minor, an adult under curatorship)
+ * cannot use the portal themselves. A guardianship lets another citizen,
+ * the guardian, sign in as themselves and issue delegations for the owner
+ * (the ward):
+ *
+ *   { guardianshipId, guardianId, wardId,
+ *     legalBasis: { type, reference, authority? },
+ *     validFrom, validUntil,
+ *     scope: { policies, maxExpiresIn?, maxDepth? },
+ *     status: 'active' | 'revoked' }
+ *
+ *   type   court-order | power-of-attorney | statutory
+ *   scope  policies the guardian may issue tokens under, the longest
+ *          lifetime (seconds) and sub-delegation depth they may grant
+ *
+ * The guardian signs the commitment with their own owner key, under a
+ * domain that names the guardianship (owner.signingDigest), and the token
+ * carries a `guardian` claim so delegates see it was not the owner:
+ *
+ *   guardian: { id, sub: SHA-256(guardianId)[0..16], legalBasis, validUntil }
+ *
+ * Tokens must expire before the guardianship does. When it ends or is
+ * revoked, tokens issued under it stop working. Guardian actions are
+ * recorded in the ward's audit chain.
+ *
+ * Guardianships are registered by the registrar, not through the API:
+ *
+ * Usage: node guardians.js register <file.json>   (one guardianship or an array)
+ *        node guardians.js revoke <guardianshipId>
+ *        node guardians.js list
+ *   Works on the file store (VSDL_STORAGE_FILE, VSDL_STORAGE_KEY) while the
+ *   server is stopped.
+ */
+
+const crypto = require('crypto');
+const { validate } = require('./validation');
+
+const LEGAL_BASES = ['court-order', 'power-of-attorney', 'statutory'];
+
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const instant = { type: 'string', required: true, pattern: '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?Z)?$' };
+
+const GUARDIANSHIP_SCHEMA = {
+  guardianId: text(200, { required: true }),
+  wardId: text(200, { required: true }),
+  legalBasis: {
+    type: 'object',
+    required: true,
+    fields: {
+      type: { type: 'string', required: true, enum: LEGAL_BASES },
+      reference: text(200, { required: true }),
+      authority: text(200)
+    }
+  },
+  validFrom: instant,
+  validUntil: instant,
+  scope: {
+    type: 'object',
+    required: true,
+    fields: {
+      policies: { type: 'array', required: true, minItems: 1, maxItems: 100, items: text(200) },
+      maxExpiresIn: { type: 'integer', min: 1 },
+      maxDepth: { type: 'integer', min: 0 }
+    }
+  }
+};
+
+/**
+ * Guardian-facing state of a guardianship at a time
+ *
+ * @returns {string} 'active' | 'pending' (not yet valid) | 'expired' | 'revoked'
+ */
+function guardianshipStatus(guardianship, now = Date.now()) {
+  if (guardianship.status === 'revoked') {
+    return 'revoked';
+  }
+  if (now < Date.parse(guardianship.validFrom)) {
+    return 'pending';
+  }
+  return now < Date.parse(guardianship.validUntil) ? 'active' : 'expired';
+}
+
+/**
+ * `guardian` claim of tokens issued under a guardianship
+ */
+function guardianClaim(guardianship) {
+  return {
+    id: guardianship.guardianshipId,
+    sub: crypto.createHash('sha256').update(guardianship.guardianId).digest('hex').slice(0, 16),
+    legalBasis: guardianship.legalBasis.type,
+    validUntil: Math.floor(Date.parse(guardianship.validUntil) / 1000)
+  };
+}
+
+/**
+ * Guardianships over a storage adapter
+ *
+ * @param {Object} storage - Adapter with get/put/listGuardianships and getCitizen
+ * @returns {Object} Guardianship registry
+ */
+function createGuardianships(storage) {
+  /**
+   * Validate and store a guardianship
+   *
+   * @param {Object} input - See GUARDIANSHIP_SCHEMA
+   * @param {Object} [options] - { isPolicy: returns true for known policy ids }
+   * @returns {Object} { errors: string[], guardianship }
+   */
+  function register(input, { isPolicy = () => true } = {}) {
+    const errors = validate(GUARDIANSHIP_SCHEMA, input).map(p => p.message);
+    if (errors.length > 0) {
+      return { errors, guardianship: null };
+    }
+
+    const { guardianId, wardId, legalBasis, validFrom, validUntil, scope } = input;
+    if (guardianId === wardId) {
+      errors.push('A citizen cannot be their own guardian');
+    }
+    for (const citizenId of [guardianId, wardId]) {
+      if (!storage.getCitizen(citizenId)) {
+        errors.push(`Citizen not found: ${citizenId}`);
+      }
+    }
+    const from = Date.parse(validFrom);
+    const until = Date.parse(validUntil);
+    if (Number.isNaN(from) || Number.isNaN(until)) {
+      errors.push('validFrom and validUntil must be real dates');
+    } else if (until <= from) {
+      errors.push('validUntil must be after validFrom');
+    }
+    for (const policyId of scope.policies.filter(id => !isPolicy(id))) {
+      errors.push(`Unknown policy in scope: ${policyId}`);
+    }
+    const overlapping = storage.listGuardianships().find(g =>
+      g.guardianId === guardianId && g.wardId === wardId && g.status !== 'revoked' &&
+      Date.parse(g.validFrom) < until && from < Date.parse(g.validUntil));
+    if (overlapping) {
+      errors.push(`${guardianId} is already guardian of ${wardId} for that period (${overlapping.guardianshipId})`);
+    }
+    if (errors.length > 0) {
+      return { errors, guardianship: null };
+    }
+
+    const guardianship = {
+      guardianshipId: `gdn-${crypto.randomBytes(8).toString('hex')}`,
+      guardianId,
+      wardId,
+      legalBasis: { ...legalBasis },
+      validFrom: new Date(from).toISOString(),
+      validUntil: new Date(until).toISOString(),
+      scope: { maxDepth: 0, ...scope, policies: [...scope.policies] },
+      status: 'active',
+      createdAt: Date.now()
+    };
+    storage.putGuardianship(guardianship.guardianshipId, guardianship);
+    return { errors, guardianship };
+  }
+
+  /**
+   * Revoke a guardianship; tokens issued under it stop working
+   *
+   * @returns {Object|null} The revoked guardianship, or null if unknown
+   */
+  function revoke(guardianshipId) {
+    const guardianship = storage.getGuardianship(guardianshipId);
+    if (!guardianship) {
+      return null;
+    }
+    if (guardianship.status !== 'revoked') {
+      guardianship.status = 'revoked';
+      guardianship.revokedAt = Date.now();
+      storage.putGuardianship(guardianshipId, guardianship);
+    }
+    return guardianship;
+  }
+
+  /**
+   * The guardianship under which a guardian may act for a ward now, or null
+   */
+  function activeFor(guardianId, wardId, now = Date.now()) {
+    return storage.listGuardianships().find(g =>
+      g.guardianId === guardianId && g.wardId === wardId && guardianshipStatus(g, now) === 'active') || null;
+  }
+
+  /**
+   * Why a token request falls outside a guardianship's scope
+   *
+   * @param {Object} guardianship
+   * @param {Object} request - { policyId, expiresIn, maxDepth }
+   * @returns {string[]} errors
+   */
+  function scopeErrors(guardianship, { policyId, expiresIn, maxDepth = 0 }, now = Date.now()) {
+    const { scope } = guardianship;
+    const errors = [];
+    if (!scope.policies.includes(policyId)) {
+      errors.push(`Policy ${policyId} is outside the guardianship (allowed: ${scope.policies.join(', ')})`);
+    }
+    if (scope.maxExpiresIn !== undefined && expiresIn > scope.maxExpiresIn) {
+      errors.push(`The guardianship allows tokens of at most ${scope.maxExpiresIn} seconds`);
+    }
+    if (now + expiresIn * 1000 > Date.parse(guardianship.validUntil)) {
+      errors.push(`Tokens must expire by the end of the guardianship (${guardianship.validUntil})`);
+    }
+    if (maxDepth > scope.maxDepth) {
+      errors.push(`The guardianship allows sub-delegation up to ${scope.maxDepth} level(s)`);
+    }
+    return errors;
+  }
+
+  /**
+   * Guardianships a citizen holds and those held over them, with status
+   */
+  function listFor(citizenId, now = Date.now()) {
+    const withStatus = g => ({ ...g, status: guardianshipStatus(g, now) });
+    const all = storage.listGuardianships();
+    return {
+      asGuardian: all.filter(g => g.guardianId === citizenId).map(withStatus),
+      asWard: all.filter(g => g.wardId === citizenId).map(withStatus)
+    };
+  }
+
+  return {
+    register,
+    revoke,
+    get: guardianshipId => storage.getGuardianship(guardianshipId),
+    activeFor,
+    scopeErrors,
+    listFor
+  };
+}
+
+module.exports = {
+  LEGAL_BASES,
+  GUARDIANSHIP_SCHEMA,
+  createGuardianships,
+  guardianClaim,
+  guardianshipStatus
+};
+
+if (require.main === module) {
+  const fs = require('fs');
+  const { createStorage } = require('./storage');
+
+  const [command, arg] = process.argv.slice(2);
+  if (!(['register', 'revoke'].includes(command) && arg) && command !== 'list') {
+    console.log('Usage: node guardians.js register <file.json> | revoke <guardianshipId> | list');
+    process.exit(1);
+  }
+
+  const storage = createStorage({ type: 'file', file: process.env.VSDL_STORAGE_FILE, key: process.env.VSDL_STORAGE_KEY });
+  const guardianships = createGuardianships(storage);
+
+  if (command === 'register') {
+    const input = JSON.parse(fs.readFileSync(arg, 'utf8'));
+    for (const entry of [].concat(input)) {
+      const { errors, guardianship } = guardianships.register(entry);
+      if (errors.length > 0) {
+        console.log(`Refused ${entry && entry.guardianId} -> ${entry && entry.wardId}:`);
+        errors.forEach(error => console.log(`  ${error}`));
+        process.exitCode = 1;
+      } else {
+        console.log(`Registered ${guardianship.guardianshipId}: ${guardianship.guardianId} -> ${guardianship.wardId} until ${guardianship.validUntil}`);
+      }
+    }
+  } else if (command === 'revoke') {
+    const guardianship = guardianships.revoke(arg);
+    if (guardianship) {
+      console.log(`Revoked ${arg}`);
+    } else {
+      console.log(`No guardianship ${arg}`);
+      process.exitCode = 1;
+    }
+  } else {
+    for (const g of storage.listGuardianships()) {
+      console.log(`${g.guardianshipId}  ${g.guardianId} -> ${g.wardId}  ${guardianshipStatus(g)}  ` +
+        `${g.legalBasis.type} ${g.legalBasis.reference}  ${g.validFrom} .. ${g.validUntil}  ` +
+        `policies: ${g.scope.policies.join(', ')}`);
+    }
+  }
+}
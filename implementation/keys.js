@@ -0,0 +1,119 @@
+/**
+ * VSDL - Token signing key ring (ES256)
+ *
+ * Delegation tokens are signed with ECDSA P-256 keys kept on disk, so they
+ * survive restarts and anyone can validate them from the published JWKS
+ * without sharing a secret.
+ *
+ * Layout of the key directory (VSDL_KEY_DIR, default ./keys):
+ *   <kid>.pem   - PKCS#8 private key, one per generation
+ *   active      - kid used to sign new tokens
+ *
+ * The kid is the RFC 7638 JWK thumbprint of the public key. Rotating adds a
+ * new key and makes it active; older keys stay in the JWKS so tokens they
+ * signed keep validating until they expire.
+ *
+ * Usage: node keys.js rotate
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_KEY_DIR = path.join(__dirname, 'keys');
+const ALGORITHM = 'ES256';
+
+/**
+ * RFC 7638 thumbprint of an EC public JWK
+ */
+function thumbprint(jwk) {
+  const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+  return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+/**
+ * Generate a new P-256 key, write it to the key directory and make it active
+ *
+ * @param {string} dir - Key directory
+ * @returns {string} kid of the new key
+ */
+function rotateKey(dir = DEFAULT_KEY_DIR) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const kid = thumbprint(publicKey.export({ format: 'jwk' }));
+
+  fs.writeFileSync(
+    path.join(dir, `${kid}.pem`),
+    privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    { mode: 0o600 }
+  );
+  fs.writeFileSync(path.join(dir, 'active'), kid + '\n');
+
+  return kid;
+}
+
+/**
+ * Load every key in the key directory, creating the first one if needed
+ *
+ * @param {string} dir - Key directory
+ * @returns {Object} Key ring: { active, get(kid), jwks() }
+ */
+function loadKeyRing(dir = DEFAULT_KEY_DIR) {
+  const activePath = path.join(dir, 'active');
+  if (!fs.existsSync(activePath)) {
+    rotateKey(dir);
+  }
+
+  const keys = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.pem')) {
+      continue;
+    }
+
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(dir, file)));
+    const publicKey = crypto.createPublicKey(privateKey);
+    const jwk = publicKey.export({ format: 'jwk' });
+    const kid = thumbprint(jwk);
+
+    keys.set(kid, {
+      kid,
+      privateKey,
+      publicKey,
+      jwk: { ...jwk, kid, alg: ALGORITHM, use: 'sig' }
+    });
+  }
+
+  const activeKid = fs.readFileSync(activePath, 'utf8').trim();
+  const active = keys.get(activeKid);
+  if (!active) {
+    throw new Error(`Active signing key ${activeKid} not found in ${dir}`);
+  }
+
+  return {
+    algorithm: ALGORITHM,
+    active,
+    get: kid => keys.get(kid) || null,
+    jwks: () => ({ keys: [...keys.values()].map(k => k.jwk) })
+  };
+}
+
+module.exports = {
+  ALGORITHM,
+  loadKeyRing,
+  rotateKey,
+  thumbprint
+};
+
+if (require.main === module) {
+  const [command] = process.argv.slice(2);
+  const dir = process.env.VSDL_KEY_DIR || DEFAULT_KEY_DIR;
+
+  if (command === 'rotate') {
+    console.log('New active signing key: ' + rotateKey(dir));
+    console.log('Restart the server to sign with it.');
+  } else {
+    console.log('Usage: node keys.js rotate');
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * VSDL - Merkle tree of field commitments for structured records
+ *
+ * Record fields may hold objects and arrays. Every leaf value gets its own
+ * Pedersen commitment, with its path as the field name:
+ *
+ *   taxRecords.taxPaid   propertyRecords[0]   propertyRecords[0].city
+ *
+ * and the tree mirrors the record. Each node commits to its subtree:
+ *
+ *   leaf:  C = g^m · h^r · j^{H(path)}    digest = null
+ *   node:  C = ∏ C_child                  digest = SHA-256( [hash(child), ...] )
+ *   hash   = SHA-256( ["VSDL-MERKLE-V1", path, C, digest] )
+ *
+ * with C encoded as its group encodes points (group.js), so the tree
+ * works on every curve.
+ *
+ * Children are ordered by key, array items by index. The root (path "")
+ * has C = C_D, and its hash is the `fieldRoot` the owner signs.
+ *
+ * A policy names nodes at any depth, which must cover every leaf exactly
+ * once. The delegate gets the openings of the visible leaves and
+ * (path, C, digest) of each hidden node, and from those alone rebuilds
+ * every ancestor up to the root (rollUp). The partition C_D = C_H · C_F
+ * therefore holds at any depth, and a hidden subtree reveals nothing
+ * about its contents.
+ */
+
+const crypto = require('crypto');
+const pedersen = require('./pedersen');
+const { groupOf } = require('./group');
+
+const MERKLE_DOMAIN = 'VSDL-MERKLE-V1';
+const KEY = /^[^.[\]]+$/;
+
+/**
+ * Split a path into keys (strings) and array indices (numbers)
+ *
+ * @returns {Array|null} Segments, or null if the path is malformed
+ */
+function parsePath(path) {
+  if (typeof path !== 'string' || path === '') {
+    return null;
+  }
+
+  const segments = [];
+  const pattern = /(?:^|\.)([^.[\]]+)|\[(0|[1-9]\d*)\]/y;
+  let match;
+  while (pattern.lastIndex < path.length && (match = pattern.exec(path)) !== null) {
+    segments.push(match[1] !== undefined ? match[1] : Number(match[2]));
+  }
+
+  return typeof segments[0] === 'string' && joinPath(segments) === path ? segments : null;
+}
+
+/**
+ * Inverse of parsePath()
+ */
+function joinPath(segments) {
+  return segments
+    .map((segment, i) => (typeof segment === 'number' ? `[${segment}]` : i === 0 ? segment : `.${segment}`))
+    .join('');
+}
+
+/**
+ * Path of a node's parent ("" for top-level fields)
+ */
+function parentPath(path) {
+  const match = path.match(/^(.+?)(\.[^.[\]]+|\[\d+\])$/);
+  return match ? match[1] : '';
+}
+
+/**
+ * True if `path` is `ancestor` or lies below it
+ */
+function isWithin(path, ancestor) {
+  return ancestor === '' || path === ancestor ||
+    path.startsWith(ancestor + '.') || path.startsWith(ancestor + '[');
+}
+
+/**
+ * Leaves of a (sub)record as { path, value }, in document order
+ *
+ * Empty objects and arrays are leaves with value "{}" or "[]".
+ *
+ * @param {*} value - Record, or a value found at `path`
+ * @param {string} [path] - Path of `value` within the record
+ */
+function flattenRecord(value, path = '') {
+  if (value === null || typeof value !== 'object') {
+    return [{ path, value }];
+  }
+
+  const entries = Array.isArray(value) ? value.map((item, i) => [i, item]) : Object.entries(value);
+  if (entries.length === 0) {
+    return [{ path, value: JSON.stringify(value) }];
+  }
+
+  return entries.flatMap(([key, item]) => {
+    if (typeof key === 'string' && !KEY.test(key)) {
+      throw new Error(`Field name "${key}" cannot contain ".", "[" or "]"`);
+    }
+    const child = typeof key === 'number' ? `${path}[${key}]` : path === '' ? key : `${path}.${key}`;
+    return flattenRecord(item, child);
+  });
+}
+
+/**
+ * Every node path of a record (not the root), in document order
+ */
+function recordPaths(record) {
+  const paths = new Set();
+  for (const { path } of flattenRecord(record)) {
+    const segments = parsePath(path);
+    for (let i = 1; i <= segments.length; i++) {
+      paths.add(joinPath(segments.slice(0, i)));
+    }
+  }
+  return [...paths];
+}
+
+/**
+ * Value at a path, or undefined
+ */
+function valueAt(record, path) {
+  const segments = parsePath(path);
+  if (!segments) {
+    return undefined;
+  }
+  return segments.reduce(
+    (value, segment) => (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, segment) ? value[segment] : undefined),
+    record
+  );
+}
+
+/**
+ * Check that a set of paths covers every leaf of a record exactly once
+ *
+ * @param {string[]} entries - Paths named by a policy
+ * @param {string[]} paths - recordPaths() of the record
+ * @returns {string[]} errors
+ */
+function coverErrors(entries, paths) {
+  const errors = [];
+
+  entries.forEach((entry, i) => {
+    if (!paths.includes(entry)) {
+      errors.push(`Field not in record: ${entry}`);
+    }
+    for (const other of entries.slice(0, i)) {
+      if (other === entry) {
+        errors.push(`Field listed more than once: ${entry}`);
+      } else if (isWithin(entry, other) || isWithin(other, entry)) {
+        errors.push(`Fields overlap: ${other} and ${entry}`);
+      }
+    }
+  });
+
+  const leaves = paths.filter(path => !paths.some(other => other !== path && isWithin(other, path)));
+  for (const leaf of leaves.filter(leaf => !entries.some(entry => isWithin(leaf, entry)))) {
+    errors.push(`Field neither visible nor hidden: ${leaf}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Fewest nodes covering every leaf not covered by `visible`
+ *
+ * @param {string[]} paths - recordPaths() of the record
+ * @param {string[]} visible - Visible paths
+ * @param {string[]} [within] - Split only these nodes (default: the top-level fields)
+ * @returns {string[]} Hidden paths
+ */
+function complementPaths(paths, visible, within = null) {
+  const hidden = [];
+  const consider = path => {
+    if (visible.some(v => isWithin(path, v))) {
+      return;
+    }
+    if (visible.some(v => isWithin(v, path))) {
+      paths.filter(p => parentPath(p) === path).forEach(consider);
+    } else {
+      hidden.push(path);
+    }
+  };
+  (within || paths.filter(p => parentPath(p) === '')).forEach(consider);
+  return hidden;
+}
+
+/**
+ * Hash of a node
+ */
+function nodeHash(path, commitment, digest) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([MERKLE_DOMAIN, path, groupOf(commitment).encode(commitment), digest]))
+    .digest('hex');
+}
+
+/**
+ * Sibling order: keys by code unit, array items by index
+ */
+function compareSiblings(a, b) {
+  const x = parsePath(a).pop();
+  const y = parsePath(b).pop();
+  if (typeof x === 'number' && typeof y === 'number') {
+    return x - y;
+  }
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Rebuild every ancestor of a set of nodes up to the root
+ *
+ * The nodes must not overlap. Each ancestor's children must all be given
+ * or be ancestors themselves, which holds whenever the nodes cover every
+ * leaf of the record.
+ *
+ * @param {Object[]} frontier - [{ path, commitment: Point, digest }]
+ * @returns {Map} path -> { path, commitment, digest, hash }, including the root ""
+ */
+function rollUp(frontier) {
+  const nodes = new Map();
+  const children = new Map();
+
+  for (const { path, commitment, digest } of frontier) {
+    if (!parsePath(path) || nodes.has(path)) {
+      throw new Error(`Malformed or repeated path: ${path}`);
+    }
+    nodes.set(path, { path, commitment, digest, hash: nodeHash(path, commitment, digest) });
+  }
+
+  const pending = [...nodes.keys()];
+  while (pending.length > 0) {
+    const path = pending.pop();
+    const parent = parentPath(path);
+    if (!children.has(parent)) {
+      children.set(parent, []);
+      if (parent !== '') {
+        pending.push(parent);
+      }
+    }
+    children.get(parent).push(path);
+  }
+
+  // Deepest first, so every child is done before its parent
+  const depth = path => (path === '' ? 0 : parsePath(path).length);
+  const ancestors = [...children.keys()].sort((a, b) => depth(b) - depth(a));
+
+  for (const path of ancestors) {
+    if (nodes.has(path)) {
+      throw new Error(`Paths overlap below ${path}`);
+    }
+    const kids = children.get(path).sort(compareSiblings).map(kid => nodes.get(kid));
+    const commitment = kids.slice(1).reduce((sum, kid) => sum.add(kid.commitment), kids[0].commitment);
+    const digest = crypto.createHash('sha256')
+      .update(JSON.stringify(kids.map(kid => kid.hash)))
+      .digest('hex');
+    nodes.set(path, { path, commitment, digest, hash: nodeHash(path, commitment, digest) });
+  }
+
+  if (!nodes.has('')) {
+    throw new Error('Tree has no root');
+  }
+  return nodes;
+}
+
+/**
+ * Commit to a (possibly nested) record
+ *
+ * @param {Object} record
+ * @param {Object} [randomness] - Leaf path -> BN, to recompute a stored commitment
+ * @param {string} [curve] - Curve of the commitments (default secp256k1)
+ * @param {Object} [context] - Field encoding context (see pedersen.commitField)
+ * @returns {Object} pedersen.commitRecord() result over the leaves, plus
+ *                   tree (see rollUp) and fieldRoot (root hash)
+ */
+function commitRecord(record, randomness = {}, curve = pedersen.DEFAULT_CURVE, context = null) {
+  const leaves = Object.fromEntries(flattenRecord(record).map(({ path, value }) => [path, value]));
+  const result = pedersen.forCurve(curve).commitRecord(leaves, randomness, context);
+  const tree = rollUp(Object.values(result.fieldCommitments).map(fc => ({
+    path: fc.fieldName,
+    commitment: fc.commitment,
+    digest: null
+  })));
+  return { ...result, tree, fieldRoot: tree.get('').hash };
+}
+
+/**
+ * Root hash of the tree over a full set of leaf openings
+ *
+ * @param {Object[]} openings - [{ fieldName: path, value, randomness, type? }]
+ * @param {string} [curve] - Curve of the commitments (default secp256k1)
+ * @param {Object} [context] - Field encoding context (see pedersen.commitField)
+ */
+function rootFromOpenings(openings, curve = pedersen.DEFAULT_CURVE, context = null) {
+  const { recomputeCommitment } = pedersen.forCurve(curve);
+  const tree = rollUp(openings.map(opening => ({
+    path: opening.fieldName,
+    commitment: recomputeCommitment([opening], context).commitment,
+    digest: null
+  })));
+  return tree.get('').hash;
+}
+
+/**
+ * Node as sent to a delegate
+ */
+function serializeNode({ path, commitment, digest }) {
+  return { path, commitment: groupOf(commitment).encode(commitment), digest };
+}
+
+module.exports = {
+  commitRecord,
+  complementPaths,
+  coverErrors,
+  flattenRecord,
+  isWithin,
+  parentPath,
+  parsePath,
+  recordPaths,
+  rollUp,
+  rootFromOpenings,
+  serializeNode,
+  valueAt
+};
@@ -0,0 +1,281 @@
+/**
+ * VSDL - Fixed-base tables and multi-scalar multiplication
+ *
+ * Commitments multiply the same three generators over and over, and
+ * verification sums many arbitrary points with scalars. Both are much
+ * cheaper done as a batch than as one full scalar multiplication at a time.
+ *
+ * Fixed base (G, H, J): for a window of w bits, precompute
+ *
+ *   T[i][d] = d · 2^{w·i} · P     d = 1 .. 2^w - 1
+ *
+ * so k·P = Σ_i T[i][k_i] for the w-bit digits k_i of k: additions only,
+ * no doublings.
+ *
+ * Multi-scalar (Σ k_i · P_i):
+ * - Straus for a few points: one shared chain of doublings, each point
+ *   adding its own window of multiples
+ * - Pippenger for many: per window, drop each point into the bucket of
+ *   its digit, then sum the buckets with a running sum
+ *
+ * Works on elliptic's short-Weierstrass curves and on its Edwards curves
+ * (for ristretto255). Sums stay in Jacobian (Weierstrass) or projective
+ * (Edwards) coordinates, and tables are made affine with a single
+ * inversion (Montgomery's trick).
+ */
+
+const BN = require('bn.js');
+
+const FIXED_WINDOW = 4;
+const STRAUS_WINDOW = 4;
+const STRAUS_MAX_POINTS = 32;
+
+/**
+ * Point in the coordinates sums are kept in (Edwards points already are)
+ */
+function lift(point) {
+  return point.curve.type === 'short' ? point.toJ() : point;
+}
+
+/**
+ * Identity in the coordinates sums are kept in
+ */
+function zero(curve) {
+  return curve.type === 'short' ? curve.jpoint(null, null, null) : curve.point(null, null, null);
+}
+
+/**
+ * 2^n · P
+ */
+function dblp(point, n) {
+  if (point.dblp) {
+    return point.dblp(n);
+  }
+  let result = point;
+  for (let i = 0; i < n; i++) {
+    result = result.dbl();
+  }
+  return result;
+}
+
+/**
+ * Make Jacobian (or projective) points affine with one field inversion for
+ * the batch
+ *
+ * @param {Object[]} jpoints - Jacobian or projective points on one curve
+ * @returns {Object[]} Affine points, in order
+ */
+function toAffine(jpoints) {
+  if (jpoints.length === 0) {
+    return [];
+  }
+
+  const curve = jpoints[0].curve;
+  const finite = jpoints.filter(p => !p.isInfinity());
+
+  // prefix[i] = z_0 · z_1 · ... · z_{i-1}
+  const prefix = [];
+  let product = curve.one;
+  for (const p of finite) {
+    prefix.push(product);
+    product = product.redMul(p.z);
+  }
+
+  let inverse = finite.length > 0 ? product.redInvm() : null;
+  const affine = new Map();
+  for (let i = finite.length - 1; i >= 0; i--) {
+    const p = finite[i];
+    const zinv = inverse.redMul(prefix[i]);
+    inverse = inverse.redMul(p.z);
+
+    if (curve.type === 'short') {
+      const zinv2 = zinv.redSqr();
+      affine.set(p, curve.point(p.x.redMul(zinv2), p.y.redMul(zinv2).redMul(zinv)));
+    } else {
+      affine.set(p, curve.point(p.x.redMul(zinv), p.y.redMul(zinv)));
+    }
+  }
+
+  return jpoints.map(p => affine.get(p) || curve.point(null, null, null));
+}
+
+/**
+ * Digits of a scalar in base 2^w, least significant first
+ */
+function digits(k, w, count) {
+  const out = new Array(count).fill(0);
+  for (let bit = 0; bit < count * w; bit++) {
+    if (k.testn(bit)) {
+      out[Math.floor(bit / w)] |= 1 << (bit % w);
+    }
+  }
+  return out;
+}
+
+/**
+ * Precompute the fixed-base table of a point
+ *
+ * @param {Point} point - Affine point
+ * @param {number} [bits] - Largest scalar size (defaults to the curve order)
+ * @param {number} [window]
+ * @returns {Object} { point, window, rows: [[null, 1·B_i, 2·B_i, ...]] } with B_i = 2^{w·i}·P
+ */
+function fixedBase(point, bits = point.curve.n.bitLength(), window = FIXED_WINDOW) {
+  const count = Math.ceil(bits / window);
+  const size = 1 << window;
+  const flat = [];
+
+  let base = lift(point);
+  for (let i = 0; i < count; i++) {
+    let multiple = base;
+    flat.push(multiple);
+    for (let d = 2; d < size; d++) {
+      multiple = multiple.add(base);
+      flat.push(multiple);
+    }
+    base = dblp(base, window);
+  }
+
+  const affine = toAffine(flat);
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    rows.push([null, ...affine.slice(i * (size - 1), (i + 1) * (size - 1))]);
+  }
+
+  return { point, window, rows };
+}
+
+/**
+ * k · P from a fixed-base table, in Jacobian (or projective) coordinates
+ */
+function fixedBaseMulJ(table, k) {
+  const scalar = k.umod(table.point.curve.n);
+  const ks = digits(scalar, table.window, table.rows.length);
+
+  let acc = zero(table.point.curve);
+  ks.forEach((d, i) => {
+    if (d !== 0) {
+      acc = acc.mixedAdd(table.rows[i][d]);
+    }
+  });
+  return acc;
+}
+
+/**
+ * k · P from a fixed-base table
+ */
+function fixedBaseMul(table, k) {
+  return fixedBaseMulJ(table, k).toP();
+}
+
+/**
+ * Straus: Σ k_i · P_i with one shared chain of doublings
+ */
+function straus(points, scalars) {
+  const curve = points[0].curve;
+  const w = STRAUS_WINDOW;
+  const size = 1 << w;
+  const count = Math.ceil(Math.max(...scalars.map(k => k.bitLength()), 1) / w);
+
+  // Multiples 1·P .. (2^w - 1)·P of every point
+  const flat = [];
+  for (const p of points) {
+    const pj = lift(p);
+    let multiple = pj;
+    flat.push(multiple);
+    for (let d = 2; d < size; d++) {
+      multiple = multiple.add(pj);
+      flat.push(multiple);
+    }
+  }
+  const affine = toAffine(flat);
+  const ks = scalars.map(k => digits(k, w, count));
+
+  let acc = zero(curve);
+  for (let i = count - 1; i >= 0; i--) {
+    acc = dblp(acc, w);
+    ks.forEach((kd, j) => {
+      if (kd[i] !== 0) {
+        acc = acc.mixedAdd(affine[j * (size - 1) + kd[i] - 1]);
+      }
+    });
+  }
+  return acc.toP();
+}
+
+/**
+ * Pippenger: Σ k_i · P_i with one bucket per window digit
+ */
+function pippenger(points, scalars) {
+  const curve = points[0].curve;
+  const c = Math.max(2, Math.floor(Math.log2(points.length)) - 2);
+  const count = Math.ceil(Math.max(...scalars.map(k => k.bitLength()), 1) / c);
+  const ks = scalars.map(k => digits(k, c, count));
+
+  let acc = zero(curve);
+  for (let i = count - 1; i >= 0; i--) {
+    acc = dblp(acc, c);
+
+    const buckets = new Array(1 << c).fill(null);
+    points.forEach((p, j) => {
+      const d = ks[j][i];
+      if (d !== 0) {
+        buckets[d] = buckets[d] === null ? lift(p) : buckets[d].mixedAdd(p);
+      }
+    });
+
+    // Σ d · bucket[d] = running sums from the top bucket down
+    let running = zero(curve);
+    let sum = zero(curve);
+    for (let d = buckets.length - 1; d > 0; d--) {
+      if (buckets[d] !== null) {
+        running = running.add(buckets[d]);
+      }
+      sum = sum.add(running);
+    }
+    acc = acc.add(sum);
+  }
+  return acc.toP();
+}
+
+/**
+ * Multi-scalar multiplication Σ k_i · P_i
+ *
+ * @param {Point[]} points - Affine points on one curve
+ * @param {BN[]} scalars - Non-negative scalars (reduced modulo the order)
+ * @returns {Point}
+ */
+function multiScalarMul(points, scalars) {
+  if (points.length !== scalars.length) {
+    throw new Error('multiScalarMul: points and scalars differ in length');
+  }
+
+  const terms = points
+    .map((p, i) => [p, new BN(scalars[i]).umod(p.curve.n)])
+    .filter(([p, k]) => !p.isInfinity() && !k.isZero());
+  if (terms.length === 0) {
+    return points.length > 0 ? points[0].curve.point(null, null, null) : null;
+  }
+
+  const [ps, ks] = [terms.map(t => t[0]), terms.map(t => t[1])];
+  return ps.length <= STRAUS_MAX_POINTS ? straus(ps, ks) : pippenger(ps, ks);
+}
+
+/**
+ * Sum of points, added in Jacobian (or projective) coordinates
+ */
+function sumPoints(points) {
+  if (points.length === 0) {
+    return null;
+  }
+  return points.slice(1).reduce((acc, p) => acc.mixedAdd(p), lift(points[0])).toP();
+}
+
+module.exports = {
+  fixedBase,
+  fixedBaseMul,
+  fixedBaseMulJ,
+  multiScalarMul,
+  sumPoints,
+  toAffine
+};
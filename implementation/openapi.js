@@ -0,0 +1,211 @@
+/**
+ * VSDL - OpenAPI description of the HTTP API
+ *
+ * Generated from the route table below and the request schemas of
+ * schemas.js (converted by validation.toJsonSchema), so the document
+ * checks the same shapes the server does. Served at /api/openapi.json;
+ * the vsdl-proof/v1 JSON Schema alone at /api/schemas/vsdl-proof-v1.json.
+ *
+ * Usage: node openapi.js [proof]   prints the document (or the proof schema)
+ */
+
+const { REQUEST_SCHEMAS, PROOF_SCHEMA } = require('./schemas');
+const { toJsonSchema } = require('./validation');
+const { PROOF_VERSION } = require('./verifier');
+const { SD_JWT_TYPE, VP_TYPE } = require('./credentials');
+const { version } = require('./package.json');
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// [method, path, summary, { schema: key of REQUEST_SCHEMAS, owner: needs
+// an owner session, data: schema of `data` in the success response }]
+const ROUTES = [
+  ['get', '/vsdl-verifier.js', 'Standalone verifier library (browser bundle)', { script: true }],
+  ['get', '/vsdl-owner.js', 'Owner key and signing library (browser bundle)', { script: true }],
+  ['get', '/.well-known/jwks.json', 'Public keys that sign delegation tokens and credentials', { raw: true }],
+  ['get', '/api/openapi.json', 'This document', { raw: true }],
+  ['get', '/api/schemas/vsdl-proof-v1.json', 'JSON Schema of the vsdl-proof/v1 envelope', { raw: true }],
+  ['get', '/api/generators', 'Generators and parameters of a curve', { schema: 'generators' }],
+  ['post', '/api/auth/login', 'Owner signs in with username and password', { schema: 'login' }],
+  ['post', '/api/auth/challenge', 'Owner requests a sign-in challenge', { schema: 'challenge' }],
+  ['post', '/api/auth/challenge/{challengeId}', 'Owner signs in by answering the challenge', { schema: 'answerChallenge' }],
+  ['get', '/api/auth/session', 'Current owner session', { owner: true }],
+  ['post', '/api/auth/logout', 'End the owner session', { owner: true }],
+  ['get', '/api/policies', 'Predefined (and the signed-in owner\'s) policies'],
+  ['post', '/api/policies', 'Owner defines a custom policy', { schema: 'createPolicy', owner: true }],
+  ['get', '/api/schema', 'Record schema: type, sensitivity and category of every field'],
+  ['get', '/api/citizens/{citizenId}/schema', 'Field names and types of a citizen\'s record', { schema: 'citizen', owner: true }],
+  ['post', '/api/owner/register', 'Owner registers their public key', { schema: 'registerOwner', owner: true }],
+  ['get', '/api/owner/{citizenId}', 'An owner\'s registered public key', { schema: 'citizen' }],
+  ['post', '/api/token/create', 'Owner (or a guardian, onBehalfOf) creates a delegation token draft and signing request', { schema: 'createToken', owner: true }],
+  ['post', '/api/token/{tokenId}/sign', 'Owner consents and signs the commitment; the JWT is issued', { schema: 'signToken', owner: true }],
+  ['post', '/api/token/{tokenId}/revoke', 'Owner revokes a token and its sub-delegations', { schema: 'revokeToken', owner: true }],
+  ['get', '/api/tokens', 'Owner lists their delegations (and those issued as guardian)', { owner: true }],
+  ['get', '/api/guardianships', 'Guardianships held by and over the owner', { owner: true }],
+  ['get', '/api/revocations', 'Signed revocation list'],
+  ['get', '/api/delegate/{token}', 'Delegate accesses the filtered record with its proof (counts one use)', {
+    schema: 'delegate',
+    data: {
+      type: 'object',
+      properties: {
+        filteredRecord: { type: 'object' },
+        allowedActions: { type: 'array', items: { type: 'string' } },
+        usage: { type: 'object' },
+        proof: { $ref: '#/components/schemas/VsdlProofV1' },
+        policy: { type: 'object' },
+        explain: { type: 'object', description: 'Display math, with ?explain=true only' }
+      },
+      required: ['filteredRecord', 'allowedActions', 'usage', 'proof', 'policy']
+    },
+    content: {
+      [SD_JWT_TYPE]: { schema: { type: 'string', description: 'SD-JWT VC of the view (format=sd-jwt)' } },
+      [VP_TYPE]: { schema: { type: 'object', description: 'W3C Verifiable Presentation of the view (format=vp)' } }
+    }
+  }],
+  ['get', '/api/actions', 'Registered delegated actions and their payload schemas'],
+  ['post', '/api/delegate/{token}/actions/{action}', 'Delegate invokes an action', { body: true }],
+  ['post', '/api/delegate/{token}/subdelegate', 'Delegate passes on a narrower token', { schema: 'subdelegate' }],
+  ['post', '/api/delegate/{token}/verification', 'Delegate reports a local verification', { schema: 'verification' }],
+  ['post', '/api/verify', 'Check C_D = C_H · C_F for one partition', { schema: 'verify' }],
+  ['post', '/api/verify/batch', 'Check many partitions at once', { schema: 'verifyBatch' }],
+  ['get', '/api/audit/{citizenId}', 'Owner\'s audit chain with integrity check', { schema: 'citizen', owner: true }]
+];
+
+/**
+ * JSON Schema of the vsdl-proof/v1 envelope
+ */
+function proofJsonSchema() {
+  return {
+    title: PROOF_VERSION,
+    description: 'Proof returned by GET /api/delegate/{token}: compressed points and the openings a delegate needs, nothing for display',
+    ...toJsonSchema(PROOF_SCHEMA)
+  };
+}
+
+/**
+ * Path and query parameters of a route
+ */
+function parametersOf(path, schemas) {
+  const parameters = [];
+  for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+    const rule = schemas.params && schemas.params[name];
+    parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      schema: rule ? toJsonSchema({ [name]: rule }).properties[name] : { type: 'string' }
+    });
+  }
+  if (schemas.query) {
+    const { properties, required = [] } = toJsonSchema(schemas.query);
+    for (const [name, schema] of Object.entries(properties)) {
+      parameters.push({ name, in: 'query', required: required.includes(name), schema });
+    }
+  }
+  return parameters;
+}
+
+/**
+ * OpenAPI operation of one route
+ */
+function operationOf(path, summary, options) {
+  const schemas = REQUEST_SCHEMAS[options.schema] || {};
+  const operation = { summary };
+
+  const parameters = parametersOf(path, schemas);
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+  if (schemas.body || options.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: schemas.body ? toJsonSchema(schemas.body) : { type: 'object' } } }
+    };
+  }
+  if (options.owner) {
+    operation.security = [{ ownerSession: [] }];
+  }
+
+  let success;
+  if (options.script) {
+    success = { 'application/javascript': { schema: { type: 'string' } } };
+  } else if (options.raw) {
+    success = { 'application/json': { schema: { type: 'object' } } };
+  } else {
+    success = {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: { success: { const: true }, data: options.data || { type: 'object' } },
+          required: ['success', 'data']
+        }
+      },
+      ...options.content
+    };
+  }
+
+  operation.responses = {
+    200: { description: 'Success', content: success },
+    default: {
+      description: 'Error',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    }
+  };
+  return operation;
+}
+
+/**
+ * The OpenAPI 3.1 document of the API
+ *
+ * @returns {Object}
+ */
+function buildOpenApi() {
+  const paths = {};
+  for (const [method, path, summary, options = {}] of ROUTES) {
+    paths[path] = paths[path] || {};
+    paths[path][method] = operationOf(path, summary, options);
+  }
+
+  return {
+    openapi: '3.1.0',
+    jsonSchemaDialect: JSON_SCHEMA_DIALECT,
+    info: {
+      title: 'VSDL - Verifiable Smart Delegation Links',
+      version,
+      description: 'Owners delegate a filtered view of their record; delegates verify it against the owner-signed commitment.'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        ownerSession: { type: 'http', scheme: 'bearer', description: 'Session token from /api/auth/login or /api/auth/challenge/{challengeId}' }
+      },
+      schemas: {
+        VsdlProofV1: proofJsonSchema(),
+        Error: {
+          type: 'object',
+          properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            code: { type: 'string', description: 'Machine-readable error code, e.g. INVALID_POINT' },
+            details: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['success', 'error', 'code']
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  JSON_SCHEMA_DIALECT,
+  buildOpenApi,
+  proofJsonSchema
+};
+
+if (require.main === module) {
+  const [what] = process.argv.slice(2);
+  const document = what === 'proof'
+    ? { $schema: JSON_SCHEMA_DIALECT, ...proofJsonSchema() }
+    : buildOpenApi();
+  console.log(JSON.stringify(document, null, 2));
+}
@@ -0,0 +1,235 @@
+/**
+ * VSDL Owner - Owner keypairs and record commitment signatures
+ *
+ * Each citizen holds a secp256k1 ECDSA keypair on their own device. At
+ * token creation the owner signs the record commitment and policy hash,
+ * so a server that commits to fabricated data cannot produce a token the
+ * delegate will accept:
+ *
+ *   σ = ECDSA_sk( SHA-256( ["VSDL-OWNER-SIG-V3", jti, sub, C_D, policyHash, fieldRoot, curve] ) )
+ *
+ * where fieldRoot is the root of the Merkle tree over the field
+ * commitments (merkle.js) and curve the group they live in (group.js).
+ * Older tokens carry no curve (secp256k1) and are signed as
+ * ["VSDL-OWNER-SIG-V2", jti, sub, C_D, policyHash, fieldRoot]; those issued
+ * before field trees carry no fieldRoot either and are signed as
+ * ["VSDL-OWNER-SIG-V1", jti, sub, C_D, policyHash].
+ *
+ * A guardian issuing a token for their ward (guardians.js) signs with their
+ * own key under a separate domain that covers the `guardian` claim, so the
+ * signature cannot pass as the owner's own:
+ *
+ *   σ = ECDSA_sk( SHA-256( ["VSDL-GUARDIAN-SIG-V1", jti, sub, C_D, policyHash, fieldRoot, curve,
+ *                           guardian.id, guardian.legalBasis, guardian.validUntil] ) )
+ *
+ * Owner keys are secp256k1 whatever curve the commitments use.
+ *
+ * The same key authorizes revoking a token:
+ *
+ *   σ = ECDSA_sk( SHA-256( ["VSDL-OWNER-REVOKE-V1", jti] ) )
+ *
+ * and signing in, by answering a server challenge (see auth.js):
+ *
+ *   σ = ECDSA_sk( SHA-256( ["VSDL-OWNER-AUTH-V1", challengeId, challenge] ) )
+ *
+ * Runs in Node and in the browser (served as /vsdl-owner.js).
+ */
+
+const crypto = require('crypto');
+const pedersen = require('./pedersen');
+const merkle = require('./merkle');
+const { fieldContext } = require('./encoding');
+const { getGroup } = require('./group');
+
+const ec = getGroup('secp256k1').ec;
+const SIGNATURE_DOMAIN = 'VSDL-OWNER-SIG-V3';
+const TREE_SIGNATURE_DOMAIN = 'VSDL-OWNER-SIG-V2';
+const LEGACY_SIGNATURE_DOMAIN = 'VSDL-OWNER-SIG-V1';
+const GUARDIAN_SIGNATURE_DOMAIN = 'VSDL-GUARDIAN-SIG-V1';
+const REVOCATION_DOMAIN = 'VSDL-OWNER-REVOKE-V1';
+const CHALLENGE_DOMAIN = 'VSDL-OWNER-AUTH-V1';
+
+/**
+ * Generate a fresh owner keypair
+ *
+ * @returns {Object} { privateKey, publicKey } as hex (public key compressed)
+ */
+function generateKeyPair() {
+  const key = ec.genKeyPair();
+  return {
+    privateKey: key.getPrivate('hex').padStart(64, '0'),
+    publicKey: key.getPublic(true, 'hex')
+  };
+}
+
+/**
+ * Derive the compressed public key for a private key
+ */
+function publicKeyFromPrivate(privateKey) {
+  return ec.keyFromPrivate(privateKey, 'hex').getPublic(true, 'hex');
+}
+
+/**
+ * Whether a hex string is a secp256k1 public key (a curve point other
+ * than the identity)
+ */
+function isPublicKey(publicKey) {
+  try {
+    return ec.keyFromPublic(publicKey, 'hex').validate().result;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Digest the owner (or their guardian) signs
+ *
+ * @param {Object} claims - { jti, sub, commitment, policyHash, fieldRoot?, curve?, guardian? }
+ * @returns {string} SHA-256 digest (hex)
+ */
+function signingDigest({ jti, sub, commitment, policyHash, fieldRoot, curve, guardian }) {
+  if (guardian !== undefined) {
+    const message = JSON.stringify([
+      GUARDIAN_SIGNATURE_DOMAIN, jti, sub, commitment, policyHash,
+      fieldRoot === undefined ? null : fieldRoot, curve === undefined ? null : curve,
+      guardian.id, guardian.legalBasis, guardian.validUntil
+    ]);
+    return crypto.createHash('sha256').update(message).digest('hex');
+  }
+
+  const message = JSON.stringify(curve !== undefined
+    ? [SIGNATURE_DOMAIN, jti, sub, commitment, policyHash, fieldRoot === undefined ? null : fieldRoot, curve]
+    : fieldRoot !== undefined
+      ? [TREE_SIGNATURE_DOMAIN, jti, sub, commitment, policyHash, fieldRoot]
+      : [LEGACY_SIGNATURE_DOMAIN, jti, sub, commitment, policyHash]);
+  return crypto.createHash('sha256').update(message).digest('hex');
+}
+
+/**
+ * Digest the owner signs to revoke a token
+ */
+function revocationDigest(tokenId) {
+  return crypto.createHash('sha256').update(JSON.stringify([REVOCATION_DOMAIN, tokenId])).digest('hex');
+}
+
+/**
+ * Digest an owner signs to answer a sign-in challenge
+ */
+function challengeDigest({ challengeId, challenge }) {
+  return crypto.createHash('sha256').update(JSON.stringify([CHALLENGE_DOMAIN, challengeId, challenge])).digest('hex');
+}
+
+/**
+ * ECDSA sign a digest, returning r||s (hex, 128 chars)
+ */
+function signDigest(privateKey, digest) {
+  const signature = ec.keyFromPrivate(privateKey, 'hex').sign(digest, { canonical: true });
+  return signature.r.toString(16).padStart(64, '0') + signature.s.toString(16).padStart(64, '0');
+}
+
+/**
+ * ECDSA verify an r||s signature over a digest
+ */
+function verifyDigest(publicKey, digest, signature) {
+  if (typeof publicKey !== 'string' || typeof signature !== 'string' || !/^[0-9a-f]{128}$/i.test(signature)) {
+    return false;
+  }
+
+  try {
+    const key = ec.keyFromPublic(publicKey, 'hex');
+    return key.verify(digest, {
+      r: signature.slice(0, 64),
+      s: signature.slice(64)
+    });
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Owner signs a signing request returned by /api/token/create
+ *
+ * If the request carries field openings, C_D and the field tree root are
+ * recomputed from them first so the owner never signs a commitment to
+ * data they have not seen.
+ *
+ * @param {string} privateKey - Owner private key (hex)
+ * @param {Object} request - { jti, sub, commitment, policyHash, fieldRoot?, curve?, encoding?, guardian?, openings? }
+ * @returns {string} Signature r||s (hex, 128 chars)
+ */
+function signCommitment(privateKey, request) {
+  if (request.openings) {
+    const curve = pedersen.forCurve(request.curve);
+    const context = fieldContext(request);
+    const { commitment } = curve.recomputeCommitment(request.openings, context);
+    if (curve.serializePoint(commitment).compressed !== request.commitment) {
+      throw new Error('Refusing to sign: commitment does not match the record openings');
+    }
+    if (request.fieldRoot !== undefined && merkle.rootFromOpenings(request.openings, request.curve, context) !== request.fieldRoot) {
+      throw new Error('Refusing to sign: field tree root does not match the record openings');
+    }
+  }
+
+  return signDigest(privateKey, signingDigest(request));
+}
+
+/**
+ * Verify an owner signature
+ *
+ * @param {string} publicKey - Owner public key (hex), the guardian's for a guardian-issued token
+ * @param {Object} claims - { jti, sub, commitment, policyHash, fieldRoot?, curve?, guardian? }
+ * @param {string} signature - r||s (hex)
+ * @returns {boolean}
+ */
+function verifyOwnerSignature(publicKey, claims, signature) {
+  return verifyDigest(publicKey, signingDigest(claims), signature);
+}
+
+/**
+ * Owner signs the revocation of a token
+ *
+ * @param {string} privateKey - Owner private key (hex)
+ * @param {string} tokenId - jti of the token to revoke
+ * @returns {string} Signature r||s (hex)
+ */
+function signRevocation(privateKey, tokenId) {
+  return signDigest(privateKey, revocationDigest(tokenId));
+}
+
+/**
+ * Verify an owner's revocation signature
+ */
+function verifyRevocation(publicKey, tokenId, signature) {
+  return verifyDigest(publicKey, revocationDigest(tokenId), signature);
+}
+
+/**
+ * Owner answers a sign-in challenge
+ *
+ * @param {string} privateKey - Owner private key (hex)
+ * @param {Object} challenge - { challengeId, challenge } from the server
+ * @returns {string} Signature r||s (hex)
+ */
+function signChallenge(privateKey, challenge) {
+  return signDigest(privateKey, challengeDigest(challenge));
+}
+
+/**
+ * Verify an owner's answer to a sign-in challenge
+ */
+function verifyChallenge(publicKey, challenge, signature) {
+  return verifyDigest(publicKey, challengeDigest(challenge), signature);
+}
+
+module.exports = {
+  generateKeyPair,
+  publicKeyFromPrivate,
+  isPublicKey,
+  signingDigest,
+  signCommitment,
+  verifyOwnerSignature,
+  signRevocation,
+  verifyRevocation,
+  signChallenge,
+  verifyChallenge
+};
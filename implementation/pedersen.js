@@ -1,324 +1,844 @@
 /**
  * VSDL - Pedersen Commitment Implementation
- * 
+ *
  * Mathematical Foundation:
  * ------------------------
  * Pedersen commitments use two generators g and h in a group G of prime order q
  * where the discrete logarithm relationship between g and h is unknown.
- * 
+ *
  * Commitment: C = g^m · h^r  (mod p)
- * 
+ *
  * Properties:
  * - Hiding: C reveals no information about m (information-theoretic)
  * - Binding: Cannot find m', r' such that g^m·h^r = g^m'·h^r' (computational)
- * 
+ *
  * Homomorphic Property:
  * C1 · C2 = g^(m1+m2) · h^(r1+r2)
- * 
+ *
  * This allows us to verify: C_record = C_hidden + C_visible
+ *
+ * Field Name Tag:
+ * Each field commitment also carries j^{H(f)} for a third generator j, so a
+ * hidden commitment can be proven to belong to a named field without
+ * opening it:  C_{f,v} = g^{H(f||v)} · h^r · j^{H(f)}
+ *
+ * Field Messages:
+ * Given an encoding context { recordId, encoding }, H(f||v) hashes the
+ * canonical, length-prefixed and domain-separated encoding of encoding.js
+ * instead of the string `${f}||${v}` (kept for tokens issued before it).
+ *
+ * Scalar Fields:
+ * Fields the record schema types 'integer' or 'date' are committed as the
+ * number itself (dates as days since 1900-01-01) instead of H(f||v), so
+ * bounds on them can be proven in zero knowledge (proveBound). Under
+ * VSDL-FIELD-V3 their tag also binds the curve, record and type:
+ *
+ *   C_{f,v} = g^x · h^r · j^{H(V3 | curve | recordId | f | type)}
+ *
+ * The type is given by context.types when committing and by each
+ * opening's `type` when recomputing. VSDL-FIELD-V2 and legacy tokens
+ * treat any whole number or ISO date as a scalar, tagged j^{H(f)}.
+ *
+ * Performance:
+ * Multiplications by g, h and j use precomputed fixed-base tables, sums of
+ * commitments stay in Jacobian coordinates, and many partitions can be
+ * checked with one multi-scalar multiplication (see msm.js,
+ * batchVerifyPartitions and `npm run bench`).
+ *
+ * Curves:
+ * The same scheme runs in any group of group.js (secp256k1, P-256,
+ * ristretto255). forCurve(name) returns the functions below for one
+ * group; the module itself is the secp256k1 instance, so tokens without a
+ * `curve` claim keep verifying as before.
+ *
+ * Untrusted Input:
+ * deserializePoint, deserializeScalar and the openings given to
+ * recomputeCommitment / batchVerifyPartitions are checked before use
+ * (group member, not the identity, scalar below n, no field opened twice)
+ * and throw ValidationError (validation.js) with INVALID_POINT,
+ * INVALID_SCALAR or DUPLICATE_FIELD otherwise.
  */
 
-const EC = require('elliptic').ec;
 const BN = require('bn.js');
 const crypto = require('crypto');
+const msm = require('./msm');
+const { FIELD_DOMAIN, encodeField, encodeFieldTag } = require('./encoding');
+const { ValidationError } = require('./validation');
+const { CURVES, DEFAULT_CURVE, getGroup } = require('./group');
 
-// Use secp256k1 curve (same as Bitcoin/Ethereum)
-const ec = new EC('secp256k1');
-
-// Curve parameters for display
-const CURVE_INFO = {
-  name: 'secp256k1',
-  p: 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC2F',
-  n: 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141',
-  Gx: '79BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798',
-  Gy: '483ADA7726A3C4655DA4FBFC0E1108A8FD17B448A68554199C47D08FFB10D4B8'
+// Generators H and J are hashed to the group from fixed seeds, under a
+// domain separation tag naming the curve and the method
+// (g is the group's standard generator)
+const H_SEED = 'VSDL_GENERATOR_H_SEED_V1';
+const J_SEED = 'VSDL_GENERATOR_J_SEED_V1';
+const GENERATOR_DST = {
+  secp256k1: 'VSDL-V1-SECP256K1-SHA256-TAI',
+  'P-256': 'VSDL-V1-P256-SHA256-TAI',
+  ristretto255: 'VSDL-V1-RISTRETTO255-SHA512-R255MAP'
 };
 
-// Generator G (standard generator of secp256k1)
-const G = ec.g;
+// Scalar field encoding
+const SCALAR_EPOCH = Date.UTC(1900, 0, 1);
+const SCALAR_LIMIT = 2 ** 48;
+const DAY_MS = 24 * 3600 * 1000;
+
+// Range proofs
+const RANGE_DOMAIN = 'VSDL-RANGE-V1';
+const RANGE_BITS = 32;
+
+// Bound proofs: scalars are below 2^48 and predicate bounds lie in
+// [-2, 2^48 + 1], so every distance a bound proof shows is below 2^49
+const BOUND_BITS = 49;
 
-// Generator H (derived via hash - ensures unknown DL relationship with G)
-// H = hash_to_point("VSDL_GENERATOR_H")
-const H_seed = crypto.createHash('sha256').update('VSDL_GENERATOR_H_SEED_V1').digest();
-const H = ec.g.mul(ec.keyFromPrivate(H_seed).getPrivate());
+// One instance per curve, built on first use
+const instances = new Map();
 
 /**
- * Get generator points info for display
+ * Scalar encoding of a field value, or null if it has none
+ *
+ * - 'integer': whole numbers from 0 to 2^48 - 1             -> the number
+ * - 'date':    ISO dates YYYY-MM-DD from 1900-01-01 on      -> days since 1900-01-01
+ *
+ * Without a type the value's shape decides, as VSDL-FIELD-V2 and older
+ * tokens did: numbers or digit strings (no sign or leading zeros) and
+ * date strings.
+ *
+ * @param {*} value
+ * @param {string} [type] - Schema type: 'integer' or 'date'
+ * @returns {BN|null}
  */
-function getGeneratorInfo() {
-  return {
-    G: {
-      x: G.getX().toString(16).padStart(64, '0'),
-      y: G.getY().toString(16).padStart(64, '0')
-    },
-    H: {
-      x: H.getX().toString(16).padStart(64, '0'),
-      y: H.getY().toString(16).padStart(64, '0')
-    },
-    curve: CURVE_INFO
-  };
+function encodeScalar(value, type = null) {
+  if (type === 'integer' && typeof value !== 'number') {
+    return null;
+  }
+  if (type === 'date' && typeof value !== 'string') {
+    return null;
+  }
+  const text = String(value);
+
+  if (type !== 'date' && /^(0|[1-9]\d{0,14})$/.test(text) && Number(text) < SCALAR_LIMIT) {
+    return new BN(text, 10);
+  }
+
+  if (type !== 'integer' && /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const time = Date.parse(text + 'T00:00:00Z');
+    if (!Number.isNaN(time) && time >= SCALAR_EPOCH && new Date(time).toISOString().slice(0, 10) === text) {
+      return new BN((time - SCALAR_EPOCH) / DAY_MS);
+    }
+  }
+
+  return null;
 }
 
 /**
- * Hash arbitrary data to a scalar in Zq
- * Uses SHA-256 and reduces modulo curve order
+ * Serialize BN to hex
  */
-function hashToScalar(data) {
-  const hash = crypto.createHash('sha256').update(data).digest('hex');
-  const bn = new BN(hash, 16);
-  return bn.umod(ec.n);
+function serializeBN(bn) {
+  return bn.toString(16).padStart(64, '0');
 }
 
 /**
- * Generate cryptographically secure random scalar in Zq
+ * Deserialize hex (at most 64 digits) to BN
  */
-function randomScalar() {
-  const bytes = crypto.randomBytes(32);
-  const bn = new BN(bytes);
-  return bn.umod(ec.n);
+function deserializeBN(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-fA-F]{1,64}$/.test(hex)) {
+    throw new ValidationError('Scalars must be hex strings of 1 to 64 digits', 'INVALID_SCALAR');
+  }
+  return new BN(hex, 16);
 }
 
 /**
- * Pedersen Commitment for a single field
- * 
- * Formula: C_{f,v} = g^{H(f||v)} · h^r
- * 
- * @param {string} fieldName - Field identifier
- * @param {string} value - Field value  
- * @param {BN} r - Random scalar (blinding factor)
- * @returns {Object} Commitment details
+ * Pedersen commitments in one group
+ *
+ * @param {string} curveName - One of CURVES
+ * @returns {Object} Commitment, partition and range-proof functions for that group
  */
-function commitField(fieldName, value, r = null) {
-  // Generate random blinding factor if not provided
-  const randomness = r || randomScalar();
-  
-  // m = H(fieldName || value)
-  const message = `${fieldName}||${value}`;
-  const m = hashToScalar(message);
-  
-  // C = g^m · h^r
-  const gm = G.mul(m);      // g^m
-  const hr = H.mul(randomness);  // h^r
-  const C = gm.add(hr);     // g^m · h^r (point addition = multiplication in group)
-  
-  return {
-    fieldName,
-    value,
-    commitment: C,
-    randomness: randomness,
-    // Detailed math for display
-    math: {
-      message: message,
-      m: m.toString(16).padStart(64, '0'),
-      r: randomness.toString(16).padStart(64, '0'),
-      gm: {
-        x: gm.getX().toString(16).padStart(64, '0'),
-        y: gm.getY().toString(16).padStart(64, '0')
-      },
-      hr: {
-        x: hr.getX().toString(16).padStart(64, '0'),
-        y: hr.getY().toString(16).padStart(64, '0')
-      },
-      C: {
-        x: C.getX().toString(16).padStart(64, '0'),
-        y: C.getY().toString(16).padStart(64, '0')
-      },
-      formula: `C = g^H("${message}") · h^r`
+function createPedersen(curveName) {
+  const group = getGroup(curveName);
+  const n = group.n;
+
+  // Generator G (standard generator of the group)
+  const G = group.G;
+
+  // Generator H (derived via hash-to-curve - ensures unknown DL relationship with G)
+  // Nobody chooses a scalar, so nobody knows log_G(H). Every step is
+  // recorded in the transcript so anyone can re-derive the point.
+  const H_DST = GENERATOR_DST[group.name];
+  const H_DERIVATION = group.hashToGroup(H_SEED, H_DST);
+  const H = H_DERIVATION.point;
+
+  // Generator J (field name tag, derived the same way from its own seed)
+  const J_DERIVATION = group.hashToGroup(J_SEED, H_DST);
+  const J = J_DERIVATION.point;
+
+  // Fixed-base tables for G, H and J (see msm.js), built on first use
+  let baseTables = null;
+
+  /**
+   * Get generator points info for display
+   */
+  function getGeneratorInfo() {
+    return {
+      G: group.coordinates(G),
+      H: group.coordinates(H),
+      J: group.coordinates(J),
+      derivation: H_DERIVATION.transcript,
+      derivationJ: J_DERIVATION.transcript,
+      curve: group.info
+    };
+  }
+
+  /**
+   * Fixed-base multiplication by a generator, in Jacobian coordinates
+   *
+   * @param {string} generator - 'G', 'H' or 'J'
+   * @param {BN} k
+   */
+  function mulBaseJ(generator, k) {
+    if (baseTables === null) {
+      baseTables = { G: msm.fixedBase(G), H: msm.fixedBase(H), J: msm.fixedBase(J) };
     }
-  };
-}
+    return msm.fixedBaseMulJ(baseTables[generator], k);
+  }
 
-/**
- * Commit to entire record
- * 
- * Formula: C_D = ∏ C_{f_i,v_i} = g^{Σm_i} · h^{Σr_i}
- * 
- * Due to homomorphic property, product of commitments = commitment to sum
- */
-function commitRecord(record) {
-  const fields = Object.entries(record);
-  const fieldCommitments = {};
-  
-  let totalM = new BN(0);
-  let totalR = new BN(0);
-  let recordCommitment = null;
-  
-  for (const [fieldName, value] of fields) {
-    const fc = commitField(fieldName, String(value));
-    fieldCommitments[fieldName] = fc;
-    
-    // Accumulate for total
-    totalM = totalM.add(hashToScalar(`${fieldName}||${value}`)).umod(ec.n);
-    totalR = totalR.add(fc.randomness).umod(ec.n);
-    
-    // Multiply commitments (point addition)
-    if (recordCommitment === null) {
-      recordCommitment = fc.commitment;
-    } else {
-      recordCommitment = recordCommitment.add(fc.commitment);
+  /**
+   * Fixed-base multiplication by a generator: g^k, h^k or j^k
+   *
+   * @param {string} generator - 'G', 'H' or 'J'
+   * @param {BN} k
+   */
+  function mulBase(generator, k) {
+    return mulBaseJ(generator, k).toP();
+  }
+
+  /**
+   * Hash arbitrary data to a scalar in Zq
+   * Uses SHA-256 and reduces modulo the group order
+   */
+  function hashToScalar(data) {
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    const bn = new BN(hash, 16);
+    return bn.umod(n);
+  }
+
+  /**
+   * Hash a field name to its tag scalar n_f = H("VSDL_FIELD_NAME" || f)
+   */
+  function hashFieldName(fieldName) {
+    return hashToScalar(`VSDL_FIELD_NAME||${fieldName}`);
+  }
+
+  /**
+   * Whether a context commits scalars by schema type (VSDL-FIELD-V3)
+   */
+  function typedScalars(context) {
+    return context !== null && context.encoding === FIELD_DOMAIN;
+  }
+
+  /**
+   * Tag scalar n of a field: H(V3 | curve | recordId | f | type) for a
+   * typed scalar, else H(f)
+   *
+   * @param {string} fieldName
+   * @param {Object} [context] - Encoding context (see fieldScalars)
+   * @param {string} [type] - Scalar type of the field, if any
+   */
+  function fieldTag(fieldName, context = null, type = null) {
+    if (type !== null && typedScalars(context)) {
+      return hashToScalar(encodeFieldTag(group.name, context.recordId, fieldName, type));
     }
+    return hashFieldName(fieldName);
   }
-  
-  return {
-    recordCommitment,
-    fieldCommitments,
-    math: {
-      formula: 'C_D = ∏ C_{f_i,v_i} = g^{Σm_i} · h^{Σr_i}',
-      totalM: totalM.toString(16).padStart(64, '0'),
-      totalR: totalR.toString(16).padStart(64, '0'),
-      C_D: {
-        x: recordCommitment.getX().toString(16).padStart(64, '0'),
-        y: recordCommitment.getY().toString(16).padStart(64, '0')
-      },
-      fieldCount: fields.length
+
+  /**
+   * Message and tag scalars of a field
+   *
+   * @param {string} fieldName
+   * @param {*} value
+   * @param {Object} [context] - { recordId, encoding } for the canonical
+   *                             encoding, null for the legacy `${f}||${v}`
+   * @param {string} [type] - 'integer' or 'date' if the schema commits the
+   *                          field as a scalar (VSDL-FIELD-V3 only)
+   * @returns {Object} { m, n, scalar } - scalar is the encoded number or null
+   */
+  function fieldScalars(fieldName, value, context = null, type = null) {
+    if (typedScalars(context)) {
+      if (type === null) {
+        const m = hashToScalar(encodeField(group.name, context.recordId, fieldName, value));
+        return { m, n: hashFieldName(fieldName), scalar: null };
+      }
+      const scalar = encodeScalar(value, type);
+      if (scalar === null) {
+        throw new ValidationError(`${fieldName} is not a valid ${type}`, 'INVALID_VALUE');
+      }
+      return { m: scalar, n: fieldTag(fieldName, context, type), scalar };
     }
-  };
-}
 
-/**
- * Compute commitment for a subset of fields
- */
-function computeSubsetCommitment(fieldCommitments, fieldNames) {
-  let commitment = null;
-  const included = [];
-  
-  for (const name of fieldNames) {
-    if (fieldCommitments[name]) {
-      included.push(name);
-      if (commitment === null) {
-        commitment = fieldCommitments[name].commitment;
-      } else {
-        commitment = commitment.add(fieldCommitments[name].commitment);
+    const scalar = encodeScalar(value);
+    if (scalar !== null) {
+      return { m: scalar, n: hashFieldName(fieldName), scalar };
+    }
+    const m = context === null
+      ? hashToScalar(`${fieldName}||${value}`)
+      : hashToScalar(encodeField(group.name, context.recordId, fieldName, value, context.encoding));
+    return { m, n: hashFieldName(fieldName), scalar: null };
+  }
+
+  /**
+   * Generate cryptographically secure random scalar in Zq
+   */
+  function randomScalar() {
+    const bytes = crypto.randomBytes(32);
+    const bn = new BN(bytes);
+    return bn.umod(n);
+  }
+
+  /**
+   * Pedersen Commitment for a single field
+   *
+   * Formula: C_{f,v} = g^m · h^r · j^n
+   *          m = x for scalar fields (see encodeScalar), else H(f||v)
+   *          n = the field's tag (see fieldTag)
+   *
+   * @param {string} fieldName - Field identifier
+   * @param {*} value - Field value (string, number, boolean or null)
+   * @param {BN} r - Random scalar (blinding factor)
+   * @param {Object} [context] - Encoding context (see fieldScalars), with
+   *                             types: field name -> scalar type
+   * @returns {Object} Commitment details, with the field's scalar type
+   *                   under VSDL-FIELD-V3
+   */
+  function commitField(fieldName, value, r = null, context = null) {
+    // Generate random blinding factor if not provided
+    const randomness = r || randomScalar();
+
+    // m = x for integers and dates, else H(fieldName || value)
+    const type = (typedScalars(context) && context.types && context.types[fieldName]) || null;
+    const message = context === null
+      ? `${fieldName}||${value}`
+      : `${group.name} | ${context.recordId} | ${fieldName} | ${JSON.stringify(value)}`;
+    const { m, n: tag, scalar } = fieldScalars(fieldName, value, context, type);
+    const encoding = context === null ? 'legacy' : context.encoding;
+
+    // C = g^m · h^r · j^n (point addition = multiplication in group)
+    const terms = [mulBaseJ('G', m), mulBaseJ('H', randomness), mulBaseJ('J', tag)];
+    const [gm, hr, jn, C] = msm.toAffine([...terms, terms[0].add(terms[1]).add(terms[2])]);
+
+    return {
+      fieldName,
+      value,
+      ...(type !== null ? { type } : {}),
+      commitment: C,
+      randomness: randomness,
+      // Detailed math for display
+      math: {
+        message: message,
+        m: m.toString(16).padStart(64, '0'),
+        r: randomness.toString(16).padStart(64, '0'),
+        n: tag.toString(16).padStart(64, '0'),
+        // g^0 (the number 0) is the identity
+        gm: group.isIdentity(gm) ? null : group.coordinates(gm),
+        hr: group.coordinates(hr),
+        jn: group.coordinates(jn),
+        C: group.coordinates(C),
+        scalar: scalar !== null,
+        encoding,
+        formula: type !== null
+          ? `C = g^${scalar.toString(10)} · h^r · j^H(${encoding} | ${group.name} | ${context.recordId} | ${fieldName} | ${type})`
+          : scalar !== null
+            ? `C = g^${scalar.toString(10)} · h^r · j^H("${fieldName}")`
+            : context === null
+              ? `C = g^H("${message}") · h^r · j^H("${fieldName}")`
+              : `C = g^H(${encoding} | ${message}) · h^r · j^H("${fieldName}")`
       }
+    };
+  }
+
+  /**
+   * Commit to entire record
+   *
+   * Formula: C_D = ∏ C_{f_i,v_i} = g^{Σm_i} · h^{Σr_i} · j^{Σn_i}
+   *
+   * Due to homomorphic property, product of commitments = commitment to sum
+   *
+   * @param {Object} record - Field name -> value
+   * @param {Object} [randomness] - Field name -> BN, to recompute a stored commitment
+   * @param {Object} [context] - Encoding context (see commitField)
+   */
+  function commitRecord(record, randomness = {}, context = null) {
+    const fields = Object.entries(record);
+    const fieldCommitments = {};
+
+    let totalM = new BN(0);
+    let totalR = new BN(0);
+
+    for (const [fieldName, value] of fields) {
+      const fc = commitField(fieldName, value, randomness[fieldName] || null, context);
+      fieldCommitments[fieldName] = fc;
+
+      // Accumulate for total
+      totalM = totalM.add(fieldScalars(fieldName, value, context, fc.type || null).m).umod(n);
+      totalR = totalR.add(fc.randomness).umod(n);
     }
+
+    // Multiply commitments (point addition)
+    const recordCommitment = msm.sumPoints(Object.values(fieldCommitments).map(fc => fc.commitment));
+
+    return {
+      recordCommitment,
+      fieldCommitments,
+      math: {
+        formula: 'C_D = ∏ C_{f_i,v_i} = g^{Σm_i} · h^{Σr_i} · j^{Σn_i}',
+        totalM: totalM.toString(16).padStart(64, '0'),
+        totalR: totalR.toString(16).padStart(64, '0'),
+        C_D: group.coordinates(recordCommitment),
+        fieldCount: fields.length
+      }
+    };
   }
-  
-  return { commitment, included };
-}
 
-/**
- * Verify partition: C_D = C_H · C_F
- * 
- * This is the core verification equation.
- * If the server filtered correctly:
- *   C_record = C_hidden + C_visible
- * 
- * @param {Point} C_D - Record commitment
- * @param {Point} C_H - Hidden fields commitment
- * @param {Point} C_F - Filtered (visible) fields commitment
- */
-function verifyPartition(C_D, C_H, C_F) {
-  // C_H + C_F should equal C_D
-  const sum = C_H.add(C_F);
-  const valid = C_D.eq(sum);
-  
-  return {
-    valid,
-    math: {
-      equation: 'C_D = C_H · C_F',
-      verification: 'C_H + C_F = C_D ?',
-      C_D: {
-        x: C_D.getX().toString(16).padStart(64, '0'),
-        y: C_D.getY().toString(16).padStart(64, '0')
-      },
-      C_H: {
-        x: C_H.getX().toString(16).padStart(64, '0'),
-        y: C_H.getY().toString(16).padStart(64, '0')
-      },
-      C_F: {
-        x: C_F.getX().toString(16).padStart(64, '0'),
-        y: C_F.getY().toString(16).padStart(64, '0')
-      },
-      sum: {
-        x: sum.getX().toString(16).padStart(64, '0'),
-        y: sum.getY().toString(16).padStart(64, '0')
-      },
-      result: valid ? 'EQUAL ✓' : 'NOT EQUAL ✗'
+  /**
+   * Compute commitment for a subset of fields
+   */
+  function computeSubsetCommitment(fieldCommitments, fieldNames) {
+    const included = fieldNames.filter(name => fieldCommitments[name]);
+    const commitment = msm.sumPoints(included.map(name => fieldCommitments[name].commitment));
+
+    return { commitment, included };
+  }
+
+  /**
+   * Verify partition: C_D = C_H · C_F
+   *
+   * This is the core verification equation.
+   * If the server filtered correctly:
+   *   C_record = C_hidden + C_visible
+   *
+   * @param {Point} C_D - Record commitment
+   * @param {Point} C_H - Hidden fields commitment
+   * @param {Point} C_F - Filtered (visible) fields commitment
+   */
+  function verifyPartition(C_D, C_H, C_F) {
+    // C_H + C_F should equal C_D
+    const sum = C_H.add(C_F);
+    const valid = group.eq(C_D, sum);
+
+    return {
+      valid,
+      math: {
+        equation: 'C_D = C_H · C_F',
+        verification: 'C_H + C_F = C_D ?',
+        C_D: group.coordinates(C_D),
+        C_H: group.coordinates(C_H),
+        C_F: group.coordinates(C_F),
+        sum: group.coordinates(sum),
+        result: valid ? 'EQUAL ✓' : 'NOT EQUAL ✗'
+      }
+    };
+  }
+
+  /**
+   * Check untrusted openings: each names a distinct field and carries a
+   * scalar blinding factor below n
+   *
+   * @returns {BN[]} The blinding factors, in order
+   */
+  function parseOpenings(fields) {
+    if (!Array.isArray(fields)) {
+      throw new ValidationError('Openings must be an array');
     }
-  };
-}
+    const seen = new Set();
+    return fields.map(opening => {
+      if (!opening || typeof opening.fieldName !== 'string') {
+        throw new ValidationError('Every opening needs a fieldName');
+      }
+      if (seen.has(opening.fieldName)) {
+        throw new ValidationError(`Field opened more than once: ${opening.fieldName}`, 'DUPLICATE_FIELD');
+      }
+      seen.add(opening.fieldName);
+      return deserializeScalar(opening.randomness);
+    });
+  }
 
-/**
- * Recompute commitment from data + randomness (client-side verification)
- */
-function recomputeCommitment(fields) {
-  let commitment = null;
-  const details = [];
-  
-  for (const { fieldName, value, randomness } of fields) {
-    const r = new BN(randomness, 16);
-    const m = hashToScalar(`${fieldName}||${value}`);
-    
-    const gm = G.mul(m);
-    const hr = H.mul(r);
-    const C = gm.add(hr);
-    
-    details.push({
+  /**
+   * Recompute commitment from data + randomness (client-side verification)
+   *
+   * @param {Object[]} fields - Openings [{ fieldName, value, randomness, type? }]
+   * @param {Object} [context] - Encoding context the commitments were made with
+   */
+  function recomputeCommitment(fields, context = null) {
+    const blindings = parseOpenings(fields);
+    const scalars = fields.map(({ fieldName, value, type }) => fieldScalars(fieldName, value, context, type || null));
+    const perField = msm.toAffine(scalars.map(({ m, n: tag }, i) =>
+      mulBaseJ('G', m)
+        .add(mulBaseJ('H', blindings[i]))
+        .add(mulBaseJ('J', tag))
+    ));
+
+    const details = fields.map(({ fieldName, randomness }, i) => ({
       field: fieldName,
-      m: m.toString(16).slice(0, 16) + '...',
+      m: scalars[i].m.toString(16).slice(0, 16) + '...',
       r: randomness.slice(0, 16) + '...',
-      C: C.getX().toString(16).slice(0, 16) + '...'
+      C: group.coordinates(perField[i]).x.slice(0, 16) + '...'
+    }));
+
+    return { commitment: msm.sumPoints(perField), details };
+  }
+
+  /**
+   * Verify many partitions C_D = C_H · C_F at once
+   *
+   * Each partition gives C_F as a point, or as the openings of its visible
+   * fields (C_F is then never computed). With random 128-bit weights ρ_i:
+   *
+   *   Σ ρ_i·C_D_i - Σ ρ_i·C_H_i - Σ ρ_i·C_F_i = O
+   *
+   * where the openings fold into g^{Σ ρ_i·m} · h^{Σ ρ_i·r} · j^{Σ ρ_i·n}. The
+   * whole batch costs one multi-scalar multiplication and three fixed-base
+   * ones. A wrong partition passes with probability about 2^-128. If the
+   * batch fails, each partition is checked on its own to find which.
+   *
+   * @param {Object[]} partitions - [{ C_D, C_H, C_F }] or [{ C_D, C_H, openings: [{ fieldName, value, randomness, type? }], context? }]
+   * @returns {Object} { valid, failed: [index] }
+   */
+  function batchVerifyPartitions(partitions) {
+    if (partitions.length === 0) {
+      return { valid: true, failed: [] };
+    }
+
+    const points = [];
+    const scalars = [];
+    let sumM = new BN(0);
+    let sumR = new BN(0);
+    let sumN = new BN(0);
+
+    for (const { C_D, C_H, C_F, openings, context = null } of partitions) {
+      const rho = new BN(crypto.randomBytes(16));
+      points.push(C_D, C_H.neg());
+      scalars.push(rho, rho);
+
+      if (openings) {
+        const blindings = parseOpenings(openings);
+        openings.forEach(({ fieldName, value, type }, i) => {
+          const { m, n: tag } = fieldScalars(fieldName, value, context, type || null);
+          sumM = sumM.add(rho.mul(m)).umod(n);
+          sumR = sumR.add(rho.mul(blindings[i])).umod(n);
+          sumN = sumN.add(rho.mul(tag)).umod(n);
+        });
+      } else {
+        points.push(C_F.neg());
+        scalars.push(rho);
+      }
+    }
+
+    const folded = mulBaseJ('G', sumM).add(mulBaseJ('H', sumR)).add(mulBaseJ('J', sumN)).toP();
+    if (group.eq(msm.multiScalarMul(points, scalars), folded)) {
+      return { valid: true, failed: [] };
+    }
+
+    const failed = partitions
+      .map(({ C_D, C_H, C_F, openings, context = null }, i) => {
+        const visible = openings ? recomputeCommitment(openings, context).commitment : C_F;
+        return group.eq(C_D, visible ? C_H.add(visible) : C_H) ? -1 : i;
+      })
+      .filter(i => i !== -1);
+    return { valid: failed.length === 0, failed };
+  }
+
+  /**
+   * Fiat-Shamir challenge for a range proof
+   */
+  function rangeChallenge(context, V, B, A) {
+    return hashToScalar(JSON.stringify([
+      RANGE_DOMAIN,
+      context,
+      group.encode(V),
+      B.map(group.encode),
+      A.map(group.encode)
+    ]));
+  }
+
+  /**
+   * Σ 2^i · B_i
+   */
+  function weightedBitSum(B) {
+    let sum = B[B.length - 1];
+    for (let i = B.length - 2; i >= 0; i--) {
+      sum = sum.dbl().add(B[i]);
+    }
+    return sum;
+  }
+
+  /**
+   * Range proof (bit decomposition): V = g^y · h^s with 0 ≤ y < 2^bits
+   *
+   * Commit to each bit, B_i = g^{b_i} · h^{s_i}, with the s_i chosen so that
+   * Σ 2^i s_i = s, hence Σ 2^i B_i = V. For every bit, a CDS OR-proof that
+   * B_i or B_i · g^{-1} is a power of h (so b_i ∈ {0, 1}):
+   *
+   *   real branch:      A = h^a,                 z = a + e_real · s_i
+   *   simulated branch: A = h^z · P^{-e_sim}
+   *   e = H(context, V, B_0..B_{k-1}, A_{0,0}, A_{0,1}, ...),  e_{i,0} + e_{i,1} = e
+   *
+   * @param {Point} V - Commitment to y
+   * @param {BN} y - Committed value
+   * @param {BN} s - Blinding factor of V
+   * @param {string} context - Binds the proof to a token/statement
+   * @param {number} [bits]
+   * @returns {Object} { bits, B: [], e, e0: [], z0: [], z1: [] } as hex
+   */
+  function proveRange(V, y, s, context, bits = RANGE_BITS) {
+    if (y.isNeg() || y.bitLength() > bits) {
+      throw new Error(`Value does not fit in ${bits} bits`);
+    }
+
+    const blinding = [];
+    let partial = new BN(0);
+    for (let i = 0; i < bits - 1; i++) {
+      blinding.push(randomScalar());
+      partial = partial.add(blinding[i].shln(i)).umod(n);
+    }
+    // s_{k-1} = (s - Σ_{i<k-1} 2^i s_i) / 2^{k-1}
+    const inverse = new BN(1).shln(bits - 1).invm(n);
+    blinding.push(s.sub(partial).umod(n).mul(inverse).umod(n));
+
+    const B = [];
+    const A = [];
+    const state = [];
+
+    for (let i = 0; i < bits; i++) {
+      const bit = y.testn(i) ? 1 : 0;
+      const hs = mulBase('H', blinding[i]);
+      B.push(bit ? G.add(hs) : hs);
+
+      const branches = [B[i], B[i].add(G.neg())];
+      const a = randomScalar();
+      const eSim = randomScalar();
+      const zSim = randomScalar();
+      const pair = [];
+      pair[bit] = mulBase('H', a);
+      pair[1 - bit] = mulBase('H', zSim).add(branches[1 - bit].mul(eSim).neg());
+      A.push(pair[0], pair[1]);
+      state.push({ bit, a, eSim, zSim });
+    }
+
+    const e = rangeChallenge(context, V, B, A);
+    const e0 = [];
+    const z0 = [];
+    const z1 = [];
+
+    state.forEach(({ bit, a, eSim, zSim }, i) => {
+      const eReal = e.sub(eSim).umod(n);
+      const zReal = a.add(eReal.mul(blinding[i])).umod(n);
+      e0.push(bit === 0 ? eReal : eSim);
+      z0.push(bit === 0 ? zReal : zSim);
+      z1.push(bit === 1 ? zReal : zSim);
     });
-    
-    if (commitment === null) {
-      commitment = C;
+
+    return {
+      bits,
+      B: B.map(group.encode),
+      e: serializeBN(e),
+      e0: e0.map(serializeBN),
+      z0: z0.map(serializeBN),
+      z1: z1.map(serializeBN)
+    };
+  }
+
+  /**
+   * Verify a range proof produced by proveRange()
+   *
+   * @param {Point} V - Commitment to y
+   * @param {Object} proof - { bits, B, e, e0, z0, z1 }
+   * @param {string} context - Same context the prover used
+   * @returns {boolean}
+   */
+  function verifyRange(V, proof, context) {
+    const bits = proof && proof.bits;
+    if (!Number.isInteger(bits) || bits < 1 || bits > 64 ||
+        ![proof.B, proof.e0, proof.z0, proof.z1].every(v => Array.isArray(v) && v.length === bits)) {
+      return false;
+    }
+
+    let B;
+    try {
+      B = proof.B.map(hex => deserializePoint(hex));
+    } catch (err) {
+      return false;
+    }
+
+    if (!group.eq(weightedBitSum(B), V)) {
+      return false;
+    }
+
+    let e;
+    const A = [];
+    try {
+      e = deserializeScalar(proof.e);
+      for (let i = 0; i < bits; i++) {
+        const e0 = deserializeScalar(proof.e0[i]);
+        const e1 = e.sub(e0).umod(n);
+        A.push(
+          mulBaseJ('H', deserializeScalar(proof.z0[i])).mixedAdd(B[i].mul(e0).neg()),
+          mulBaseJ('H', deserializeScalar(proof.z1[i])).mixedAdd(B[i].add(G.neg()).mul(e1).neg())
+        );
+      }
+    } catch (err) {
+      return false;
+    }
+
+    return e.eq(rangeChallenge(context, V, B, msm.toAffine(A)));
+  }
+
+  /**
+   * Commitment to the distance between a scalar field and a bound
+   *
+   *   C' = C · j^{-n} = g^x · h^r      (n = fieldTag(f, context, type))
+   *   x >= bound:  V = C' · g^{-bound} = g^{x - bound} · h^r
+   *   x <= bound:  V = g^{bound} · C'^{-1} = g^{bound - x} · h^{-r}
+   */
+  function boundCommitment(C, fieldName, relation, bound, { context = null, type = null } = {}) {
+    const base = C.add(mulBase('J', fieldTag(fieldName, context, type)).neg());
+    const gBound = mulBase('G', new BN(bound).umod(n));
+    return relation === '>=' ? base.add(gBound.neg()) : gBound.add(base.neg());
+  }
+
+  /**
+   * Prove that a scalar field commitment holds x >= bound or x <= bound,
+   * without opening it
+   *
+   * @param {Point} C - Field commitment g^x · h^r · j^n
+   * @param {string} fieldName
+   * @param {BN} x - Committed scalar
+   * @param {BN} r - Blinding factor
+   * @param {string} relation - '>=' or '<='
+   * @param {number} bound - Integer bound (may be negative)
+   * @param {string} context - Binds the proof to a token/statement
+   * @param {Object} [encoding] - { context, type }: the field's encoding
+   *   context and scalar type, which give its tag n (see fieldTag)
+   * @returns {Object} Range proof over the distance in BOUND_BITS bits (see
+   *   proveRange); the width is fixed so it reveals nothing about x
+   */
+  function proveBound(C, fieldName, x, r, relation, bound, context, encoding = {}) {
+    if (relation !== '>=' && relation !== '<=') {
+      throw new Error(`Unknown relation: ${relation}`);
+    }
+    const distance = relation === '>=' ? x.sub(new BN(bound)) : new BN(bound).sub(x);
+    const blinding = relation === '>=' ? r : r.neg().umod(n);
+    return proveRange(boundCommitment(C, fieldName, relation, bound, encoding), distance, blinding, context, BOUND_BITS);
+  }
+
+  /**
+   * Verify a proof produced by proveBound()
+   *
+   * The proof only verifies if C carries the tag of fieldName (and, under
+   * VSDL-FIELD-V3, of the record and type), so it also shows which field
+   * the bound is about.
+   */
+  function verifyBound(C, fieldName, relation, bound, proof, context, encoding = {}) {
+    if ((relation !== '>=' && relation !== '<=') || !Number.isSafeInteger(bound)) {
+      return false;
+    }
+    return verifyRange(boundCommitment(C, fieldName, relation, bound, encoding), proof, context);
+  }
+
+  /**
+   * Serialize point: coordinates for display, plus its encoding
+   */
+  function serializePoint(point) {
+    return { ...group.coordinates(point), compressed: group.encode(point) };
+  }
+
+  /**
+   * Deserialize an encoded point (or { compressed } / { x, y }) and check
+   * that it is a member of the group other than the identity (no
+   * commitment or proof element is ever the identity)
+   */
+  function deserializePoint(data) {
+    let point;
+    if (typeof data === 'string' || (data && typeof data.compressed === 'string')) {
+      try {
+        point = group.decode(typeof data === 'string' ? data : data.compressed);
+      } catch (err) {
+        throw new ValidationError(err.message, 'INVALID_POINT');
+      }
+    } else if (group.curve.type !== 'short') {
+      throw new ValidationError(`${group.name} points must be given encoded`, 'INVALID_POINT');
     } else {
-      commitment = commitment.add(C);
+      const coordinate = /^[0-9a-fA-F]{1,64}$/;
+      if (!data || !coordinate.test(data.x) || !coordinate.test(data.y)) {
+        throw new ValidationError('Points must be encoded hex or { x, y } hex coordinates', 'INVALID_POINT');
+      }
+      point = group.curve.point(data.x, data.y);
+      if (!point.validate()) {
+        throw new ValidationError(`Not a ${group.name} point`, 'INVALID_POINT');
+      }
     }
+    if (group.isIdentity(point)) {
+      throw new ValidationError('Point is the identity', 'INVALID_POINT');
+    }
+    return point;
+  }
+
+  /**
+   * Deserialize a hex scalar and check that it is below the group order
+   */
+  function deserializeScalar(hex) {
+    const scalar = deserializeBN(hex);
+    if (scalar.cmp(n) >= 0) {
+      throw new ValidationError(`Scalar is not below the ${group.name} group order`, 'INVALID_SCALAR');
+    }
+    return scalar;
   }
-  
-  return { commitment, details };
-}
 
-/**
- * Serialize point to hex
- */
-function serializePoint(point) {
   return {
-    x: point.getX().toString(16).padStart(64, '0'),
-    y: point.getY().toString(16).padStart(64, '0'),
-    compressed: point.encode('hex', true)
+    curve: group.name,
+    group,
+    getGeneratorInfo,
+    hashToCurve: group.hashToGroup,
+    hashToScalar,
+    hashFieldName,
+    fieldTag,
+    encodeScalar,
+    randomScalar,
+    commitField,
+    commitRecord,
+    computeSubsetCommitment,
+    verifyPartition,
+    batchVerifyPartitions,
+    mulBase,
+    recomputeCommitment,
+    proveRange,
+    verifyRange,
+    proveBound,
+    verifyBound,
+    serializePoint,
+    deserializePoint,
+    deserializeScalar,
+    serializeBN,
+    deserializeBN,
+    G,
+    H,
+    J,
+    ec: group.ec
   };
 }
 
 /**
- * Deserialize hex to point
+ * Pedersen commitments over a named curve (built once per curve)
+ *
+ * @param {string} [curveName] - One of CURVES (default secp256k1)
  */
-function deserializePoint(data) {
-  if (typeof data === 'string') {
-    return ec.curve.decodePoint(data, 'hex');
+function forCurve(curveName = DEFAULT_CURVE) {
+  if (!instances.has(curveName)) {
+    instances.set(curveName, createPedersen(curveName));
   }
-  return ec.curve.point(data.x, data.y);
-}
-
-/**
- * Serialize BN to hex
- */
-function serializeBN(bn) {
-  return bn.toString(16).padStart(64, '0');
-}
-
-/**
- * Deserialize hex to BN
- */
-function deserializeBN(hex) {
-  return new BN(hex, 16);
+  return instances.get(curveName);
 }
 
 module.exports = {
-  getGeneratorInfo,
-  hashToScalar,
-  randomScalar,
-  commitField,
-  commitRecord,
-  computeSubsetCommitment,
-  verifyPartition,
-  recomputeCommitment,
-  serializePoint,
-  deserializePoint,
-  serializeBN,
-  deserializeBN,
-  G,
-  H,
-  ec
+  ...forCurve(DEFAULT_CURVE),
+  forCurve,
+  CURVES,
+  DEFAULT_CURVE
 };
@@ -0,0 +1,202 @@
+/**
+ * VSDL - Owner-defined delegation policies
+ *
+ * An owner builds a policy from their own record schema: the fields they
+ * pick are visible, every other field is hidden, and the two lists must
+ * partition the record exactly. Fields are paths at any depth
+ * (taxRecords.taxPaid, propertyRecords[0]; see merkle.js). Actions come
+ * from the action registry.
+ *
+ * Predicates disclose a fact about a hidden number or date field instead
+ * of its value (proven with a range proof, see pedersen.proveBound):
+ *
+ *   { field: 'taxRecords.annualIncome', op: '<', value: 200000 }
+ *   { field: 'dateOfBirth', op: '>=', value: 18, unit: 'years' }   (age)
+ *
+ * Supported constraints:
+ * - maxExpiresIn: upper bound (seconds) on the lifetime of tokens issued
+ *   under the policy
+ */
+
+const pedersen = require('./pedersen');
+const { complementPaths, coverErrors, isWithin } = require('./merkle');
+const { computePolicyHash, normalizePredicate } = require('./verifier');
+
+const PREDICATE_OPS = ['<', '<=', '>', '>='];
+const MAX_PREDICATES = 10;
+const MAX_AGE = 120;
+
+const CONSTRAINTS = {
+  maxExpiresIn: value => Number.isInteger(value) && value > 0 && value <= 30 * 24 * 3600
+    ? null
+    : 'maxExpiresIn must be a whole number of seconds between 1 and 2592000'
+};
+
+/**
+ * Find duplicates in a list
+ */
+function duplicates(list) {
+  return list.filter((item, i) => list.indexOf(item) !== i);
+}
+
+/**
+ * Validate policy predicates against the hidden fields
+ *
+ * @param {Object[]} predicates
+ * @param {string[]} hiddenFields
+ * @param {Object} scalarFields - Field name -> 'integer' | 'date'
+ * @returns {string[]} errors
+ */
+function checkPredicates(predicates, hiddenFields, scalarFields) {
+  if (!Array.isArray(predicates) || predicates.length > MAX_PREDICATES) {
+    return [`predicates must be an array of at most ${MAX_PREDICATES} predicates`];
+  }
+
+  const errors = [];
+  predicates.forEach((predicate, i) => {
+    const fail = message => errors.push(`Predicate ${i}: ${message}`);
+    if (predicate === null || typeof predicate !== 'object' || Array.isArray(predicate)) {
+      return fail('must be an object');
+    }
+
+    const unknown = Object.keys(predicate).filter(k => !['field', 'op', 'value', 'unit'].includes(k));
+    if (unknown.length > 0) {
+      return fail(`unknown key ${unknown.join(', ')}`);
+    }
+
+    const { field, op, value, unit } = predicate;
+    if (!hiddenFields.includes(field)) {
+      return fail(`field ${field} must be a hidden field`);
+    }
+    if (!scalarFields[field]) {
+      return fail(`field ${field} is not a number or date field`);
+    }
+    if (!PREDICATE_OPS.includes(op)) {
+      return fail(`op must be one of ${PREDICATE_OPS.join(' ')}`);
+    }
+
+    if (unit === 'years') {
+      if (scalarFields[field] !== 'date') {
+        return fail('unit years (age) needs a date field');
+      }
+      if (!Number.isInteger(value) || value < 0 || value > MAX_AGE) {
+        return fail(`age must be a whole number of years between 0 and ${MAX_AGE}`);
+      }
+    } else if (unit !== undefined) {
+      return fail('unit must be years or omitted');
+    } else if (scalarFields[field] === 'date') {
+      if (pedersen.encodeScalar(value, 'date') === null) {
+        return fail('value must be a date YYYY-MM-DD from 1900-01-01 on');
+      }
+    } else if (pedersen.encodeScalar(value, 'integer') === null) {
+      return fail('value must be a whole number from 0 to 2^48');
+    }
+  });
+
+  const keys = predicates.map(p => JSON.stringify(p && normalizePredicate(p)));
+  for (const key of new Set(duplicates(keys))) {
+    errors.push(`Predicate listed more than once: ${key}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an owner's policy request and build the policy
+ *
+ * @param {Object} input - { name, description, visibleFields, hiddenFields?, allowedActions, predicates?, constraints }
+ * @param {string[]} recordFields - Every node path of the owner's record (merkle.recordPaths)
+ * @param {Function} isAction - Returns true for registered action names
+ * @param {Object} [scalarFields] - Field name -> 'integer' | 'date', for predicates
+ * @returns {Object} { errors: string[], policy }
+ */
+function buildPolicy(input, recordFields, isAction, scalarFields = {}) {
+  const errors = [];
+  const {
+    name,
+    description = '',
+    visibleFields,
+    allowedActions = [],
+    predicates = [],
+    constraints = {}
+  } = input || {};
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    errors.push('name must be a non-empty string of at most 100 characters');
+  }
+  if (typeof description !== 'string' || description.length > 500) {
+    errors.push('description must be a string of at most 500 characters');
+  }
+  if (!Array.isArray(visibleFields) || visibleFields.length === 0 || !visibleFields.every(f => typeof f === 'string')) {
+    errors.push('visibleFields must be a non-empty array of field names');
+  }
+  if (!Array.isArray(allowedActions) || !allowedActions.every(a => typeof a === 'string')) {
+    errors.push('allowedActions must be an array of action names');
+  }
+  if (constraints === null || typeof constraints !== 'object' || Array.isArray(constraints)) {
+    errors.push('constraints must be an object');
+  }
+  if (errors.length > 0) {
+    return { errors, policy: null };
+  }
+
+  // Hidden fields default to the complement of the visible ones, with each
+  // predicate field split out as its own entry so it can be proven
+  let hiddenFields = input.hiddenFields;
+  if (hiddenFields === undefined) {
+    const proven = [...new Set((Array.isArray(predicates) ? predicates : [])
+      .map(p => p && p.field)
+      .filter(f => recordFields.includes(f) && !visibleFields.some(v => isWithin(f, v))))];
+    hiddenFields = [...complementPaths(recordFields, [...visibleFields, ...proven]), ...proven];
+  }
+
+  if (!Array.isArray(hiddenFields) || !hiddenFields.every(f => typeof f === 'string')) {
+    errors.push('hiddenFields must be an array of field names');
+    return { errors, policy: null };
+  }
+
+  // Visible and hidden must partition the record exactly, at any depth
+  errors.push(...coverErrors([...visibleFields, ...hiddenFields], recordFields));
+  if (hiddenFields.length === 0) {
+    errors.push('At least one field must stay hidden');
+  }
+
+  for (const action of new Set(duplicates(allowedActions))) {
+    errors.push(`Action listed more than once: ${action}`);
+  }
+  for (const action of allowedActions.filter(a => !isAction(a))) {
+    errors.push(`Unknown action: ${action}`);
+  }
+
+  errors.push(...checkPredicates(predicates, hiddenFields, scalarFields));
+
+  for (const [key, value] of Object.entries(constraints)) {
+    const check = CONSTRAINTS[key];
+    const error = check ? check(value) : `Unknown constraint: ${key}`;
+    if (error) {
+      errors.push(error);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors, policy: null };
+  }
+
+  return {
+    errors,
+    policy: {
+      name: name.trim(),
+      description,
+      visibleFields: [...visibleFields],
+      hiddenFields: [...hiddenFields],
+      allowedActions: [...allowedActions],
+      predicates: predicates.map(normalizePredicate),
+      constraints: { ...constraints },
+      policyHash: computePolicyHash(visibleFields, hiddenFields, predicates)
+    }
+  };
+}
+
+module.exports = {
+  buildPolicy
+};
@@ -0,0 +1,577 @@
+/**
+ * VSDL - Citizen record schema registry and bulk import
+ *
+ * Every field a citizen record may hold is declared once, with its type,
+ * sensitivity class and category, in the rule language of validation.js:
+ *
+ *   { field: { type, sensitivity, category, required, description, pattern,
+ *              maxLength, min, max, fields, items } }
+ *
+ *   type         'string' | 'integer' | 'number' | 'boolean' | 'date' |
+ *                'object' | 'array'
+ *   sensitivity  a key of SENSITIVITY
+ *   category     a key of CATEGORIES
+ *
+ * Nested fields inherit sensitivity and category unless they set their
+ * own. Only 'integer' and 'date' fields are committed as numbers, so only
+ * they can carry predicates; every other field, digit strings such as
+ * nationalId included, is committed as a hash of its encoded value
+ * (encoding.js).
+ *
+ * Records are checked against the schema when they are imported, and
+ * policies when they are loaded: a policy naming a field the schema does
+ * not have, or leaving a field neither visible nor hidden, is rejected
+ * before any token is issued under it.
+ *
+ * Import files hold one citizen per entry:
+ *
+ *   JSON  [{ "citizenId": "...", "ownerKey": "02ab...", "record": { ... } }]
+ *   CSV   citizenId,ownerKey,name,...,taxRecords.annualIncome,propertyRecords[0].city,...
+ *
+ * CSV columns are field paths (merkle.js); cells are converted to the
+ * field's type and empty cells are left out. ownerKey (optional) is the
+ * citizen's public key, so they can sign in with it (auth.js challenge).
+ *
+ * Usage: node registry.js import <file> [--replace] [--dry-run]
+ *   Imports into the file store (VSDL_STORAGE_FILE, VSDL_STORAGE_KEY)
+ *   while the server is stopped. A server on the memory store can be
+ *   seeded from the same file with VSDL_CITIZENS_FILE.
+ *   Nothing is written unless every entry is valid; existing citizens are
+ *   refused unless --replace (their outstanding tokens stop verifying).
+ */
+
+const fs = require('fs');
+const pedersen = require('./pedersen');
+const { isPublicKey } = require('./owner');
+const { SCALAR_TYPES } = require('./encoding');
+const { coverErrors, flattenRecord, isWithin, parsePath, recordPaths } = require('./merkle');
+const { ValidationError, validate } = require('./validation');
+
+const FIELD_TYPES = ['string', 'integer', 'number', 'boolean', 'date', 'object', 'array'];
+
+const SENSITIVITY = {
+  public: 'May be shown to anyone',
+  personal: 'Identifies or describes the citizen',
+  sensitive: 'Harmful if disclosed (identifiers, finances)',
+  special: 'Special category data (health)'
+};
+
+const CATEGORIES = {
+  identity: 'Who the citizen is',
+  contact: 'How to reach the citizen',
+  financial: 'Income, taxes and accounts',
+  health: 'Medical information',
+  property: 'Real estate and other assets'
+};
+
+const DATE = '^\\d{4}-\\d{2}-\\d{2}$';
+
+// Fields of a citizen record
+const CITIZEN_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: 200, sensitivity: 'personal', category: 'identity' },
+  nationalId: { type: 'string', required: true, pattern: '^\\d{10}$', sensitivity: 'sensitive', category: 'identity' },
+  dateOfBirth: { type: 'date', required: true, sensitivity: 'personal', category: 'identity' },
+  address: { type: 'string', required: true, maxLength: 500, sensitivity: 'personal', category: 'contact' },
+  phone: { type: 'string', required: true, pattern: '^\\+?\\d{6,15}$', sensitivity: 'personal', category: 'contact' },
+  email: { type: 'string', required: true, maxLength: 254, pattern: '^[^@\\s]+@[^@\\s]+$', sensitivity: 'personal', category: 'contact' },
+  taxRecords: {
+    type: 'object',
+    required: true,
+    sensitivity: 'sensitive',
+    category: 'financial',
+    fields: {
+      annualIncome: { type: 'integer', required: true, min: 0 },
+      taxPaid: { type: 'integer', required: true, min: 0 },
+      currency: { type: 'string', required: true, pattern: '^[A-Z]{3}$', sensitivity: 'public' }
+    }
+  },
+  bankAccount: { type: 'string', required: true, pattern: '^[A-Z]{2}\\d{2}[A-Z0-9]{10,30}$', sensitivity: 'sensitive', category: 'financial' },
+  medicalHistory: {
+    type: 'object',
+    required: true,
+    sensitivity: 'special',
+    category: 'health',
+    fields: {
+      bloodType: { type: 'string', required: true, pattern: '^(A|B|AB|O)[+-]$' },
+      allergies: { type: 'string', required: true, maxLength: 500 },
+      conditions: { type: 'string', required: true, maxLength: 500 }
+    }
+  },
+  propertyRecords: {
+    type: 'array',
+    required: true,
+    maxItems: 100,
+    sensitivity: 'sensitive',
+    category: 'property',
+    items: {
+      type: 'object',
+      fields: {
+        type: { type: 'string', required: true, maxLength: 100 },
+        city: { type: 'string', required: true, maxLength: 100 },
+        value: { type: 'integer', required: true, min: 0 }
+      }
+    }
+  }
+};
+
+/**
+ * Check a schema's own declarations
+ */
+function schemaErrors(schema, prefix = '', inherited = {}) {
+  const errors = [];
+  for (const [name, field] of Object.entries(schema)) {
+    const path = prefix + name;
+    const sensitivity = field.sensitivity || inherited.sensitivity;
+    const category = field.category || inherited.category;
+    if (!FIELD_TYPES.includes(field.type)) {
+      errors.push(`${path}: type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(SENSITIVITY, sensitivity)) {
+      errors.push(`${path}: sensitivity must be one of ${Object.keys(SENSITIVITY).join(', ')}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(CATEGORIES, category)) {
+      errors.push(`${path}: category must be one of ${Object.keys(CATEGORIES).join(', ')}`);
+    }
+    if (field.type === 'object') {
+      errors.push(...schemaErrors(field.fields || {}, `${path}.`, { sensitivity, category }));
+    }
+    if (field.type === 'array' && field.items) {
+      errors.push(...schemaErrors({ '[]': field.items }, path, { sensitivity, category }));
+    }
+  }
+  return errors;
+}
+
+/**
+ * validation.js rule of a field ('date' is a string checked by pattern)
+ */
+function toRule(field) {
+  const { sensitivity, category, type, fields, items, ...rule } = field;
+  return {
+    ...rule,
+    type: type === 'date' ? 'string' : type,
+    ...(type === 'date' ? { pattern: DATE } : {}),
+    ...(fields ? { fields: Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, toRule(f)])) } : {}),
+    ...(items ? { items: toRule(items) } : {})
+  };
+}
+
+/**
+ * Split a CSV text into rows of cells (RFC 4180: quoted cells may hold
+ * commas, newlines and "" for a quote)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (quoted) {
+    throw new ValidationError('Invalid CSV', 'INVALID_IMPORT', ['Unterminated quoted cell']);
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value !== ''));
+}
+
+/**
+ * Registry over a record schema
+ *
+ * @param {Object} [schema] - Field declarations (default CITIZEN_SCHEMA)
+ * @returns {Object} Registry
+ */
+function createRegistry(schema = CITIZEN_SCHEMA) {
+  const errors = schemaErrors(schema);
+  if (errors.length > 0) {
+    throw new Error(`Invalid record schema: ${errors.join('; ')}`);
+  }
+  const rules = Object.fromEntries(Object.entries(schema).map(([name, field]) => [name, toRule(field)]));
+
+  /**
+   * Declaration of the field at a record path (array indices select the
+   * item declaration), with inherited sensitivity and category, or null
+   */
+  function fieldAt(path) {
+    const segments = parsePath(path);
+    if (!segments) {
+      return null;
+    }
+
+    let field = null;
+    let fields = schema;
+    let inherited = {};
+    for (const segment of segments) {
+      if (typeof segment === 'number') {
+        field = field && field.type === 'array' && field.items ? field.items : null;
+      } else {
+        field = fields && Object.prototype.hasOwnProperty.call(fields, segment) ? fields[segment] : null;
+      }
+      if (!field) {
+        return null;
+      }
+      inherited = {
+        sensitivity: field.sensitivity || inherited.sensitivity,
+        category: field.category || inherited.category
+      };
+      fields = field.type === 'object' ? field.fields : null;
+    }
+    return { ...field, ...inherited };
+  }
+
+  /**
+   * Node paths the schema gives a policy's fields, with arrays expanded
+   * to the items the policy names
+   */
+  function pathsFor(entries, fields = schema, prefix = '') {
+    const paths = [];
+    for (const [name, field] of Object.entries(fields)) {
+      const path = prefix === '' ? name : `${prefix}.${name}`;
+      paths.push(path);
+      if (field.type === 'object') {
+        paths.push(...pathsFor(entries, field.fields || {}, path));
+      } else if (field.type === 'array') {
+        const indices = new Set(entries
+          .filter(entry => entry !== path && isWithin(entry, path))
+          .map(entry => parsePath(entry)[parsePath(path).length]));
+        for (const index of [...indices].sort((a, b) => a - b)) {
+          const item = `${path}[${index}]`;
+          paths.push(item);
+          if (field.items && field.items.type === 'object') {
+            paths.push(...pathsFor(entries, field.items.fields || {}, item));
+          }
+        }
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Public description of a field
+   */
+  function describeField(field) {
+    return {
+      type: field.type,
+      sensitivity: field.sensitivity,
+      category: field.category,
+      ...(field.description ? { description: field.description } : {})
+    };
+  }
+
+  /**
+   * Check a record against the schema
+   *
+   * @returns {string[]} errors
+   */
+  function checkRecord(record) {
+    const problems = validate(rules, record).map(p => p.message);
+    if (problems.length > 0) {
+      return problems;
+    }
+    return flattenRecord(record)
+      .filter(({ path }) => fieldAt(path).type === 'date')
+      .filter(({ value }) => pedersen.encodeScalar(value, 'date') === null)
+      .map(({ path }) => `${path} must be a date from 1900-01-01 on`);
+  }
+
+  /**
+   * Parse an import file's text into entries
+   *
+   * @param {string} text
+   * @param {string} format - 'json' | 'csv'
+   * @returns {Object[]} [{ citizenId, ownerKey?, record }]
+   */
+  function parseImport(text, format) {
+    if (format === 'json') {
+      let entries;
+      try {
+        entries = JSON.parse(text);
+      } catch (err) {
+        throw new ValidationError('Invalid JSON', 'INVALID_IMPORT', [err.message]);
+      }
+      if (!Array.isArray(entries)) {
+        throw new ValidationError('Invalid import', 'INVALID_IMPORT', ['Expected an array of { citizenId, ownerKey?, record }']);
+      }
+      return entries;
+    }
+    if (format !== 'csv') {
+      throw new ValidationError(`Unknown import format: ${format}`, 'INVALID_IMPORT');
+    }
+
+    const [header = [], ...rows] = parseCsv(text);
+    const problems = [];
+    const columns = header.map(column => column.trim());
+    if (!columns.includes('citizenId')) {
+      problems.push('Missing column: citizenId');
+    }
+    for (const column of columns.filter(c => c !== 'citizenId' && c !== 'ownerKey')) {
+      const field = fieldAt(column);
+      if (!field) {
+        problems.push(`Unknown column: ${column}`);
+      } else if (field.type === 'object' || field.type === 'array') {
+        problems.push(`Column ${column} is an ${field.type}; name its fields instead`);
+      }
+    }
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid CSV header', 'INVALID_IMPORT', problems);
+    }
+
+    return rows.map((cells, i) => {
+      const entry = { record: {} };
+      columns.forEach((column, j) => {
+        const cell = cells[j] === undefined ? '' : cells[j];
+        if (cell === '') {
+          return;
+        }
+        if (column === 'citizenId' || column === 'ownerKey') {
+          entry[column] = cell;
+          return;
+        }
+        const { type } = fieldAt(column);
+        let value = cell;
+        if (type === 'integer' || type === 'number') {
+          value = /^-?\d+(\.\d+)?$/.test(cell) ? Number(cell) : cell;
+        } else if (type === 'boolean') {
+          value = cell === 'true' ? true : cell === 'false' ? false : cell;
+        }
+        setPath(entry.record, column, value);
+      });
+      // arrays with a gap get null items, which checkRecord reports
+      return { ...entry, record: JSON.parse(JSON.stringify(entry.record)), row: i + 2 };
+    });
+  }
+
+  return {
+    schema,
+    fieldAt,
+    checkRecord,
+    parseImport,
+
+    /**
+     * Every declared field as { path, type, sensitivity, category,
+     * required }, array items as path[]
+     */
+    fields() {
+      const list = [];
+      const walk = (fields, prefix, inherited) => {
+        for (const [name, field] of Object.entries(fields)) {
+          const path = prefix === '' ? name : `${prefix}.${name}`;
+          const own = describeField({
+            ...field,
+            sensitivity: field.sensitivity || inherited.sensitivity,
+            category: field.category || inherited.category
+          });
+          list.push({ path, ...own, required: !!field.required });
+          if (field.type === 'object') {
+            walk(field.fields || {}, path, own);
+          } else if (field.type === 'array' && field.items && field.items.type === 'object') {
+            walk(field.items.fields || {}, `${path}[]`, own);
+          }
+        }
+      };
+      walk(schema, '', {});
+      return list;
+    },
+
+    /**
+     * Type, sensitivity and category of every node of a record
+     *
+     * @returns {Object} Path -> { type, sensitivity, category }
+     */
+    describe(record) {
+      return Object.fromEntries(recordPaths(record)
+        .map(path => [path, fieldAt(path)])
+        .filter(([, field]) => field)
+        .map(([path, field]) => [path, describeField(field)]));
+    },
+
+    /**
+     * Leaves committed as numbers: integer fields from 0 to 2^48 - 1,
+     * and dates (the types of pedersen.commitField's context)
+     *
+     * @returns {Object} Path -> 'integer' | 'date'
+     */
+    scalarFields(record) {
+      return Object.fromEntries(flattenRecord(record)
+        .map(({ path, value }) => [path, fieldAt(path), value])
+        .filter(([, field, value]) => field && SCALAR_TYPES.includes(field.type) && pedersen.encodeScalar(value, field.type) !== null)
+        .map(([path, field]) => [path, field.type]));
+    },
+
+    /**
+     * Check that a policy names schema fields only, covers the record
+     * exactly once, and puts predicates on integer or date fields
+     *
+     * @param {Object} policy - { visibleFields, hiddenFields, predicates? }
+     * @returns {string[]} errors
+     */
+    policyErrors({ visibleFields, hiddenFields, predicates = [] }) {
+      const entries = [...visibleFields, ...hiddenFields];
+      const unknown = entries.filter(entry => !fieldAt(entry));
+      const errors = unknown.map(entry => `Unknown field: ${entry}`);
+      if (unknown.length === 0) {
+        errors.push(...coverErrors(entries, pathsFor(entries)));
+      }
+
+      for (const { field, unit } of predicates) {
+        const declared = fieldAt(field);
+        if (!declared) {
+          errors.push(`Unknown predicate field: ${field}`);
+        } else if (!['integer', 'date'].includes(declared.type)) {
+          errors.push(`Predicate field ${field} is ${declared.type}, not integer or date`);
+        } else if (unit === 'years' && declared.type !== 'date') {
+          errors.push(`Predicate field ${field} needs type date for an age`);
+        }
+      }
+      return errors;
+    },
+
+    /**
+     * Validate entries and store them, all or nothing
+     *
+     * @param {Object} storage - Adapter (storage.js)
+     * @param {Object[]} entries - From parseImport()
+     * @param {Object} [options] - { replace: overwrite existing citizens, dryRun }
+     * @returns {string[]} Imported citizen ids
+     * @throws {ValidationError} INVALID_IMPORT naming every problem
+     */
+    importCitizens(storage, entries, { replace = false, dryRun = false } = {}) {
+      const problems = [];
+      const seen = new Set();
+
+      entries.forEach((entry, i) => {
+        const where = entry && entry.row ? `Row ${entry.row}` : `Entry ${i}`;
+        const fail = message => problems.push(`${where}: ${message}`);
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+          return fail('must be an object');
+        }
+
+        const { citizenId, ownerKey, record } = entry;
+        if (typeof citizenId !== 'string' || !/^[\w.-]{1,200}$/.test(citizenId)) {
+          return fail('citizenId must be 1 to 200 letters, digits, ".", "_" or "-"');
+        }
+        if (seen.has(citizenId)) {
+          fail(`${citizenId} is listed more than once`);
+        }
+        seen.add(citizenId);
+        if (!replace && storage.getCitizen(citizenId)) {
+          fail(`${citizenId} already exists (use replace)`);
+        }
+        if (ownerKey !== undefined && !isPublicKey(ownerKey)) {
+          fail(`${citizenId}: ownerKey is not a secp256k1 public key`);
+        }
+        for (const message of checkRecord(record)) {
+          fail(`${citizenId}: ${message}`);
+        }
+      });
+
+      if (problems.length > 0) {
+        throw new ValidationError('Invalid import', 'INVALID_IMPORT', problems);
+      }
+      if (!dryRun) {
+        for (const { citizenId, ownerKey, record } of entries) {
+          storage.putCitizen(citizenId, record);
+          if (ownerKey !== undefined) {
+            storage.putOwnerKey(citizenId, ownerKey);
+          }
+        }
+      }
+      return entries.map(entry => entry.citizenId);
+    },
+
+    /**
+     * Read an import file (.csv, otherwise JSON)
+     */
+    readImport(file) {
+      return parseImport(fs.readFileSync(file, 'utf8'), /\.csv$/i.test(file) ? 'csv' : 'json');
+    }
+  };
+}
+
+/**
+ * Set the value at a path, creating objects and arrays on the way
+ */
+function setPath(record, path, value) {
+  const segments = parsePath(path);
+  let node = record;
+  segments.forEach((segment, i) => {
+    if (i === segments.length - 1) {
+      node[segment] = value;
+      return;
+    }
+    if (node[segment] === undefined) {
+      node[segment] = typeof segments[i + 1] === 'number' ? [] : {};
+    }
+    node = node[segment];
+  });
+}
+
+module.exports = {
+  CATEGORIES,
+  CITIZEN_SCHEMA,
+  FIELD_TYPES,
+  SENSITIVITY,
+  createRegistry,
+  parseCsv
+};
+
+if (require.main === module) {
+  const { parseArgs } = require('util');
+  const { createStorage } = require('./storage');
+
+  const { positionals: [command, file], values } = parseArgs({
+    args: process.argv.slice(2),
+    options: { replace: { type: 'boolean' }, 'dry-run': { type: 'boolean' } },
+    allowPositionals: true
+  });
+  if (command !== 'import' || !file) {
+    console.log('Usage: node registry.js import <file> [--replace] [--dry-run]');
+    process.exit(1);
+  }
+
+  const registry = createRegistry();
+  const storage = createStorage({ type: 'file', file: process.env.VSDL_STORAGE_FILE, key: process.env.VSDL_STORAGE_KEY });
+  try {
+    const ids = registry.importCitizens(storage, registry.readImport(file), {
+      replace: values.replace,
+      dryRun: values['dry-run']
+    });
+    console.log(`${values['dry-run'] ? 'Valid' : 'Imported'}: ${ids.length} citizen(s)${ids.length > 0 ? ` (${ids.join(', ')})` : ''}`);
+  } catch (err) {
+    if (!(err instanceof ValidationError)) {
+      throw err;
+    }
+    console.log(`${err.message}:`);
+    err.details.forEach(detail => console.log(`  ${detail}`));
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * VSDL - Request schemas of the HTTP API and the proof format
+ *
+ * One entry per route that takes input, as { params?, query?, body? } in
+ * the schema language of validation.js. They check shape only (types,
+ * lengths, formats); whether a policy fits a record or a sub-delegation
+ * is narrower than its parent is decided by the route.
+ *
+ * Points and scalars are checked for format here and for group membership
+ * and range when they are decoded (pedersen.deserializePoint /
+ * deserializeScalar).
+ *
+ * PROOF_SCHEMA describes the vsdl-proof/v1 envelope returned by
+ * /api/delegate. It is published as JSON Schema (openapi.js); a change to
+ * its shape needs a new version.
+ */
+
+const { CURVES } = require('./group');
+const { FIELD_ENCODINGS, SCALAR_TYPES } = require('./encoding');
+const { FORMATS } = require('./credentials');
+const { PROOF_VERSION } = require('./verifier');
+
+// Largest batch accepted by /api/verify/batch
+const MAX_BATCH_PARTITIONS = 1000;
+
+// Largest number of openings in one partition
+const MAX_OPENINGS = 1000;
+
+// Longest token lifetime in seconds (a year)
+const MAX_EXPIRES_IN = 365 * 24 * 3600;
+
+const HEX = '^[0-9a-fA-F]+$';
+const SCALAR = '^[0-9a-fA-F]{1,64}$';
+const SIGNATURE = '^[0-9a-fA-F]{128}$';
+const TOKEN_ID = '^[0-9a-f]{32}$';
+const DIGEST = '^[0-9a-f]{64}$';
+const DATE = '^\\d{4}-\\d{2}-\\d{2}$';
+
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const names = (maxItems = 100) => ({ type: 'array', maxItems, items: text(200) });
+
+const curve = { type: 'string', enum: CURVES, code: 'INVALID_CURVE' };
+const encoding = { type: 'string', enum: FIELD_ENCODINGS, code: 'INVALID_ENCODING' };
+const explain = { type: 'string', enum: ['true', 'false'], description: 'Add display math (data.explain)' };
+
+// An encoded point, or a serialized one ({ x, y, compressed })
+const point = {
+  type: ['string', 'object'],
+  pattern: HEX,
+  maxLength: 130,
+  code: 'INVALID_POINT',
+  fields: {
+    x: text(64, { pattern: HEX, code: 'INVALID_POINT' }),
+    y: text(64, { pattern: HEX, code: 'INVALID_POINT' }),
+    compressed: text(130, { pattern: HEX, code: 'INVALID_POINT' })
+  }
+};
+
+// A point as its group encodes it (compressed SEC1, or ristretto255)
+const encodedPoint = text(130, { pattern: HEX, code: 'INVALID_POINT' });
+
+const scalar = text(64, { pattern: SCALAR, code: 'INVALID_SCALAR' });
+const scalars = { type: 'array', maxItems: 1000, items: scalar };
+
+// Opening of one visible leaf
+const opening = {
+  type: 'object',
+  fields: {
+    fieldName: text(500, { required: true }),
+    value: { type: ['string', 'number', 'boolean', 'null'], required: true },
+    randomness: { ...scalar, required: true },
+    type: { type: 'string', enum: SCALAR_TYPES, description: 'Scalar type of the field (VSDL-FIELD-V3)' }
+  }
+};
+
+// One partition C_D = C_H · C_F with the openings of C_F
+const partition = {
+  visibleFields: { type: 'array', required: true, minItems: 1, maxItems: MAX_OPENINGS, items: opening },
+  recordCommitment: { ...point, required: true },
+  hiddenCommitment: { ...point, required: true },
+  encoding,
+  recordId: text(200)
+};
+
+const predicate = {
+  type: 'object',
+  fields: {
+    field: text(200, { required: true }),
+    op: text(2, { required: true }),
+    value: { type: ['number', 'string'], required: true },
+    unit: text(20)
+  }
+};
+
+// vsdl-proof/v1: what a delegate needs to check a view, nothing for display
+const PROOF_SCHEMA = {
+  version: { type: 'string', required: true, enum: [PROOF_VERSION] },
+  curve: { ...curve, required: true },
+  encoding: { ...encoding, description: 'Field message encoding (encoding.js); absent for legacy tokens' },
+  recordId: text(200, { description: 'Record id the field messages are bound to (token sub)' }),
+  recordCommitment: { ...encodedPoint, required: true, description: 'C_D, signed by the owner' },
+  hiddenCommitment: { ...encodedPoint, required: true, description: 'C_H' },
+  visibleFields: {
+    type: 'array',
+    required: true,
+    maxItems: MAX_OPENINGS,
+    items: opening,
+    description: 'Openings of every visible leaf; they recompute C_F'
+  },
+  hiddenCommitments: {
+    type: 'array',
+    required: true,
+    items: {
+      type: 'object',
+      description: 'A hidden tree node (path, commitment, digest) for tokens with a fieldRoot, '
+        + 'otherwise a hidden field commitment with its membership proof',
+      fields: {
+        path: text(500),
+        commitment: { ...encodedPoint, required: true },
+        digest: { type: ['string', 'null'], pattern: DIGEST },
+        membershipProof: {
+          type: 'object',
+          fields: {
+            e: { ...scalars, required: true },
+            zm: { ...scalars, required: true },
+            zr: { ...scalars, required: true }
+          }
+        }
+      }
+    }
+  },
+  predicates: {
+    type: 'array',
+    required: true,
+    items: {
+      type: 'object',
+      fields: {
+        predicate: { ...predicate, required: true },
+        asOf: text(10, { pattern: DATE, description: 'Day ages are counted to' }),
+        holds: { type: 'boolean', required: true },
+        relation: { type: 'string', required: true, enum: ['>=', '<='] },
+        bound: { type: 'integer', required: true },
+        commitment: { ...encodedPoint, required: true },
+        rangeProof: {
+          type: 'object',
+          required: true,
+          fields: {
+            bits: { type: 'integer', required: true, min: 1 },
+            B: { type: 'array', required: true, items: encodedPoint },
+            e: { ...scalar, required: true },
+            e0: { ...scalars, required: true },
+            z0: { ...scalars, required: true },
+            z1: { ...scalars, required: true }
+          }
+        }
+      }
+    }
+  },
+  fieldSchema: {
+    type: 'object',
+    required: true,
+    description: 'Signed field schema (hashes to the token\'s policyHash)',
+    fields: {
+      visible: { ...names(), required: true },
+      hidden: { ...names(), required: true },
+      predicates: { type: 'array', items: predicate }
+    }
+  }
+};
+
+const delegation = {
+  constraints: { type: 'object' },
+  binding: { type: 'string', enum: ['bearer', 'bound'], code: 'INVALID_BINDING' },
+  delegateKey: { type: 'object', code: 'INVALID_BINDING' }
+};
+
+const REQUEST_SCHEMAS = {
+  generators: {
+    query: { curve }
+  },
+  login: {
+    body: {
+      username: text(200, { required: true }),
+      password: text(1000, { required: true })
+    }
+  },
+  challenge: {
+    body: { citizenId: text(200, { required: true }) }
+  },
+  answerChallenge: {
+    params: { challengeId: text(200, { required: true }) },
+    body: { signature: text(128, { required: true, pattern: SIGNATURE }) }
+  },
+  citizen: {
+    params: { citizenId: text(200, { required: true }) }
+  },
+  createPolicy: {
+    body: {
+      name: text(100, { required: true }),
+      description: text(500),
+      visibleFields: { ...names(), required: true, minItems: 1 },
+      hiddenFields: names(),
+      allowedActions: names(),
+      predicates: { type: 'array', maxItems: 10, items: predicate },
+      constraints: { type: 'object' }
+    }
+  },
+  registerOwner: {
+    body: { publicKey: text(130, { required: true, pattern: HEX }) }
+  },
+  createToken: {
+    body: {
+      policyId: text(200, { required: true }),
+      expiresIn: { type: 'integer', min: 1, max: MAX_EXPIRES_IN },
+      maxDepth: { type: 'integer', min: 0 },
+      curve,
+      onBehalfOf: text(200, { description: 'Ward to issue for, as their guardian' }),
+      ...delegation
+    }
+  },
+  signToken: {
+    params: { tokenId: text(32, { required: true, pattern: TOKEN_ID }) },
+    body: {
+      signature: text(128, { required: true, pattern: SIGNATURE }),
+      consent: { type: 'boolean' }
+    }
+  },
+  revokeToken: {
+    params: { tokenId: text(32, { required: true, pattern: TOKEN_ID }) },
+    body: { signature: text(128, { required: true, pattern: SIGNATURE }) }
+  },
+  subdelegate: {
+    body: {
+      visibleFields: { ...names(), required: true, minItems: 1 },
+      allowedActions: names(),
+      predicates: { type: 'array', maxItems: 10, items: predicate },
+      expiresIn: { type: 'integer', min: 1, max: MAX_EXPIRES_IN },
+      ...delegation
+    }
+  },
+  delegate: {
+    query: {
+      format: { type: 'string', enum: Object.keys(FORMATS), code: 'INVALID_FORMAT' },
+      explain
+    }
+  },
+  verification: {
+    body: {
+      valid: { type: 'boolean', required: true },
+      failedChecks: { type: 'array', maxItems: 100, items: text(100) }
+    }
+  },
+  verify: {
+    query: { explain },
+    body: { ...partition, curve }
+  },
+  verifyBatch: {
+    body: {
+      partitions: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: MAX_BATCH_PARTITIONS,
+        items: { type: 'object', fields: partition }
+      },
+      curve
+    }
+  }
+};
+
+module.exports = {
+  REQUEST_SCHEMAS,
+  PROOF_SCHEMA,
+  MAX_BATCH_PARTITIONS,
+  MAX_EXPIRES_IN
+};
@@ -7,29 +7,106 @@
  * 
  * Endpoints:
  * - GET  /                     - Web interface
- * - GET  /api/generators       - Get cryptographic generators info
- * - POST /api/token/create     - Owner creates delegation token
- * - GET  /api/delegate/:token  - Delegate accesses filtered data
- * - POST /api/verify           - Verify server response
+ * - GET  /vsdl-verifier.js     - Standalone verifier library (browser bundle)
+ * - GET  /vsdl-owner.js        - Owner key and signing library (browser bundle)
+ * - GET  /.well-known/jwks.json - Public keys that sign delegation tokens
+ * - GET  /api/openapi.json     - OpenAPI description of this API
+ * - GET  /api/schemas/vsdl-proof-v1.json - JSON Schema of the proof format
+ * - GET  /api/generators       - Get cryptographic generators info (?curve=)
+ * - POST /api/auth/login       - Owner signs in with username and password
+ * - POST /api/auth/challenge   - Owner requests a sign-in challenge
+ * - POST /api/auth/challenge/:id - Owner signs in by answering the challenge
+ * - GET  /api/auth/session     - Current owner session
+ * - POST /api/auth/logout      - End the owner session
+ * - GET  /api/policies         - Predefined (and the signed-in owner's) policies
+ * - POST /api/policies         - Owner defines a custom policy *
+ * - GET  /api/schema           - Record schema (field types, sensitivity, category)
+ * - GET  /api/citizens/:id/schema - Field names and types of a citizen's record *
+ * - POST /api/owner/register   - Owner registers their public key *
+ * - GET  /api/owner/:citizenId - Get an owner's registered public key
+ * - POST /api/token/create     - Owner (or guardian, onBehalfOf) creates delegation token (draft + consent) *
+ * - POST /api/token/:id/sign   - Owner consents and signs commitment, JWT is issued *
+ * - POST /api/token/:id/revoke - Owner revokes a token *
+ * - GET  /api/tokens           - Owner lists their delegations (and those issued as guardian) *
+ * - GET  /api/guardianships    - Guardianships held by and over the owner *
+ * - GET  /api/revocations      - Signed revocation list
+ * - GET  /api/delegate/:token  - Delegate accesses filtered data (counts one use;
+ *                                ?format= or Accept: json, SD-JWT or W3C VP;
+ *                                ?explain=true adds display math)
+ * - GET  /api/actions          - Registered delegated actions
+ * - POST /api/delegate/:token/actions/:action - Delegate invokes an action
+ * - POST /api/delegate/:token/subdelegate - Delegate passes on a narrower token
+ * - POST /api/delegate/:token/verification - Delegate reports a local verification
+ * - POST /api/verify           - Verify server response (?explain=true)
+ * - POST /api/verify/batch     - Verify many server responses at once
+ * - GET  /api/audit/:citizenId - Owner's audit chain with integrity check *
+ *
+ * Routes marked * need an owner session (Authorization: Bearer <token>).
+ * Input is checked against schemas.js before a route runs; every error
+ * response is { success: false, error, code, details? }.
  */
 
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const pedersen = require('./pedersen');
+const merkle = require('./merkle');
+const { FIELD_DOMAIN, fieldContext } = require('./encoding');
+const ownerSig = require('./owner');
+const { ValidationError, validateRequest } = require('./validation');
+const { REQUEST_SCHEMAS: schemas } = require('./schemas');
+const sigma = require('./sigma');
+const {
+  PROOF_VERSION,
+  computePolicyHash,
+  chainLinkHash,
+  complementStatement,
+  describePredicate,
+  normalizePredicate,
+  predicateStatement
+} = require('./verifier');
+const { loadKeyRing } = require('./keys');
+const { createStorage } = require('./storage');
+const actions = require('./actions');
+const { buildPolicy } = require('./policies');
+const { CATEGORIES, SENSITIVITY, createRegistry } = require('./registry');
+const { parseTokenConstraints, checkTimeWindow, checkUsage, inheritUsage } = require('./constraints');
+const { createAuditLog, loadAuditSalt, verifyChain } = require('./audit');
+const { createAuth } = require('./auth');
+const { createGuardianships, guardianClaim, guardianshipStatus } = require('./guardians');
+const { createDpopVerifier, publicKeyThumbprint } = require('./dpop');
+const { bundle } = require('./bundle');
+const { SD_JWT_TYPE, VP_TYPE, createCredentialIssuer, negotiateFormat } = require('./credentials');
+const { JSON_SCHEMA_DIALECT, buildOpenApi, proofJsonSchema } = require('./openapi');
 
 const app = express();
+// Action payloads may carry a photo; every other body uses the default limit
+app.use('/api/delegate/:token/actions', express.json({ limit: actions.PAYLOAD_LIMIT }));
 app.use(express.json());
 app.use(require('cors')());
 
-// Server secret for JWT signing
-const SERVER_SECRET = crypto.randomBytes(32).toString('hex');
+// ES256 signing keys, persisted on disk and published as a JWKS
+const keyRing = loadKeyRing(process.env.VSDL_KEY_DIR);
+const TOKEN_ISSUER = 'vsdl-gov-portal';
 
-// In-memory storage (production would use database)
-const tokenStore = new Map();
+// SD-JWT / Verifiable Presentation export of delegated views
+const credentials = createCredentialIssuer({ keyRing, issuer: TOKEN_ISSUER });
 
-// Sample citizen records (simulating government database)
-const citizenDB = {
+// Curve new tokens commit on unless the owner picks one (see group.js)
+const DEFAULT_TOKEN_CURVE = process.env.VSDL_CURVE || pedersen.DEFAULT_CURVE;
+if (!pedersen.CURVES.includes(DEFAULT_TOKEN_CURVE)) {
+  throw new Error(`VSDL_CURVE must be one of ${pedersen.CURVES.join(', ')}`);
+}
+
+// Citizen records, owner keys and token metadata (see storage.js)
+const storage = createStorage({
+  type: process.env.VSDL_STORAGE,
+  file: process.env.VSDL_STORAGE_FILE,
+  key: process.env.VSDL_STORAGE_KEY
+});
+
+// Sample citizen records, seeded into an empty store
+const SAMPLE_CITIZENS = {
   'citizen-001': {
     name: 'Ahmed Ali Mohammed',
     nationalId: '1087654321',
@@ -37,13 +114,90 @@ const citizenDB = {
     address: 'King Fahd Road, Riyadh 12345',
     phone: '+966501234567',
     email: 'ahmed@email.com',
-    taxRecords: 'Annual Income: 180,000 SAR | Tax Paid: 4,500 SAR',
+    taxRecords: { annualIncome: 180000, taxPaid: 4500, currency: 'SAR' },
     bankAccount: 'SA4420000001234567891234',
-    medicalHistory: 'Blood Type: O+ | Allergies: None | Conditions: Hypertension',
-    propertyRecords: 'Villa in Riyadh (2.1M SAR) | Land in Jeddah (800K SAR)'
+    medicalHistory: { bloodType: 'O+', allergies: 'None', conditions: 'Hypertension' },
+    propertyRecords: [
+      { type: 'Villa', city: 'Riyadh', value: 2100000 },
+      { type: 'Land', city: 'Jeddah', value: 800000 }
+    ]
+  },
+  'citizen-002': {
+    name: 'Ali Mohammed Abdullah',
+    nationalId: '1023456789',
+    dateOfBirth: '1941-09-02',
+    address: 'King Fahd Road, Riyadh 12345',
+    phone: '+966112345678',
+    email: 'ali.abdullah@email.com',
+    taxRecords: { annualIncome: 48000, taxPaid: 0, currency: 'SAR' },
+    bankAccount: 'SA4420000007654321987654',
+    medicalHistory: { bloodType: 'A+', allergies: 'Penicillin', conditions: 'Dementia, hypertension' },
+    propertyRecords: [
+      { type: 'House', city: 'Riyadh', value: 1200000 },
+      { type: 'Farm', city: 'Al-Kharj', value: 400000 }
+    ]
+  }
+};
+
+// Sample guardianship: the sample owner acts for their father
+const SAMPLE_GUARDIANSHIPS = [
+  {
+    guardianId: 'citizen-001',
+    wardId: 'citizen-002',
+    legalBasis: { type: 'court-order', reference: 'RYD-PSC-1446-0417', authority: 'Riyadh Personal Status Court' },
+    validFrom: '2025-01-01',
+    validUntil: '2030-01-01',
+    scope: { policies: ['id-renewal', 'medical-proxy', 'senior-benefits'], maxExpiresIn: 7 * 24 * 3600, maxDepth: 1 }
+  }
+];
+
+// Per-citizen hash-chained audit log (see audit.js); the IP hash salt is
+// kept next to the file store unless configured
+const audit = createAuditLog(storage, {
+  salt: loadAuditSalt(process.env.VSDL_AUDIT_SALT, storage.type === 'file' ? `${storage.file}.audit-salt` : null)
+});
+
+// Types, sensitivity and categories of record fields (see registry.js)
+const registry = createRegistry();
+
+// An empty store is seeded from VSDL_CITIZENS_FILE (CSV or JSON), or with
+// the sample records; either must match the schema
+const seedSamples = storage.listCitizenIds().length === 0 && !process.env.VSDL_CITIZENS_FILE;
+if (storage.listCitizenIds().length === 0) {
+  const entries = process.env.VSDL_CITIZENS_FILE
+    ? registry.readImport(process.env.VSDL_CITIZENS_FILE)
+    : Object.entries(SAMPLE_CITIZENS).map(([citizenId, record]) => ({ citizenId, record }));
+  try {
+    registry.importCitizens(storage, entries);
+  } catch (err) {
+    throw new Error(`${err.message}: ${(err.details || []).join('; ')}`);
   }
+}
+
+// Owner sign-in and sessions (see auth.js)
+const auth = createAuth(storage, { sessionTtl: parseInt(process.env.VSDL_SESSION_TTL, 10) || 1800 });
+
+// Demo sign-in for the sample citizens (set VSDL_DEMO_PASSWORD to change it)
+const DEMO_CREDENTIALS = {
+  ahmed: { citizenId: 'citizen-001', password: process.env.VSDL_DEMO_PASSWORD || 'vsdl-demo' },
+  ali: { citizenId: 'citizen-002', password: process.env.VSDL_DEMO_PASSWORD || 'vsdl-demo' }
 };
 
+for (const [username, { citizenId, password }] of Object.entries(DEMO_CREDENTIALS)) {
+  if (!storage.getCredential(username) && storage.getCitizen(citizenId)) {
+    auth.setPassword(username, citizenId, password);
+  }
+}
+
+// Guardians who may issue delegations for their wards (see guardians.js)
+const guardianships = createGuardianships(storage);
+
+// DPoP proofs for delegate-bound tokens (see dpop.js)
+const dpop = createDpopVerifier();
+
+// Longest chain of sub-delegations an owner may allow below a token
+const MAX_DELEGATION_DEPTH = parseInt(process.env.VSDL_MAX_DELEGATION_DEPTH, 10) || 3;
+
 // Predefined delegation policies
 const POLICIES = {
   'id-renewal': {
@@ -66,9 +220,486 @@ const POLICIES = {
     visibleFields: ['name', 'nationalId', 'dateOfBirth', 'medicalHistory'],
     hiddenFields: ['address', 'phone', 'email', 'taxRecords', 'bankAccount', 'propertyRecords'],
     allowedActions: ['view_medical_info', 'book_appointment', 'view_prescriptions']
+  },
+  'senior-benefits': {
+    name: 'Senior Benefits Eligibility',
+    description: 'Proves age 60+ and income under 200,000 SAR without revealing either',
+    visibleFields: ['name', 'nationalId'],
+    hiddenFields: [
+      'dateOfBirth', 'address', 'phone', 'email', 'taxRecords.annualIncome', 'taxRecords.taxPaid',
+      'taxRecords.currency', 'bankAccount', 'medicalHistory', 'propertyRecords'
+    ],
+    allowedActions: ['view_id_info'],
+    predicates: [
+      { field: 'dateOfBirth', op: '>=', value: 60, unit: 'years' },
+      { field: 'taxRecords.annualIncome', op: '<', value: 200000 }
+    ]
+  },
+  'tax-clearance': {
+    name: 'Tax Clearance Certificate',
+    description: 'Shows tax paid and the first property, keeping income and other assets hidden',
+    visibleFields: ['name', 'nationalId', 'taxRecords.taxPaid', 'taxRecords.currency', 'propertyRecords[0]'],
+    hiddenFields: [
+      'dateOfBirth', 'address', 'phone', 'email', 'taxRecords.annualIncome',
+      'bankAccount', 'medicalHistory', 'propertyRecords[1]'
+    ],
+    allowedActions: ['view_tax_info', 'download_tax_certificate']
   }
 };
 
+// Predefined policies must name schema fields and cover the record
+for (const [policyId, policy] of Object.entries(POLICIES)) {
+  const errors = registry.policyErrors(policy);
+  if (errors.length > 0) {
+    throw new Error(`Policy ${policyId}: ${errors.join('; ')}`);
+  }
+}
+
+if (seedSamples) {
+  for (const input of SAMPLE_GUARDIANSHIPS) {
+    const { errors } = guardianships.register(input, { isPolicy: id => Object.prototype.hasOwnProperty.call(POLICIES, id) });
+    if (errors.length > 0) {
+      throw new Error(`Sample guardianship: ${errors.join('; ')}`);
+    }
+  }
+}
+
+/**
+ * Pedersen commitments on a named curve (secp256k1 when the name is
+ * absent), or null if the curve is not supported
+ */
+function curveFrom(name) {
+  if (name === undefined) {
+    return pedersen;
+  }
+  return pedersen.CURVES.includes(name) ? pedersen.forCurve(name) : null;
+}
+
+/**
+ * Answer a policy's predicates with range proofs over the hidden field
+ * commitments
+ *
+ * A predicate that does not hold is answered with a proof of its
+ * complement, so the delegate learns its truth value either way but never
+ * the value itself. Age predicates are resolved against today's date.
+ */
+function provePredicates(predicates, jti, record, fieldCommitments, curve, context) {
+  const asOf = new Date().toISOString().slice(0, 10);
+  
+  return predicates.map((predicate, i) => {
+    const fc = fieldCommitments[predicate.field];
+    if (!fc || !fc.math.scalar) {
+      throw new Error(`Predicate field ${predicate.field} is not a number or date`);
+    }
+    const x = pedersen.encodeScalar(fc.value, fc.type || null);
+    
+    const statement = predicateStatement(predicate, asOf);
+    const holds = statement.relation === '>='
+      ? x.toNumber() >= statement.bound
+      : x.toNumber() <= statement.bound;
+    const proven = holds ? statement : complementStatement(statement);
+    
+    return {
+      predicate,
+      ...(predicate.unit === 'years' ? { asOf } : {}),
+      holds,
+      relation: proven.relation,
+      bound: proven.bound,
+      commitment: curve.group.encode(fc.commitment),
+      rangeProof: curve.proveBound(
+        fc.commitment,
+        predicate.field,
+        x,
+        fc.randomness,
+        proven.relation,
+        proven.bound,
+        `${jti}|predicate|${i}`,
+        { context, type: fc.type || null }
+      )
+    };
+  });
+}
+
+/**
+ * Owner session named by the request's bearer token, if any
+ */
+function sessionFrom(req) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? auth.getSession(token) : null;
+}
+
+/**
+ * Require a signed-in owner
+ * 
+ * Sets req.owner to the session. A citizenId named in the path, body or
+ * query must be the session's own.
+ */
+function requireOwner(req, res, next) {
+  const session = sessionFrom(req);
+  if (!session) {
+    return res.status(401).json({ success: false, error: 'Owner sign-in required', code: 'AUTH_REQUIRED' });
+  }
+  
+  const claimed = req.params.citizenId || (req.body && req.body.citizenId) || req.query.citizenId;
+  if (claimed !== undefined && claimed !== session.citizenId) {
+    return res.status(403).json({ success: false, error: 'Signed in as a different citizen', code: 'NOT_OWNER' });
+  }
+  
+  req.owner = session;
+  next();
+}
+
+/**
+ * Public view of a session (includes the bearer token only on sign-in)
+ */
+function sessionSummary(session, includeToken = false) {
+  return {
+    ...(includeToken ? { sessionToken: session.token } : {}),
+    sessionId: session.sessionId,
+    citizenId: session.citizenId,
+    method: session.method,
+    expiresAt: new Date(session.expiresAt).toISOString()
+  };
+}
+
+/**
+ * Answer a request whose handler threw
+ * 
+ * Invalid input (ValidationError, e.g. a point off the curve) is a 400
+ * with its code; anything else is a 500 that does not echo internals.
+ */
+function sendError(res, err) {
+  if (err instanceof ValidationError) {
+    return res.status(400).json({
+      success: false,
+      error: err.message,
+      code: err.code,
+      ...(err.details.length > 0 ? { details: err.details } : {})
+    });
+  }
+  console.error(err);
+  res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+}
+
+/**
+ * Verify a delegation JWT against the key named by its kid header
+ * 
+ * Credentials and revocation lists are signed with the same keys but have
+ * their own typ, so they are not accepted as tokens.
+ */
+function verifyToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && keyRing.get(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Unknown signing key');
+  }
+  if (decoded.header.typ !== 'JWT') {
+    throw new jwt.JsonWebTokenError(`Not a delegation token (typ ${decoded.header.typ})`);
+  }
+  
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [keyRing.algorithm],
+    issuer: TOKEN_ISSUER
+  });
+}
+
+/**
+ * Encoding context of a token's record: the claims' context (see
+ * encoding.fieldContext) with the scalar types of its fields
+ */
+function recordContext(claims, record) {
+  const context = fieldContext(claims);
+  return context && { ...context, types: registry.scalarFields(record) };
+}
+
+/**
+ * Recompute a stored token's commitments from the citizen record, on the
+ * token's curve
+ * 
+ * Returns null if the record is gone or no longer matches the signed C_D.
+ */
+function openToken(stored) {
+  const record = storage.getCitizen(stored.citizenId);
+  if (!record) {
+    return null;
+  }
+  
+  const randomness = Object.fromEntries(
+    Object.entries(stored.randomness).map(([k, v]) => [k, pedersen.deserializeBN(v)])
+  );
+  const curve = curveFrom(stored.claims.curve);
+  const context = recordContext(stored.claims, record);
+  const { fieldCommitments, recordCommitment, tree, fieldRoot } =
+    merkle.commitRecord(record, randomness, curve.curve, context);
+  
+  if (curve.serializePoint(recordCommitment).compressed !== stored.claims.commitment) {
+    return null;
+  }
+  if (stored.claims.fieldRoot !== undefined && fieldRoot !== stored.claims.fieldRoot) {
+    return null;
+  }
+  
+  return { record, fieldCommitments, recordCommitment, tree, curve, context };
+}
+
+/**
+ * Validate the requested binding of a new token
+ * 
+ * Bearer links work for whoever holds them; bound links only with the
+ * delegate's private key. Returns { binding } or { error }.
+ */
+function parseBinding({ binding = 'bearer', delegateKey }) {
+  if (binding !== 'bearer' && binding !== 'bound') {
+    return { error: 'binding must be "bearer" or "bound"' };
+  }
+  const jkt = binding === 'bound' ? publicKeyThumbprint(delegateKey) : null;
+  if (binding === 'bound' && !jkt) {
+    return { error: 'Bound tokens need the delegate\'s P-256 public key as a JWK (delegateKey)' };
+  }
+  return { binding: { mode: binding, jkt } };
+}
+
+/**
+ * Sign the delegation JWT for a stored token
+ * 
+ * Sub-delegated tokens carry the root token's owner signature.
+ */
+function issueJwt(stored) {
+  const jwtPayload = {
+    ...stored.claims,
+    ownerKey: stored.ownerKey,
+    ownerSig: stored.ownerSig
+  };
+  if (stored.constraints && stored.constraints.notBefore) {
+    jwtPayload.nbf = Math.floor(Date.parse(stored.constraints.notBefore) / 1000);
+  }
+  
+  return jwt.sign(jwtPayload, keyRing.active.privateKey, {
+    algorithm: keyRing.algorithm,
+    keyid: keyRing.active.kid,
+    expiresIn: stored.expiresIn,
+    issuer: TOKEN_ISSUER
+  });
+}
+
+/**
+ * Stored parent, grandparent, ... of a sub-delegated token
+ */
+function ancestorsOf(stored) {
+  const ancestors = [];
+  for (let id = stored.parentId; id; ) {
+    const parent = storage.getToken(id);
+    if (!parent) {
+      break;
+    }
+    ancestors.push(parent);
+    id = parent.parentId;
+  }
+  return ancestors;
+}
+
+/**
+ * Every stored token sub-delegated (directly or not) from a token
+ */
+function descendantsOf(tokenId) {
+  const tokens = storage.listTokens();
+  const found = [];
+  for (let frontier = [tokenId]; frontier.length > 0; ) {
+    const children = tokens.filter(t => frontier.includes(t.parentId));
+    found.push(...children);
+    frontier = children.map(t => t.tokenId);
+  }
+  return found;
+}
+
+/**
+ * Look up a predefined policy, or an owner-defined policy of this citizen
+ */
+function findPolicy(policyId, citizenId) {
+  if (Object.prototype.hasOwnProperty.call(POLICIES, policyId)) {
+    return POLICIES[policyId];
+  }
+  
+  const custom = storage.getPolicy(policyId);
+  return custom && custom.citizenId === citizenId ? custom : null;
+}
+
+/**
+ * Resolve a delegation JWT to its stored token and opened record
+ * 
+ * Shared by every /api/delegate/:token route. For tokens bound to a
+ * delegate key (cnf claim) the request must carry a matching DPoP proof.
+ * The token and every token above it must have a use left, unless
+ * `options.usage` is false (requests that take no use).
+ * Returns either { payload, stored, opened } or { status, error } for the
+ * response.
+ */
+function resolveDelegation(token, req, options = {}) {
+  // Verify JWT
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (err) {
+    if (err instanceof jwt.NotBeforeError) {
+      return {
+        status: 403,
+        error: { error: 'Token is not valid yet', code: 'TOKEN_NOT_YET_VALID', notBefore: err.date.toISOString() }
+      };
+    }
+    return { status: 401, error: { error: 'Invalid or expired token', code: 'INVALID_TOKEN', details: [err.message] } };
+  }
+  
+  // Get stored data
+  const stored = storage.getToken(payload.jti);
+  if (!stored) {
+    return { status: 404, error: { error: 'Token data not found', code: 'TOKEN_NOT_FOUND' } };
+  }
+  
+  if (stored.status === 'revoked') {
+    return {
+      status: 410,
+      error: {
+        error: 'Token has been revoked',
+        code: 'TOKEN_REVOKED',
+        revokedAt: new Date(stored.revokedAt).toISOString()
+      }
+    };
+  }
+  
+  if (payload.cnf) {
+    const invalid = dpop.verify(req.get('DPoP'), {
+      method: req.method,
+      url: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      accessToken: token,
+      jkt: payload.cnf.jkt
+    });
+    if (invalid) {
+      return { status: 401, error: invalid };
+    }
+  }
+  
+  // A sub-delegated token is only as good as every token above it
+  const ancestors = ancestorsOf(stored);
+  const revokedAncestor = ancestors.find(t => t.status === 'revoked');
+  if (revokedAncestor) {
+    return {
+      status: 410,
+      error: {
+        error: 'A parent of this token has been revoked',
+        code: 'TOKEN_REVOKED',
+        revokedVia: revokedAncestor.tokenId,
+        revokedAt: new Date(revokedAncestor.revokedAt).toISOString()
+      }
+    };
+  }
+  
+  // A guardian-issued token ends with the guardianship
+  const ended = guardianshipEnded(stored);
+  if (ended) {
+    return { status: 410, error: ended };
+  }
+  
+  for (const t of [stored, ...ancestors]) {
+    const outside = checkTimeWindow(t.constraints);
+    if (outside) {
+      return { status: 403, error: outside };
+    }
+    const spent = options.usage === false ? null : checkUsage(t.constraints, t.uses);
+    if (spent) {
+      return {
+        status: 403,
+        error: t === stored ? spent : { ...spent, error: 'A parent of this token has no uses left', spentVia: t.tokenId }
+      };
+    }
+  }
+  
+  const opened = openToken(stored);
+  if (!opened) {
+    return { status: 409, error: { error: 'Record changed since token was issued', code: 'RECORD_CHANGED' } };
+  }
+  
+  return { payload, stored, opened };
+}
+
+/**
+ * Use counters of a stored token (remainingUses is null when unlimited)
+ */
+function tokenUsage(stored) {
+  const uses = stored.uses || 0;
+  const { maxUses = null } = stored.constraints || {};
+  return {
+    uses,
+    maxUses,
+    remainingUses: maxUses === null ? null : Math.max(maxUses - uses, 0)
+  };
+}
+
+/**
+ * Take one use of a token: an access or an action invocation
+ *
+ * @returns {Object|null} The refusal if the token has no uses left
+ */
+function consumeUse(stored) {
+  const maxUses = stored.constraints ? stored.constraints.maxUses : undefined;
+  const uses = storage.consumeTokenUse(stored.tokenId, maxUses);
+  if (uses === null) {
+    return { error: 'Token has no uses left', code: 'USAGE_LIMIT_REACHED', maxUses };
+  }
+  stored.uses = uses;
+  return null;
+}
+
+/**
+ * Owner-facing summary of a stored token
+ */
+function tokenSummary(stored) {
+  let status = stored.status;
+  const usage = tokenUsage(stored);
+  if (status === 'active' && stored.expiresAt <= Date.now()) {
+    status = 'expired';
+  } else if (status === 'active' && usage.remainingUses === 0) {
+    status = 'used';
+  }
+  
+  return {
+    tokenId: stored.tokenId,
+    policyId: stored.policyId,
+    policyName: stored.policy.name,
+    status,
+    createdAt: new Date(stored.createdAt).toISOString(),
+    expiresAt: stored.expiresAt ? new Date(stored.expiresAt).toISOString() : null,
+    revokedAt: stored.revokedAt ? new Date(stored.revokedAt).toISOString() : null,
+    constraints: stored.constraints || {},
+    binding: stored.binding ? stored.binding.mode : 'bearer',
+    parentId: stored.parentId || null,
+    depth: stored.depth || 0,
+    usage,
+    ...(stored.guardian ? { guardian: { ...stored.guardian, wardId: stored.citizenId } } : {})
+  };
+}
+
+/**
+ * Citizen who signed a stored token: the owner, or the guardian who
+ * issued it for them
+ */
+function issuerOf(stored) {
+  return stored.guardian ? stored.guardian.guardianId : stored.citizenId;
+}
+
+/**
+ * Error if a guardian-issued token's guardianship is no longer active
+ */
+function guardianshipEnded(stored) {
+  if (!stored.guardian) {
+    return null;
+  }
+  const guardianship = guardianships.get(stored.guardian.guardianshipId);
+  const status = guardianship ? guardianshipStatus(guardianship) : 'revoked';
+  return status === 'active'
+    ? null
+    : { error: `The guardianship this token was issued under is ${status}`, code: 'GUARDIANSHIP_ENDED' };
+}
+
 /**
  * Serve the web interface
  */
@@ -76,265 +707,1337 @@ app.get('/', (req, res) => {
   res.send(getHTML());
 });
 
+/**
+ * Serve the browser libraries
+ * 
+ * verifier.js lets the delegate verify locally instead of asking this
+ * server whether its own filtering was honest; owner.js keeps the owner's
+ * signing key in the owner's browser. Each is bundled once on first use.
+ */
+const BROWSER_LIBS = {
+  '/vsdl-verifier.js': { entry: './verifier', globalName: 'vsdlVerifier' },
+  '/vsdl-owner.js': { entry: './owner', globalName: 'vsdlOwner' }
+};
+const bundleCache = {};
+
+app.get(Object.keys(BROWSER_LIBS), (req, res) => {
+  if (!bundleCache[req.path]) {
+    const lib = BROWSER_LIBS[req.path];
+    bundleCache[req.path] = bundle(require.resolve(lib.entry), lib.globalName);
+  }
+  res.type('application/javascript').send(bundleCache[req.path]);
+});
+
+/**
+ * Publish token signing keys (JWKS)
+ * 
+ * Relying parties and the offline verifier validate delegation tokens
+ * with these keys; retired keys stay listed until their tokens expire.
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.json(keyRing.jwks());
+});
+
+/**
+ * OpenAPI document of this API (openapi.js), and the proof format alone
+ */
+app.get('/api/openapi.json', (req, res) => {
+  res.json(buildOpenApi());
+});
+
+app.get('/api/schemas/vsdl-proof-v1.json', (req, res) => {
+  res.type('application/schema+json').send(JSON.stringify({ $schema: JSON_SCHEMA_DIALECT, ...proofJsonSchema() }));
+});
+
 /**
  * Get cryptographic generators information
  */
-app.get('/api/generators', (req, res) => {
-  const info = pedersen.getGeneratorInfo();
+app.get('/api/generators', validateRequest(schemas.generators), (req, res) => {
+  const curve = curveFrom(req.query.curve === undefined ? DEFAULT_TOKEN_CURVE : req.query.curve);
+  const info = curve.getGeneratorInfo();
   res.json({
     success: true,
-    data: info,
+    data: { ...info, curves: pedersen.CURVES, defaultCurve: DEFAULT_TOKEN_CURVE },
     explanation: {
-      G: 'Standard generator of secp256k1 curve',
-      H: 'Derived generator with unknown discrete log relation to G',
+      G: `Standard generator of ${curve.curve}`,
+      H: `Hash-to-curve point (${info.derivation.method}) with unknown discrete log relation to G`,
+      J: 'Hash-to-curve point tagging each field commitment with its field name',
+      derivation: info.derivation.method === 'try-and-increment'
+        ? 'Re-derive H by hashing the published dst, seed and counter and taking the even-y point at x'
+        : 'Re-derive H by hashing the published dst and seed with SHA-512 and applying the ristretto255 one-way map',
       importance: 'Unknown DL relationship ensures commitment binding property'
     }
   });
 });
 
 /**
- * Get available policies
+ * Owner signs in with username and password
+ */
+app.post('/api/auth/login', validateRequest(schemas.login), (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    const session = auth.loginWithPassword(username, password);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Invalid username or password', code: 'INVALID_CREDENTIALS' });
+    }
+    
+    audit.record('owner.login', { citizenId: session.citizenId, ip: req.ip, detail: { method: session.method } });
+    
+    res.json({ success: true, data: sessionSummary(session, true) });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Owner requests a sign-in challenge
+ * 
+ * WebAuthn-style: the owner signs the challenge with their registered
+ * owner key and posts the signature to /api/auth/challenge/:challengeId.
+ */
+app.post('/api/auth/challenge', validateRequest(schemas.challenge), (req, res) => {
+  const challenge = auth.createChallenge(req.body.citizenId);
+  if (!challenge) {
+    return res.status(404).json({ success: false, error: 'No owner key registered', code: 'OWNER_KEY_NOT_FOUND' });
+  }
+  res.json({ success: true, data: { ...challenge, expiresAt: new Date(challenge.expiresAt).toISOString() } });
+});
+
+/**
+ * Owner signs in by answering a challenge
+ */
+app.post('/api/auth/challenge/:challengeId', validateRequest(schemas.answerChallenge), (req, res) => {
+  try {
+    const session = auth.loginWithChallenge(req.params.challengeId, req.body.signature);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Challenge failed or expired', code: 'INVALID_CREDENTIALS' });
+    }
+    
+    audit.record('owner.login', { citizenId: session.citizenId, ip: req.ip, detail: { method: session.method } });
+    
+    res.json({ success: true, data: sessionSummary(session, true) });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Current owner session
+ */
+app.get('/api/auth/session', requireOwner, (req, res) => {
+  res.json({ success: true, data: sessionSummary(req.owner) });
+});
+
+/**
+ * End the owner session
+ */
+app.post('/api/auth/logout', requireOwner, (req, res) => {
+  auth.endSession(req.owner.token);
+  res.json({ success: true });
+});
+
+/**
+ * Get available policies (custom ones only for the signed-in owner)
  */
 app.get('/api/policies', (req, res) => {
+  const session = sessionFrom(req);
+  const custom = session
+    ? storage.listPolicies().filter(p => p.citizenId === session.citizenId)
+    : [];
+  
   res.json({
     success: true,
-    policies: POLICIES
+    policies: {
+      ...POLICIES,
+      ...Object.fromEntries(custom.map(p => [p.policyId, p]))
+    }
+  });
+});
+
+/**
+ * Get the record schema: every field's type, sensitivity and category
+ */
+app.get('/api/schema', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      fields: registry.fields(),
+      sensitivity: SENSITIVITY,
+      categories: CATEGORIES
+    }
   });
 });
 
 /**
- * Create delegation token
+ * Get the field names of a citizen's record (no values)
  * 
- * This is called by the OWNER to create a delegation link
+ * Used by the policy builder to offer fields to show or hide.
  */
-app.post('/api/token/create', (req, res) => {
-  try {
-    const { citizenId, policyId, expiresIn = 3600 } = req.body;
-    
-    // Get citizen record
-    const record = citizenDB[citizenId];
-    if (!record) {
-      return res.status(404).json({ success: false, error: 'Citizen not found' });
+app.get('/api/citizens/:citizenId/schema', requireOwner, validateRequest(schemas.citizen), (req, res) => {
+  const record = storage.getCitizen(req.params.citizenId);
+  if (!record) {
+    return res.status(404).json({ success: false, error: 'Citizen not found', code: 'CITIZEN_NOT_FOUND' });
+  }
+  res.json({
+    success: true,
+    data: {
+      citizenId: req.params.citizenId,
+      fields: merkle.recordPaths(record),
+      fieldInfo: registry.describe(record),
+      scalarFields: registry.scalarFields(record)
+    }
+  });
+});
+
+/**
+ * Create an owner-defined policy
+ * 
+ * Visible and hidden fields must partition the owner's record exactly;
+ * hidden fields default to every field not made visible. The policy can
+ * only be used for that owner's tokens.
+ */
+app.post('/api/policies', requireOwner, validateRequest(schemas.createPolicy), (req, res) => {
+  try {
+    const { citizenId } = req.owner;
+    
+    const record = storage.getCitizen(citizenId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Citizen not found', code: 'CITIZEN_NOT_FOUND' });
+    }
+    
+    const { errors, policy } = buildPolicy(
+      req.body,
+      merkle.recordPaths(record),
+      name => !!actions.getAction(name),
+      registry.scalarFields(record)
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid policy', code: 'INVALID_POLICY', details: errors });
+    }
+    
+    const policyId = `custom-${crypto.randomBytes(8).toString('hex')}`;
+    storage.putPolicy(policyId, {
+      policyId,
+      citizenId,
+      ...policy,
+      createdAt: Date.now()
+    });
+    
+    res.json({ success: true, data: { policyId, policy } });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Register an owner's public key
+ * 
+ * The private key never leaves the owner's device. The first key
+ * registered for a citizen is bound to that citizen.
+ */
+app.post('/api/owner/register', requireOwner, validateRequest(schemas.registerOwner), (req, res) => {
+  try {
+    const { publicKey } = req.body;
+    const { citizenId } = req.owner;
+    
+    if (!storage.getCitizen(citizenId)) {
+      return res.status(404).json({ success: false, error: 'Citizen not found', code: 'CITIZEN_NOT_FOUND' });
+    }
+    
+    if (!ownerSig.isPublicKey(publicKey)) {
+      return res.status(400).json({ success: false, error: 'Invalid public key', code: 'INVALID_PUBLIC_KEY' });
+    }
+    
+    const existing = storage.getOwnerKey(citizenId);
+    if (existing && existing !== publicKey) {
+      return res.status(409).json({ success: false, error: 'A different owner key is already registered', code: 'OWNER_KEY_CONFLICT' });
+    }
+    
+    storage.putOwnerKey(citizenId, publicKey);
+    
+    res.json({ success: true, data: { citizenId, publicKey } });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Get an owner's registered public key
+ */
+app.get('/api/owner/:citizenId', validateRequest(schemas.citizen), (req, res) => {
+  const publicKey = storage.getOwnerKey(req.params.citizenId);
+  if (!publicKey) {
+    return res.status(404).json({ success: false, error: 'No owner key registered', code: 'OWNER_KEY_NOT_FOUND' });
+  }
+  res.json({ success: true, data: { citizenId: req.params.citizenId, publicKey } });
+});
+
+/**
+ * Create delegation token (step 1: draft)
+ * 
+ * This is called by the signed-in OWNER to create a delegation link for
+ * their own record. The server commits to the record and returns a signing
+ * request plus a consent summary of what the link discloses; no JWT exists
+ * until the owner consents and signs via /api/token/:tokenId/sign from the
+ * same session.
+ */
+app.post('/api/token/create', requireOwner, validateRequest(schemas.createToken), (req, res) => {
+  try {
+    const { policyId, expiresIn = 3600, maxDepth = 0, curve: curveName = DEFAULT_TOKEN_CURVE, onBehalfOf } = req.body;
+    
+    // A guardian issues tokens for their ward, within the guardianship
+    let { citizenId } = req.owner;
+    let guardianship = null;
+    if (onBehalfOf !== undefined && onBehalfOf !== citizenId) {
+      guardianship = guardianships.activeFor(citizenId, onBehalfOf);
+      if (!guardianship) {
+        return res.status(403).json({ success: false, error: `Not an active guardian of ${onBehalfOf}`, code: 'NOT_GUARDIAN' });
+      }
+      const outside = guardianships.scopeErrors(guardianship, { policyId, expiresIn, maxDepth });
+      if (outside.length > 0) {
+        return res.status(403).json({ success: false, error: 'Outside the guardianship', code: 'GUARDIANSHIP_SCOPE', details: outside });
+      }
+      citizenId = onBehalfOf;
+    }
+    
+    // Group the record is committed in, recorded in the token
+    const curve = curveFrom(curveName);
+    
+    const { binding, error: bindingError } = parseBinding(req.body);
+    if (bindingError) {
+      return res.status(400).json({ success: false, error: bindingError, code: 'INVALID_BINDING' });
+    }
+    
+    // How many further hops the delegate may pass the link on
+    if (maxDepth > MAX_DELEGATION_DEPTH) {
+      return res.status(400).json({
+        success: false,
+        error: `maxDepth must be a whole number between 0 and ${MAX_DELEGATION_DEPTH}`,
+        code: 'INVALID_REQUEST'
+      });
+    }
+    
+    const { errors: constraintErrors, constraints } = parseTokenConstraints(req.body.constraints);
+    if (constraintErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid constraints', code: 'INVALID_CONSTRAINTS', details: constraintErrors });
+    }
+    
+    // Get citizen record
+    const record = storage.getCitizen(citizenId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Citizen not found', code: 'CITIZEN_NOT_FOUND' });
+    }
+    
+    // Get policy
+    const policy = findPolicy(policyId, citizenId);
+    if (!policy) {
+      return res.status(400).json({ success: false, error: 'Unknown policy', code: 'UNKNOWN_POLICY' });
+    }
+    
+    if (policy.constraints && policy.constraints.maxExpiresIn && expiresIn > policy.constraints.maxExpiresIn) {
+      return res.status(400).json({
+        success: false,
+        error: `Policy allows tokens of at most ${policy.constraints.maxExpiresIn} seconds`,
+        code: 'INVALID_EXPIRY'
+      });
+    }
+    
+    // Owner (or the guardian, with their own key) must have a registered
+    // key to sign the commitment
+    const ownerKey = storage.getOwnerKey(req.owner.citizenId);
+    if (!ownerKey) {
+      return res.status(409).json({
+        success: false,
+        error: guardianship ? 'Guardian key not registered' : 'Owner key not registered',
+        code: 'OWNER_KEY_REQUIRED'
+      });
+    }
+    
+    // Generate unique token ID
+    const tokenId = crypto.randomBytes(16).toString('hex');
+    
+    // A policy written for another record shape would never verify
+    const coverage = merkle.coverErrors([...policy.visibleFields, ...policy.hiddenFields], merkle.recordPaths(record));
+    if (coverage.length > 0) {
+      return res.status(400).json({ success: false, error: 'Policy does not fit this record', code: 'POLICY_MISMATCH', details: coverage });
+    }
+    
+    // Create Pedersen commitments to every leaf of the record, and the
+    // Merkle tree over them (field messages bound to the record id)
+    const sub = crypto.createHash('sha256').update(citizenId).digest('hex').slice(0, 16);
+    const commitmentResult = merkle.commitRecord(record, {}, curve.curve, recordContext({ sub, encoding: FIELD_DOMAIN }, record));
+    
+    // Compute policy hash (signed field schema)
+    const policyHash = computePolicyHash(policy.visibleFields, policy.hiddenFields, policy.predicates || []);
+    
+    // JWT claims (issued once the owner signs)
+    const claims = {
+      jti: tokenId,
+      sub,
+      policy: policyId,
+      policyHash: policyHash.slice(0, 32),
+      commitment: curve.serializePoint(commitmentResult.recordCommitment).compressed,
+      fieldRoot: commitmentResult.fieldRoot,
+      curve: curve.curve,
+      encoding: FIELD_DOMAIN,
+      actions: policy.allowedActions
+    };
+    
+    // Usage and time-window limits travel in the JWT so delegates can see them
+    if (Object.keys(constraints).length > 0) {
+      claims.limits = constraints;
+    }
+    
+    // Confirmation claim (RFC 7800) naming the delegate's key
+    if (binding.jkt) {
+      claims.cnf = { jkt: binding.jkt };
+    }
+    
+    if (maxDepth > 0) {
+      claims.maxDepth = maxDepth;
+    }
+    
+    // Guardian-issued: who acted, on what legal basis, until when
+    if (guardianship) {
+      claims.guardian = guardianClaim(guardianship);
+    }
+    
+    // Store token data server-side (commitments are recomputed from the
+    // record and this randomness when the token is used)
+    storage.putToken(tokenId, {
+      tokenId,
+      citizenId,
+      policyId,
+      policy,
+      randomness: Object.fromEntries(
+        Object.entries(commitmentResult.fieldCommitments).map(([k, v]) => [k, pedersen.serializeBN(v.randomness)])
+      ),
+      claims,
+      ownerKey,
+      expiresIn,
+      constraints,
+      binding,
+      depth: 0,
+      maxDepth,
+      ...(guardianship ? {
+        guardian: {
+          guardianshipId: guardianship.guardianshipId,
+          guardianId: guardianship.guardianId,
+          legalBasis: guardianship.legalBasis
+        }
+      } : {}),
+      uses: 0,
+      sessionId: req.owner.sessionId,
+      status: 'pending',
+      createdAt: Date.now()
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        tokenId,
+        status: 'pending',
+        
+        // What the owner signs (openings let the owner recompute C_D first)
+        signingRequest: {
+          jti: claims.jti,
+          sub: claims.sub,
+          commitment: claims.commitment,
+          policyHash: claims.policyHash,
+          fieldRoot: claims.fieldRoot,
+          curve: claims.curve,
+          encoding: claims.encoding,
+          ...(claims.guardian ? { guardian: claims.guardian } : {}),
+          openings: Object.values(commitmentResult.fieldCommitments).map(fc => ({
+            fieldName: fc.fieldName,
+            value: fc.value,
+            randomness: pedersen.serializeBN(fc.randomness),
+            ...(fc.type ? { type: fc.type } : {})
+          }))
+        },
+        
+        // Cryptographic details for display
+        cryptography: {
+          curve: curve.curve,
+          recordCommitment: curve.serializePoint(commitmentResult.recordCommitment),
+          policyHash,
+          math: commitmentResult.math,
+          fieldCommitments: Object.fromEntries(
+            Object.entries(commitmentResult.fieldCommitments).map(([k, v]) => [
+              k,
+              {
+                commitment: curve.serializePoint(v.commitment),
+                math: v.math
+              }
+            ])
+          )
+        },
+        
+        policy: {
+          name: policy.name,
+          visibleFields: policy.visibleFields,
+          hiddenFields: policy.hiddenFields,
+          allowedActions: policy.allowedActions,
+          predicates: policy.predicates || []
+        },
+        
+        constraints,
+        
+        // Exactly what the link discloses, for the owner's consent screen
+        consent: {
+          policyName: policy.name,
+          description: policy.description || '',
+          disclosedFields: policy.visibleFields.map(f => ({ field: f, value: merkle.valueAt(record, f) })),
+          hiddenFields: policy.hiddenFields,
+          predicates: (policy.predicates || []).map(describePredicate),
+          actions: policy.allowedActions.map(name => {
+            const action = actions.getAction(name);
+            return { name, description: action ? action.description : '' };
+          }),
+          expiresIn,
+          constraints,
+          binding,
+          maxDepth,
+          guardianship: guardianship ? {
+            guardianshipId: guardianship.guardianshipId,
+            wardId: citizenId,
+            legalBasis: guardianship.legalBasis,
+            validUntil: guardianship.validUntil
+          } : null
+        }
+      }
+    });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Create delegation token (step 2: owner consent and signature)
+ * 
+ * Must come from the session that created the draft, with `consent: true`
+ * once the owner has reviewed the consent summary. Checks the owner's
+ * signature over (jti, sub, C_D, policyHash) against the registered key,
+ * then issues the JWT carrying both.
+ */
+app.post('/api/token/:tokenId/sign', requireOwner, validateRequest(schemas.signToken), (req, res) => {
+  try {
+    const { signature, consent } = req.body;
+    
+    const stored = storage.getToken(req.params.tokenId);
+    if (!stored) {
+      return res.status(404).json({ success: false, error: 'Token data not found', code: 'TOKEN_NOT_FOUND' });
+    }
+    if (issuerOf(stored) !== req.owner.citizenId) {
+      return res.status(403).json({ success: false, error: 'Signed in as a different citizen', code: 'NOT_OWNER' });
+    }
+    const ended = guardianshipEnded(stored);
+    if (ended) {
+      return res.status(403).json({ success: false, ...ended });
+    }
+    if (stored.sessionId !== req.owner.sessionId) {
+      return res.status(403).json({ success: false, error: 'Draft was created in another session', code: 'SESSION_MISMATCH' });
+    }
+    if (consent !== true) {
+      return res.status(400).json({ success: false, error: 'Owner consent is required', code: 'CONSENT_REQUIRED' });
+    }
+    if (stored.status !== 'pending') {
+      return res.status(409).json({ success: false, error: 'Token already signed', code: 'ALREADY_SIGNED' });
+    }
+    
+    if (!ownerSig.verifyOwnerSignature(stored.ownerKey, stored.claims, signature)) {
+      return res.status(400).json({ success: false, error: 'Invalid owner signature', code: 'INVALID_SIGNATURE' });
+    }
+    
+    stored.ownerSig = signature;
+    const token = issueJwt(stored);
+    
+    stored.status = 'active';
+    stored.consentedAt = Date.now();
+    stored.expiresAt = Date.now() + stored.expiresIn * 1000;
+    storage.putToken(stored.tokenId, stored);
+    
+    audit.record('token.created', {
+      citizenId: stored.citizenId,
+      jti: stored.tokenId,
+      ip: req.ip,
+      fields: stored.policy.visibleFields,
+      detail: {
+        policyId: stored.policyId,
+        expiresAt: new Date(stored.expiresAt).toISOString(),
+        constraints: stored.constraints || {},
+        binding: stored.binding ? stored.binding.mode : 'bearer',
+        authMethod: req.owner.method,
+        ...(stored.guardian ? { issuedBy: { role: 'guardian', ...stored.guardian } } : {})
+      }
+    });
+    
+    // Generate delegation URL
+    const delegationUrl = `http://localhost:3000/api/delegate/${encodeURIComponent(token)}`;
+    
+    res.json({
+      success: true,
+      data: {
+        tokenId: req.params.tokenId,
+        token: token,
+        delegationUrl,
+        expiresAt: new Date(stored.expiresAt).toISOString(),
+        constraints: stored.constraints || {},
+        binding: stored.binding || { mode: 'bearer', jkt: null },
+        owner: {
+          publicKey: stored.ownerKey,
+          signature
+        },
+        ...(stored.claims.guardian ? { guardian: stored.claims.guardian } : {})
+      }
+    });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Revoke a delegation token
+ * 
+ * Only the owner can revoke: the request carries an ECDSA signature by the
+ * registered owner key over the token id. A guardian-issued token can also
+ * be revoked by its guardian, signing with the key that issued it.
+ */
+app.post('/api/token/:tokenId/revoke', requireOwner, validateRequest(schemas.revokeToken), (req, res) => {
+  try {
+    const { signature } = req.body;
+    
+    const stored = storage.getToken(req.params.tokenId);
+    if (!stored) {
+      return res.status(404).json({ success: false, error: 'Token data not found', code: 'TOKEN_NOT_FOUND' });
+    }
+    const byOwner = stored.citizenId === req.owner.citizenId;
+    if (!byOwner && issuerOf(stored) !== req.owner.citizenId) {
+      return res.status(403).json({ success: false, error: 'Signed in as a different citizen', code: 'NOT_OWNER' });
+    }
+    if (stored.status === 'revoked') {
+      return res.status(409).json({ success: false, error: 'Token already revoked', code: 'ALREADY_REVOKED' });
+    }
+    
+    // The ward revokes with their own key, the guardian with the issuing key
+    const revokerKey = byOwner && stored.guardian ? storage.getOwnerKey(stored.citizenId) : stored.ownerKey;
+    if (!ownerSig.verifyRevocation(revokerKey, stored.tokenId, signature)) {
+      return res.status(400).json({ success: false, error: 'Invalid owner signature', code: 'INVALID_SIGNATURE' });
+    }
+    
+    stored.status = 'revoked';
+    stored.revokedAt = Date.now();
+    storage.putToken(stored.tokenId, stored);
+    
+    // Revoking a token revokes everything sub-delegated from it
+    const cascaded = descendantsOf(stored.tokenId).filter(t => t.status !== 'revoked');
+    for (const child of cascaded) {
+      child.status = 'revoked';
+      child.revokedAt = stored.revokedAt;
+      child.revokedVia = stored.tokenId;
+      storage.putToken(child.tokenId, child);
+    }
+    
+    audit.record('token.revoked', {
+      citizenId: stored.citizenId,
+      jti: stored.tokenId,
+      ip: req.ip,
+      detail: {
+        cascaded: cascaded.map(t => t.tokenId),
+        ...(stored.guardian ? { revokedBy: byOwner ? 'owner' : 'guardian' } : {})
+      }
+    });
+    
+    res.json({
+      success: true,
+      data: { ...tokenSummary(stored), cascaded: cascaded.map(t => t.tokenId) }
+    });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * List the signed-in owner's delegations (issued tokens only), and those
+ * they issued as a guardian
+ */
+app.get('/api/tokens', requireOwner, (req, res) => {
+  const { citizenId } = req.owner;
+  
+  const tokens = storage.listTokens()
+    .filter(t => (t.citizenId === citizenId || issuerOf(t) === citizenId) && t.status !== 'pending')
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(tokenSummary);
+  
+  res.json({ success: true, data: { citizenId, tokens } });
+});
+
+/**
+ * Guardianships the signed-in citizen holds over others, and over them
+ */
+app.get('/api/guardianships', requireOwner, (req, res) => {
+  const { citizenId } = req.owner;
+  res.json({ success: true, data: { citizenId, ...guardianships.listFor(citizenId) } });
+});
+
+/**
+ * Signed revocation list
+ * 
+ * An ES256 JWT (typ vsdl-rl+jwt) listing every revoked jti, signed with
+ * the same key ring as delegation tokens so offline verifiers can check
+ * it against the JWKS.
+ */
+app.get('/api/revocations', (req, res) => {
+  try {
+    const revoked = storage.listTokens()
+      .filter(t => t.status === 'revoked')
+      .map(t => t.tokenId)
+      .sort();
+    
+    const revocationList = jwt.sign({ revoked }, keyRing.active.privateKey, {
+      algorithm: keyRing.algorithm,
+      keyid: keyRing.active.kid,
+      issuer: TOKEN_ISSUER,
+      header: { typ: 'vsdl-rl+jwt' }
+    });
+    
+    res.json({ success: true, data: { revocationList, count: revoked.length } });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Delegate accesses data using token
+ * 
+ * This is called by the DELEGATE with the delegation link. Each successful
+ * call consumes one use of a usage-limited token, once the proofs are
+ * built; the check and increment happen in a single storage call so
+ * concurrent requests cannot both take the last use.
+ * 
+ * The response is the JSON below unless ?format= or the Accept header asks
+ * for an SD-JWT (application/dc+sd-jwt) or a W3C Verifiable Presentation
+ * (application/vp) of the same view (credentials.js). The proof is a
+ * vsdl-proof/v1 envelope; ?explain=true adds the display math as `explain`.
+ */
+app.get('/api/delegate/:token', validateRequest(schemas.delegate), (req, res) => {
+  try {
+    const format = negotiateFormat(req);
+    if (!format) {
+      return res.status(406).json({
+        success: false,
+        error: `Acceptable types: application/json, ${SD_JWT_TYPE}, ${VP_TYPE}`,
+        code: 'NOT_ACCEPTABLE'
+      });
+    }
+    
+    const delegation = resolveDelegation(req.params.token, req);
+    if (delegation.error) {
+      return res.status(delegation.status).json({ success: false, ...delegation.error });
+    }
+    
+    const { payload, stored } = delegation;
+    const { policy } = stored;
+    const { record, fieldCommitments, recordCommitment, tree, curve, context } = delegation.opened;
+    
+    // Filter data according to policy (paths at any depth)
+    const filteredData = {};
+    for (const path of policy.visibleFields) {
+      if (tree.has(path)) {
+        filteredData[path] = merkle.valueAt(record, path);
+      }
+    }
+    
+    // Open every leaf within a visible path
+    const visibleLeaves = merkle.flattenRecord(record)
+      .filter(({ path }) => policy.visibleFields.some(v => merkle.isWithin(path, v)));
+    const visibleFieldsProof = visibleLeaves.map(({ path, value }) => ({
+      fieldName: path,
+      value,
+      randomness: pedersen.serializeBN(fieldCommitments[path].randomness),
+      ...(fieldCommitments[path].type ? { type: fieldCommitments[path].type } : {})
+    }));
+    
+    // Compute hidden commitment (a hidden path may be a whole subtree)
+    const hiddenFieldNames = policy.hiddenFields.filter(path => tree.has(path));
+    const { commitment: hiddenCommitment } = curve.computeSubsetCommitment(
+      Object.fromEntries(tree),
+      hiddenFieldNames
+    );
+    
+    const hiddenSchema = [...policy.hiddenFields].sort();
+    let hiddenCommitments;
+    if (payload.fieldRoot !== undefined) {
+      // Hidden tree nodes by path, enough to rebuild the signed root
+      hiddenCommitments = [...hiddenFieldNames].sort().map(path => merkle.serializeNode(tree.get(path)));
+    } else {
+      // Per-field hidden commitments, shuffled so position reveals nothing,
+      // each with a proof that it carries one of the declared hidden names
+      const shuffled = [...hiddenFieldNames];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      
+      hiddenCommitments = shuffled.map((field, i) => {
+        const fc = fieldCommitments[field];
+        return {
+          commitment: pedersen.serializePoint(fc.commitment).compressed,
+          membershipProof: sigma.proveMembership(
+            fc.commitment,
+            field,
+            pedersen.deserializeBN(fc.math.m),
+            fc.randomness,
+            hiddenSchema,
+            `${payload.jti}|${i}`
+          )
+        };
+      });
+    }
+    
+    // Facts about hidden number/date fields, proven without opening them
+    const predicates = provePredicates(policy.predicates || [], payload.jti, record, fieldCommitments, curve, context);
+    
+    // Only now, with the proofs built, does the access take a use
+    const exhausted = consumeUse(stored);
+    if (exhausted) {
+      return res.status(403).json({ success: false, ...exhausted });
+    }
+    const { uses } = stored;
+    
+    audit.record('delegate.access', {
+      citizenId: stored.citizenId,
+      jti: stored.tokenId,
+      ip: req.ip,
+      fields: Object.keys(filteredData),
+      detail: { uses, format }
+    });
+    
+    const data = {
+      // Filtered data the delegate can see
+      filteredRecord: filteredData,
+      allowedActions: policy.allowedActions,
+      usage: tokenUsage(stored),
+      
+      // Proof for verification (vsdl-proof/v1, see PROOF_SCHEMA)
+      proof: {
+        version: PROOF_VERSION,
+        curve: curve.curve,
+        ...(payload.encoding !== undefined ? { encoding: payload.encoding, recordId: payload.sub } : {}),
+        recordCommitment: curve.group.encode(recordCommitment),
+        hiddenCommitment: curve.group.encode(hiddenCommitment),
+        visibleFields: visibleFieldsProof,
+        hiddenCommitments,
+        predicates,
+        
+        // Signed field schema (hashes to the token's policyHash)
+        fieldSchema: {
+          visible: [...policy.visibleFields].sort(),
+          hidden: hiddenSchema,
+          ...(predicates.length > 0 ? { predicates: predicates.map(p => p.predicate) } : {})
+        }
+      },
+      
+      // Policy info
+      policy: {
+        name: policy.name,
+        policyHash: payload.policyHash
+      }
+    };
+    
+    if (format === 'sd-jwt') {
+      return res.type(SD_JWT_TYPE).send(credentials.sdJwt({ claims: payload, ...data }));
+    }
+    if (format === 'vp') {
+      return res.type(VP_TYPE).json(credentials.presentation({ claims: payload, ...data }));
+    }
+    
+    if (req.query.explain === 'true') {
+      // Display only: C_F and the verification equation
+      const { commitment: visibleCommitment } = curve.computeSubsetCommitment(
+        fieldCommitments,
+        visibleLeaves.map(({ path }) => path)
+      );
+      data.explain = {
+        recordCommitment: curve.serializePoint(recordCommitment),
+        hiddenCommitment: curve.serializePoint(hiddenCommitment),
+        visibleCommitment: curve.serializePoint(visibleCommitment),
+        hiddenFieldCount: hiddenFieldNames.length,
+        predicates: predicates.map(p => describePredicate(p.predicate)),
+        verification: curve.verifyPartition(recordCommitment, hiddenCommitment, visibleCommitment).math
+      };
+    }
+    
+    res.json({ success: true, data });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * List registered delegated actions and their payload schemas
+ */
+app.get('/api/actions', (req, res) => {
+  res.json({ success: true, actions: actions.listActions() });
+});
+
+/**
+ * Delegate invokes an action
+ * 
+ * The action must be registered and listed in the token's `actions` claim,
+ * and the payload must match the action's schema. A valid invocation takes
+ * one use of a usage-limited token, like an access. Every attempt,
+ * accepted or not, is recorded in the invocation log.
+ */
+app.post('/api/delegate/:token/actions/:action', (req, res) => {
+  const { action: actionName } = req.params;
+  const payload = req.body;
+  
+  try {
+    const delegation = resolveDelegation(req.params.token, req);
+    if (delegation.error) {
+      return res.status(delegation.status).json({ success: false, ...delegation.error });
+    }
+    
+    const { stored } = delegation;
+    const record = (outcome, detail = {}) => {
+      storage.appendInvocation({
+        tokenId: stored.tokenId,
+        citizenId: stored.citizenId,
+        action: actionName,
+        payloadHash: crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex'),
+        outcome,
+        ...detail,
+        at: new Date().toISOString()
+      });
+      audit.record('delegate.action', {
+        citizenId: stored.citizenId,
+        jti: stored.tokenId,
+        ip: req.ip,
+        detail: { action: actionName, outcome, ...detail }
+      });
+    };
+    
+    if (!delegation.payload.actions.includes(actionName)) {
+      record('rejected', { code: 'ACTION_NOT_ALLOWED' });
+      return res.status(403).json({
+        success: false,
+        error: 'Action not permitted by this token',
+        code: 'ACTION_NOT_ALLOWED'
+      });
+    }
+    
+    const action = actions.getAction(actionName);
+    if (!action) {
+      record('rejected', { code: 'UNKNOWN_ACTION' });
+      return res.status(404).json({ success: false, error: 'Unknown action', code: 'UNKNOWN_ACTION' });
+    }
+    
+    const errors = actions.validatePayload(action.schema, payload);
+    if (errors.length > 0) {
+      record('rejected', { code: 'INVALID_PAYLOAD' });
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action payload',
+        code: 'INVALID_PAYLOAD',
+        details: errors
+      });
+    }
+    
+    const { record: fullRecord } = delegation.opened;
+    const visibleRecord = Object.fromEntries(stored.policy.visibleFields
+      .map(path => [path, merkle.valueAt(fullRecord, path)])
+      .filter(([, value]) => value !== undefined));
+    
+    let result;
+    try {
+      result = action.handler({
+        payload,
+        visibleRecord,
+        citizenId: stored.citizenId,
+        tokenId: stored.tokenId
+      });
+    } catch (err) {
+      record('failed', { code: 'ACTION_FAILED' });
+      return sendError(res, err);
+    }
+    
+    // A failed action takes no use
+    const exhausted = consumeUse(stored);
+    if (exhausted) {
+      record('rejected', { code: exhausted.code });
+      return res.status(403).json({ success: false, ...exhausted });
+    }
+    record('completed');
+    
+    res.json({
+      success: true,
+      data: {
+        action: actionName,
+        result,
+        usage: tokenUsage(stored)
+      }
+    });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Delegate passes on part of their delegation
+ * 
+ * Mints a child token with the same owner-signed C_D whose visible fields
+ * and actions are subsets of the parent's, narrower in at least one. The
+ * owner allows this per token (maxDepth); the child expires no later than
+ * the parent, and revoking the parent revokes the child. The child's
+ * `chain` claim lists every link from the owner's token down, each hashed
+ * onto the previous one, so the final delegate can check the whole path.
+ */
+app.post('/api/delegate/:token/subdelegate', validateRequest(schemas.subdelegate), (req, res) => {
+  try {
+    const delegation = resolveDelegation(req.params.token, req);
+    if (delegation.error) {
+      return res.status(delegation.status).json({ success: false, ...delegation.error });
+    }
+    
+    const { payload, stored: parent } = delegation;
+    const { visibleFields, allowedActions = [], predicates = [] } = req.body;
+    const parentPredicates = parent.policy.predicates || [];
+    
+    const depth = (parent.depth || 0) + 1;
+    const maxDepth = parent.maxDepth || 0;
+    if (depth > maxDepth) {
+      return res.status(403).json({
+        success: false,
+        error: maxDepth === 0
+          ? 'The owner does not allow this token to be sub-delegated'
+          : `Sub-delegation is limited to ${maxDepth} level(s)`,
+        code: 'MAX_DEPTH_EXCEEDED'
+      });
+    }
+    
+    // Attenuation: subsets of the parent, strictly narrower overall. A
+    // visible path may also be a narrower path below a parent's one.
+    const errors = [];
+    for (const field of visibleFields.filter(f => !parent.policy.visibleFields.some(v => merkle.isWithin(f, v)))) {
+      errors.push(`Field not visible to the parent: ${field}`);
+    }
+    
+    // Hide the rest, splitting the parent's visible paths only as far as needed
+    const paths = merkle.recordPaths(delegation.opened.record);
+    const parentEntries = [...parent.policy.visibleFields, ...parent.policy.hiddenFields].filter(f => paths.includes(f));
+    const hiddenFields = merkle.complementPaths(paths, visibleFields, parentEntries);
+    errors.push(...merkle.coverErrors([...visibleFields, ...hiddenFields], paths));
+    
+    for (const action of allowedActions.filter(a => !payload.actions.includes(a))) {
+      errors.push(`Action not allowed to the parent: ${action}`);
+    }
+    const keys = list => list.map(p => JSON.stringify(normalizePredicate(p)));
+    for (const key of keys(predicates).filter(k => !keys(parentPredicates).includes(k))) {
+      errors.push(`Predicate not granted to the parent: ${key}`);
+    }
+    if (new Set(visibleFields).size !== visibleFields.length || new Set(allowedActions).size !== allowedActions.length ||
+        new Set(keys(predicates)).size !== predicates.length) {
+      errors.push('Fields, actions and predicates may each be listed once');
+    }
+    if ([...visibleFields].sort().join() === [...parent.policy.visibleFields].sort().join() &&
+        allowedActions.length === payload.actions.length &&
+        predicates.length === parentPredicates.length) {
+      errors.push('A sub-delegation must grant strictly less than its parent');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid sub-delegation', code: 'NOT_ATTENUATED', details: errors });
+    }
+    
+    const remaining = Math.floor((parent.expiresAt - Date.now()) / 1000);
+    const { expiresIn = remaining } = req.body;
+    if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > remaining) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresIn must be a whole number of seconds up to the parent's remaining ${remaining}`,
+        code: 'INVALID_EXPIRY'
+      });
+    }
+    
+    // No more uses than the parent has left (resolveDelegation refused a spent one)
+    const parsed = parseTokenConstraints(req.body.constraints);
+    const { errors: constraintErrors, constraints } = parsed.constraints
+      ? inheritUsage(parsed.constraints, tokenUsage(parent).remainingUses)
+      : parsed;
+    if (constraintErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid constraints', code: 'INVALID_CONSTRAINTS', details: constraintErrors });
     }
     
-    // Get policy
-    const policy = POLICIES[policyId];
-    if (!policy) {
-      return res.status(400).json({ success: false, error: 'Invalid policy' });
+    const { binding, error: bindingError } = parseBinding(req.body);
+    if (bindingError) {
+      return res.status(400).json({ success: false, error: bindingError, code: 'INVALID_BINDING' });
     }
     
-    // Generate unique token ID
     const tokenId = crypto.randomBytes(16).toString('hex');
+    const childPredicates = predicates.map(normalizePredicate);
+    const policyHash = computePolicyHash(visibleFields, hiddenFields, childPredicates).slice(0, 32);
+    
+    // The root link describes the owner-signed token itself
+    let chain = payload.chain;
+    if (!chain) {
+      const rootLink = {
+        jti: payload.jti,
+        policyHash: payload.policyHash,
+        visible: [...parent.policy.visibleFields].sort(),
+        hidden: [...parent.policy.hiddenFields].sort(),
+        actions: [...payload.actions].sort(),
+        ...(parentPredicates.length > 0 ? { predicates: parentPredicates } : {}),
+        delegator: null
+      };
+      rootLink.link = chainLinkHash(payload.ownerSig, payload.commitment, rootLink);
+      chain = [rootLink];
+    }
     
-    // Create Pedersen commitment to entire record
-    const commitmentResult = pedersen.commitRecord(record);
-    
-    // Store token data server-side
-    tokenStore.set(tokenId, {
-      citizenId,
-      policyId,
-      record,
-      policy,
-      fieldCommitments: commitmentResult.fieldCommitments,
-      recordCommitment: commitmentResult.recordCommitment,
-      createdAt: Date.now()
-    });
-    
-    // Compute policy hash
-    const policyHash = crypto.createHash('sha256')
-      .update(JSON.stringify({
-        visible: policy.visibleFields.sort(),
-        hidden: policy.hiddenFields.sort()
-      }))
-      .digest('hex');
+    const link = {
+      jti: tokenId,
+      policyHash,
+      visible: [...visibleFields].sort(),
+      hidden: [...hiddenFields].sort(),
+      actions: [...allowedActions].sort(),
+      ...(childPredicates.length > 0 ? { predicates: childPredicates } : {}),
+      delegator: payload.cnf ? payload.cnf.jkt : null
+    };
+    link.link = chainLinkHash(chain[chain.length - 1].link, payload.commitment, link);
     
-    // Create JWT
-    const jwtPayload = {
+    const claims = {
       jti: tokenId,
-      sub: crypto.createHash('sha256').update(citizenId).digest('hex').slice(0, 16),
-      policy: policyId,
-      policyHash: policyHash.slice(0, 32),
-      commitment: pedersen.serializePoint(commitmentResult.recordCommitment).compressed,
-      actions: policy.allowedActions
+      sub: payload.sub,
+      policy: payload.policy,
+      policyHash,
+      commitment: payload.commitment,
+      ...(payload.fieldRoot !== undefined ? { fieldRoot: payload.fieldRoot } : {}),
+      ...(payload.curve !== undefined ? { curve: payload.curve } : {}),
+      ...(payload.encoding !== undefined ? { encoding: payload.encoding } : {}),
+      ...(payload.guardian !== undefined ? { guardian: payload.guardian } : {}),
+      actions: [...allowedActions],
+      chain: [...chain, link],
+      maxDepth
     };
+    if (Object.keys(constraints).length > 0) {
+      claims.limits = constraints;
+    }
+    if (binding.jkt) {
+      claims.cnf = { jkt: binding.jkt };
+    }
     
-    const token = jwt.sign(jwtPayload, SERVER_SECRET, {
+    const child = {
+      tokenId,
+      citizenId: parent.citizenId,
+      policyId: parent.policyId,
+      policy: {
+        name: `${parent.policy.name} (sub-delegated)`,
+        description: parent.policy.description,
+        visibleFields: [...visibleFields],
+        hiddenFields,
+        allowedActions: [...allowedActions],
+        predicates: childPredicates
+      },
+      randomness: parent.randomness,
+      claims,
+      ownerKey: parent.ownerKey,
+      ownerSig: parent.ownerSig,
+      ...(parent.guardian ? { guardian: parent.guardian } : {}),
       expiresIn,
-      issuer: 'vsdl-gov-portal'
-    });
+      constraints,
+      binding,
+      parentId: parent.tokenId,
+      depth,
+      maxDepth,
+      uses: 0,
+      status: 'active',
+      createdAt: Date.now(),
+      expiresAt: Date.now() + expiresIn * 1000
+    };
+    const token = issueJwt(child);
+    storage.putToken(tokenId, child);
     
-    // Generate delegation URL
-    const delegationUrl = `http://localhost:3000/api/delegate/${encodeURIComponent(token)}`;
+    audit.record('token.subdelegated', {
+      citizenId: parent.citizenId,
+      jti: tokenId,
+      ip: req.ip,
+      fields: visibleFields,
+      detail: { parent: parent.tokenId, depth, actions: allowedActions, binding: binding.mode }
+    });
     
     res.json({
       success: true,
       data: {
         tokenId,
-        token: token,
-        delegationUrl,
-        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
-        
-        // Cryptographic details for display
-        cryptography: {
-          recordCommitment: pedersen.serializePoint(commitmentResult.recordCommitment),
-          policyHash,
-          math: commitmentResult.math,
-          fieldCommitments: Object.fromEntries(
-            Object.entries(commitmentResult.fieldCommitments).map(([k, v]) => [
-              k,
-              {
-                commitment: pedersen.serializePoint(v.commitment),
-                math: v.math
-              }
-            ])
-          )
-        },
-        
+        token,
+        delegationUrl: `http://localhost:3000/api/delegate/${encodeURIComponent(token)}`,
+        expiresAt: new Date(child.expiresAt).toISOString(),
+        parentId: parent.tokenId,
+        depth,
+        maxDepth,
         policy: {
-          name: policy.name,
-          visibleFields: policy.visibleFields,
-          hiddenFields: policy.hiddenFields,
-          allowedActions: policy.allowedActions
-        }
+          name: child.policy.name,
+          visibleFields: child.policy.visibleFields,
+          hiddenFields,
+          allowedActions: child.policy.allowedActions,
+          predicates: childPredicates
+        },
+        chain: claims.chain
       }
     });
     
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err);
   }
 });
 
 /**
- * Delegate accesses data using token
+ * Delegate reports the outcome of a local verification
  * 
- * This is called by the DELEGATE with the delegation link
+ * The check itself runs in the delegate's verifier; this only records
+ * in the owner's audit trail that it happened and what it concluded.
  */
-app.get('/api/delegate/:token', (req, res) => {
+app.post('/api/delegate/:token/verification', validateRequest(schemas.verification), (req, res) => {
   try {
-    const { token } = req.params;
-    
-    // Verify JWT
-    let payload;
-    try {
-      payload = jwt.verify(token, SERVER_SECRET);
-    } catch (err) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid or expired token',
-        details: err.message 
-      });
-    }
-    
-    // Get stored data
-    const stored = tokenStore.get(payload.jti);
-    if (!stored) {
-      return res.status(404).json({ success: false, error: 'Token data not found' });
-    }
-    
-    const { record, policy, fieldCommitments, recordCommitment } = stored;
-    
-    // Filter data according to policy
-    const filteredData = {};
-    const visibleFieldsProof = [];
-    
-    for (const field of policy.visibleFields) {
-      if (record[field] !== undefined) {
-        filteredData[field] = record[field];
-        visibleFieldsProof.push({
-          fieldName: field,
-          value: record[field],
-          randomness: pedersen.serializeBN(fieldCommitments[field].randomness)
-        });
-      }
+    // Reporting takes no use, so the last use can still be reported on
+    const delegation = resolveDelegation(req.params.token, req, { usage: false });
+    if (delegation.error) {
+      return res.status(delegation.status).json({ success: false, ...delegation.error });
     }
     
-    // Compute hidden commitment
-    const hiddenFieldNames = policy.hiddenFields.filter(f => record[f] !== undefined);
-    const { commitment: hiddenCommitment } = pedersen.computeSubsetCommitment(
-      fieldCommitments, 
-      hiddenFieldNames
-    );
-    
-    // Compute visible commitment for verification display
-    const { commitment: visibleCommitment } = pedersen.computeSubsetCommitment(
-      fieldCommitments,
-      policy.visibleFields.filter(f => record[f] !== undefined)
-    );
-    
-    // Verify partition (for display)
-    const verification = pedersen.verifyPartition(
-      recordCommitment,
-      hiddenCommitment,
-      visibleCommitment
-    );
+    const { valid, failedChecks = [] } = req.body;
     
-    res.json({
-      success: true,
-      data: {
-        // Filtered data the delegate can see
-        filteredRecord: filteredData,
-        allowedActions: policy.allowedActions,
-        
-        // Proof for verification
-        proof: {
-          recordCommitment: pedersen.serializePoint(recordCommitment),
-          hiddenCommitment: pedersen.serializePoint(hiddenCommitment),
-          visibleCommitment: pedersen.serializePoint(visibleCommitment),
-          visibleFields: visibleFieldsProof,
-          hiddenFieldCount: hiddenFieldNames.length,
-          
-          // The verification equation
-          verification: verification.math
-        },
-        
-        // Policy info
-        policy: {
-          name: policy.name,
-          policyHash: payload.policyHash
-        }
-      }
+    const { stored } = delegation;
+    const entry = audit.record('delegate.verification', {
+      citizenId: stored.citizenId,
+      jti: stored.tokenId,
+      ip: req.ip,
+      detail: { valid, failedChecks: failedChecks.slice(0, 20) }
     });
     
+    res.json({ success: true, data: { recorded: entry.hash } });
+    
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err);
+  }
+});
+
+/**
+ * Owner's audit trail
+ * 
+ * Returns the citizen's whole hash chain so the owner can re-verify it
+ * (node audit.js verify <saved response>), plus the server's own check.
+ */
+app.get('/api/audit/:citizenId', requireOwner, validateRequest(schemas.citizen), (req, res) => {
+  const { citizenId } = req.params;
+  if (!storage.getCitizen(citizenId)) {
+    return res.status(404).json({ success: false, error: 'Citizen not found', code: 'CITIZEN_NOT_FOUND' });
   }
+  
+  const entries = audit.entries(citizenId);
+  
+  res.json({
+    success: true,
+    data: {
+      citizenId,
+      entries,
+      integrity: verifyChain(entries)
+    }
+  });
 });
 
 /**
  * Client-side verification endpoint
  * 
- * Delegate can independently verify the server's response
+ * Delegate can independently verify the server's response. With
+ * ?explain=true the response adds the recomputation and the equation.
  */
-app.post('/api/verify', (req, res) => {
+app.post('/api/verify', validateRequest(schemas.verify), (req, res) => {
   try {
     const { visibleFields, recordCommitment, hiddenCommitment } = req.body;
+    const curve = curveFrom(req.body.curve);
     
-    // Recompute visible commitment from data + randomness
-    const recomputed = pedersen.recomputeCommitment(visibleFields);
+    // Field messages as the token encodes them (proof.encoding, proof.recordId)
+    const context = fieldContext({ sub: req.body.recordId, encoding: req.body.encoding });
+    
+    // Deserialize commitments (members of the curve's group)
+    const C_D = curve.deserializePoint(recordCommitment);
+    const C_H = curve.deserializePoint(hiddenCommitment);
     
-    // Deserialize commitments
-    const C_D = pedersen.deserializePoint(recordCommitment);
-    const C_H = pedersen.deserializePoint(hiddenCommitment);
+    // Recompute visible commitment from data + randomness
+    const recomputed = curve.recomputeCommitment(visibleFields, context);
     const C_F = recomputed.commitment;
     
     // Verify partition
-    const verification = pedersen.verifyPartition(C_D, C_H, C_F);
+    const verification = curve.verifyPartition(C_D, C_H, C_F);
     
-    res.json({
-      success: true,
-      data: {
-        valid: verification.valid,
-        recomputedVisible: pedersen.serializePoint(C_F),
+    const data = {
+      valid: verification.valid,
+      recomputedVisible: curve.group.encode(C_F)
+    };
+    if (req.query.explain === 'true') {
+      data.explain = {
+        recomputedVisible: curve.serializePoint(C_F),
         recomputationDetails: recomputed.details,
         verification: verification.math,
         explanation: verification.valid 
           ? 'Server correctly filtered the data. C_D = C_H · C_F holds.'
           : 'WARNING: Verification failed! Server may have tampered with data.'
+      };
+    }
+    
+    res.json({ success: true, data });
+    
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Batch verification endpoint
+ * 
+ * Checks many { visibleFields, recordCommitment, hiddenCommitment } at
+ * once with a single multi-scalar multiplication (see
+ * pedersen.batchVerifyPartitions) and names the ones that fail. All
+ * partitions are on one curve (`curve`, secp256k1 when absent); each
+ * carries the `encoding` and `recordId` of its proof, if any.
+ */
+app.post('/api/verify/batch', validateRequest(schemas.verifyBatch), (req, res) => {
+  try {
+    const { partitions } = req.body;
+    const curve = curveFrom(req.body.curve);
+    const contexts = partitions.map(p => fieldContext({ sub: p.recordId, encoding: p.encoding }));
+    
+    const started = Date.now();
+    const { valid, failed } = curve.batchVerifyPartitions(partitions.map((p, i) => ({
+      C_D: curve.deserializePoint(p.recordCommitment),
+      C_H: curve.deserializePoint(p.hiddenCommitment),
+      openings: p.visibleFields,
+      context: contexts[i]
+    })));
+    
+    res.json({
+      success: true,
+      data: {
+        valid,
+        count: partitions.length,
+        failed,
+        elapsedMs: Date.now() - started
       }
     });
     
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err);
   }
 });
 
@@ -608,12 +2311,29 @@ function getHTML() {
   <div class="grid">
     <!-- LEFT COLUMN: Owner Actions -->
     <div>
+      <div class="section">
+        <h2>Owner Sign-In</h2>
+        
+        <div id="authStatus" class="status invalid">NOT SIGNED IN</div>
+        
+        <label>Username</label>
+        <input type="text" id="authUsername" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: inherit; margin-bottom: 15px;" placeholder="ahmed">
+        
+        <label>Password</label>
+        <input type="password" id="authPassword" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: inherit; margin-bottom: 15px;">
+        
+        <button onclick="signIn()">Sign In</button>
+        <button onclick="signInWithKey()">Sign In with Owner Key</button>
+        <button onclick="signOut()">Sign Out</button>
+      </div>
+      
       <div class="section">
         <h2>1. Owner: Create Delegation Token</h2>
         
         <label>Select Citizen Record</label>
         <select id="citizenSelect">
           <option value="citizen-001">Ahmed Ali Mohammed (ID: 1087654321)</option>
+          <option value="citizen-002">Ali Mohammed Abdullah (ID: 1023456789)</option>
         </select>
         
         <label>Select Delegation Policy</label>
@@ -623,11 +2343,74 @@ function getHTML() {
           <option value="medical-proxy">Medical Appointment</option>
         </select>
         
+        <label>Max Uses (optional)</label>
+        <input type="number" id="tokenMaxUses" min="1" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: inherit; margin-bottom: 15px;" placeholder="Unlimited">
+        
+        <label>Valid From (optional)</label>
+        <input type="datetime-local" id="tokenNotBefore" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: inherit; margin-bottom: 15px;">
+        
+        <label>Allow Sub-delegation (levels)</label>
+        <input type="number" id="tokenMaxDepth" min="0" value="0" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: inherit; margin-bottom: 15px;">
+        
+        <label>Commitment Curve</label>
+        <select id="tokenCurve">
+          ${pedersen.CURVES.map(c => `<option value="${c}"${c === DEFAULT_TOKEN_CURVE ? ' selected' : ''}>${c}</option>`).join('')}
+        </select>
+        
+        <label>Link Type</label>
+        <select id="tokenBinding">
+          <option value="bearer">Bearer (anyone with the link)</option>
+          <option value="bound">Bound to the delegate's key</option>
+        </select>
+        
+        <label>Delegate Public Key (JWK, for bound links)</label>
+        <textarea id="delegateKeyJwk" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: monospace; font-size: 11px; margin-bottom: 15px;" rows="3" placeholder="Paste the key the delegate generated in panel 3"></textarea>
+        
         <button onclick="createToken()">Generate Delegation Token</button>
         
         <div id="tokenResult"></div>
       </div>
       
+      <div class="section">
+        <h2>Custom Policy Builder</h2>
+        
+        <label>Policy Name</label>
+        <input type="text" id="policyName" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: inherit; margin-bottom: 15px;" placeholder="e.g. Courier delivery">
+        
+        <label>Visible Fields (everything else stays hidden)</label>
+        <div id="policyFields" style="margin-bottom: 15px; font-size: 12px;"></div>
+        
+        <label>Allowed Actions</label>
+        <div id="policyActions" style="margin-bottom: 15px; font-size: 12px;"></div>
+        
+        <label>Predicates on Hidden Fields (JSON, optional)</label>
+        <textarea id="policyPredicates" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: monospace; font-size: 11px;" rows="3" placeholder='[{"field": "dateOfBirth", "op": ">=", "value": 18, "unit": "years"}]'></textarea>
+        <p id="policyScalarFields" class="hidden-indicator" style="margin-bottom: 15px;"></p>
+        
+        <label>Max Token Lifetime (seconds, optional)</label>
+        <input type="number" id="policyMaxExpires" min="1" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: inherit; margin-bottom: 15px;">
+        
+        <button onclick="createPolicy()">Create Policy</button>
+        
+        <div id="policyResult"></div>
+      </div>
+      
+      <div class="section">
+        <h2>My Active Delegations</h2>
+        
+        <button onclick="loadDelegations()">Refresh</button>
+        
+        <div id="delegationsList"></div>
+      </div>
+      
+      <div class="section">
+        <h2>My Audit Trail</h2>
+        
+        <button onclick="loadAudit()">Load Audit Trail</button>
+        
+        <div id="auditTrail"></div>
+      </div>
+      
       <div class="section">
         <h2>2. Mathematical Foundation</h2>
         
@@ -667,45 +2450,270 @@ function getHTML() {
       <div class="section">
         <h2>3. Delegate: Access Data via Token</h2>
         
+        <label>Delegate Key (for bound links)</label>
+        <button onclick="generateDelegateKey()">Generate Delegate Key</button>
+        <div id="delegateKeyInfo" class="hidden-indicator">No delegate key. Bearer links work without one.</div>
+        
         <label>Delegation URL (from Owner)</label>
         <input type="text" id="delegationUrl" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: monospace; font-size: 11px;" placeholder="Paste delegation URL here...">
         
-        <button onclick="accessAsDelegate()" style="margin-top: 10px;">Access Delegated Data</button>
+        <label>Owner Public Key (from the Owner, not the server)</label>
+        <input type="text" id="ownerPublicKey" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: monospace; font-size: 11px;" placeholder="Paste the owner's public key to verify who signed...">
+        
+        <button onclick="accessAsDelegate()" style="margin-top: 10px;">Access Delegated Data</button>
+        
+        <div id="delegateResult"></div>
+      </div>
+      
+      <div class="section">
+        <h2>4. Cryptographic Verification</h2>
+        
+        <button onclick="verifyProof()" id="verifyBtn" disabled>Verify Server Response</button>
+        
+        <div id="verificationResult"></div>
+      </div>
+      
+      <div class="section">
+        <h2>5. Activity Log</h2>
+        <div id="log" class="output"></div>
+      </div>
+    </div>
+  </div>
+  
+  <div class="section">
+    <h2>Full Cryptographic Details</h2>
+    <div id="fullDetails" class="output" style="max-height: 600px;">
+      Cryptographic details will appear here after operations...
+    </div>
+  </div>
+
+  <script src="/vsdl-verifier.js"></script>
+  <script src="/vsdl-owner.js"></script>
+  <script>
+    let currentProof = null;
+    let currentToken = null;
+    let currentRecord = null;
+    let pendingDraft = null;
+    let delegateKey = null;
+    let ownerSession = JSON.parse(sessionStorage.getItem('vsdl-owner-session') || 'null');
+    
+    function log(message, isError = false) {
+      const logDiv = document.getElementById('log');
+      const entry = document.createElement('div');
+      entry.className = 'log-entry' + (isError ? ' error' : '');
+      entry.textContent = new Date().toLocaleTimeString() + ' - ' + message;
+      logDiv.insertBefore(entry, logDiv.firstChild);
+    }
+    
+    /**
+     * fetch() with the owner's session token
+     */
+    function ownerFetch(url, options = {}) {
+      const headers = { 'Content-Type': 'application/json', ...options.headers };
+      if (ownerSession) {
+        headers.Authorization = 'Bearer ' + ownerSession.sessionToken;
+      }
+      return fetch(url, { ...options, headers });
+    }
+    
+    function setSession(session) {
+      ownerSession = session;
+      if (session) {
+        sessionStorage.setItem('vsdl-owner-session', JSON.stringify(session));
+        document.getElementById('citizenSelect').value = session.citizenId;
+      } else {
+        sessionStorage.removeItem('vsdl-owner-session');
+      }
+      
+      const status = document.getElementById('authStatus');
+      status.className = 'status ' + (session ? 'valid' : 'invalid');
+      status.textContent = session
+        ? 'SIGNED IN AS ' + session.citizenId + ' (' + session.method + ')'
+        : 'NOT SIGNED IN';
+      
+      loadPolicies();
+      loadDelegations();
+      loadWards();
+    }
+    
+    /**
+     * Offer the signed-in citizen's own record and those of their wards
+     */
+    async function loadWards() {
+      try {
+        if (!ownerSession) {
+          return;
+        }
+        const data = await (await ownerFetch('/api/guardianships')).json();
+        if (!data.success) {
+          log('Error: ' + data.error, true);
+          return;
+        }
+        
+        const select = document.getElementById('citizenSelect');
+        const wards = data.data.asGuardian.filter(g => g.status === 'active');
+        select.innerHTML = \`<option value="\${ownerSession.citizenId}">\${ownerSession.citizenId} (own record)</option>\` +
+          wards.map(g => \`<option value="\${g.wardId}">\${g.wardId} (as guardian, \${g.legalBasis.type})</option>\`).join('');
+        select.value = ownerSession.citizenId;
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    async function signIn() {
+      try {
+        const res = await fetch('/api/auth/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            username: document.getElementById('authUsername').value,
+            password: document.getElementById('authPassword').value
+          })
+        });
+        const data = await res.json();
+        document.getElementById('authPassword').value = '';
+        
+        if (!data.success) {
+          log('Error: ' + data.error, true);
+          return;
+        }
+        setSession(data.data);
+        log('Signed in as ' + data.data.citizenId);
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    /**
+     * Challenge sign-in: the owner key in this browser answers the challenge
+     */
+    async function signInWithKey() {
+      try {
+        const citizenId = document.getElementById('citizenSelect').value;
+        const privateKey = localStorage.getItem('vsdl-owner-key:' + citizenId);
+        if (!privateKey) {
+          log('Error: No owner key in this browser; sign in with a password first', true);
+          return;
+        }
+        
+        const challenge = await (await fetch('/api/auth/challenge', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ citizenId })
+        })).json();
+        if (!challenge.success) {
+          log('Error: ' + challenge.error, true);
+          return;
+        }
+        
+        const res = await fetch('/api/auth/challenge/' + challenge.data.challengeId, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ signature: vsdlOwner.signChallenge(privateKey, challenge.data) })
+        });
+        const data = await res.json();
+        
+        if (!data.success) {
+          log('Error: ' + data.error, true);
+          return;
+        }
+        setSession(data.data);
+        log('Signed in with owner key as ' + data.data.citizenId);
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    async function signOut() {
+      if (ownerSession) {
+        await ownerFetch('/api/auth/logout', { method: 'POST' });
+      }
+      setSession(null);
+      log('Signed out');
+    }
+    
+    /**
+     * Owner key lives only in this browser (localStorage), one per citizen
+     */
+    async function ensureOwnerKey(citizenId) {
+      const storageKey = 'vsdl-owner-key:' + citizenId;
+      let privateKey = localStorage.getItem(storageKey);
+      if (!privateKey) {
+        privateKey = vsdlOwner.generateKeyPair().privateKey;
+        localStorage.setItem(storageKey, privateKey);
+        log('Generated owner key for ' + citizenId);
+      }
+      
+      const publicKey = vsdlOwner.publicKeyFromPrivate(privateKey);
+      const res = await ownerFetch('/api/owner/register', {
+        method: 'POST',
+        body: JSON.stringify({ publicKey })
+      });
+      const data = await res.json();
+      if (!data.success) {
+        throw new Error(data.error);
+      }
+      
+      return { privateKey, publicKey };
+    }
+    
+    function base64url(bytes) {
+      return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+        .replaceAll('+', '-').replaceAll('/', '_').replaceAll('=', '');
+    }
+    
+    /**
+     * Delegate keypair (P-256) held by WebCrypto; the private key cannot be exported
+     */
+    async function generateDelegateKey() {
+      try {
+        const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+        const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+        const publicJwk = { kty, crv, x, y };
+        const jkt = base64url(await crypto.subtle.digest('SHA-256',
+          new TextEncoder().encode(JSON.stringify({ crv, kty, x, y }))));
+        
+        delegateKey = { privateKey: keyPair.privateKey, publicJwk, jkt };
         
-        <div id="delegateResult"></div>
-      </div>
+        // Hand the public key to the owner (same page in this demo)
+        document.getElementById('delegateKeyJwk').value = JSON.stringify(publicJwk);
+        document.getElementById('delegateKeyInfo').textContent = 'Delegate key thumbprint: ' + jkt;
+        log('Generated delegate key ' + jkt);
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    /**
+     * fetch() for a delegate route, adding a DPoP proof if the token is bound
+     */
+    async function delegateFetch(url, token, options = {}) {
+      const headers = { ...options.headers };
+      const target = new URL(url, location.href).href;
+      const claims = vsdlVerifier.decodeToken(token).payload;
       
-      <div class="section">
-        <h2>4. Cryptographic Verification</h2>
-        
-        <button onclick="verifyProof()" id="verifyBtn" disabled>Verify Server Response</button>
+      if (claims.cnf) {
+        if (!delegateKey || delegateKey.jkt !== claims.cnf.jkt) {
+          throw new Error('This link is bound to a delegate key that is not in this browser');
+        }
         
-        <div id="verificationResult"></div>
-      </div>
+        const method = options.method || 'GET';
+        const enc = value => base64url(new TextEncoder().encode(JSON.stringify(value)));
+        const header = { typ: 'dpop+jwt', alg: 'ES256', jwk: delegateKey.publicJwk };
+        const payload = {
+          jti: base64url(crypto.getRandomValues(new Uint8Array(16))),
+          htm: method,
+          htu: target.split('?')[0],
+          iat: Math.floor(Date.now() / 1000),
+          ath: base64url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token)))
+        };
+        const input = enc(header) + '.' + enc(payload);
+        const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, delegateKey.privateKey,
+          new TextEncoder().encode(input));
+        headers.DPoP = input + '.' + base64url(signature);
+      }
       
-      <div class="section">
-        <h2>5. Activity Log</h2>
-        <div id="log" class="output"></div>
-      </div>
-    </div>
-  </div>
-  
-  <div class="section">
-    <h2>Full Cryptographic Details</h2>
-    <div id="fullDetails" class="output" style="max-height: 600px;">
-      Cryptographic details will appear here after operations...
-    </div>
-  </div>
-
-  <script>
-    let currentProof = null;
-    
-    function log(message, isError = false) {
-      const logDiv = document.getElementById('log');
-      const entry = document.createElement('div');
-      entry.className = 'log-entry' + (isError ? ' error' : '');
-      entry.textContent = new Date().toLocaleTimeString() + ' - ' + message;
-      logDiv.insertBefore(entry, logDiv.firstChild);
+      return fetch(target, { ...options, headers });
     }
     
     function formatHex(hex, maxLen = 32) {
@@ -714,16 +2722,22 @@ function getHTML() {
       return hex.slice(0, maxLen/2) + '...' + hex.slice(-maxLen/2);
     }
     
+    function formatValue(value) {
+      return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+    
     async function loadGenerators() {
       try {
         log('Loading curve generators...');
-        const res = await fetch('/api/generators');
+        const curve = document.getElementById('tokenCurve').value;
+        const res = await fetch('/api/generators?curve=' + encodeURIComponent(curve));
         const data = await res.json();
+        const counter = d => d.counter === undefined ? '' : ' (counter ' + d.counter + ')';
         
         if (data.success) {
           document.getElementById('generatorsDisplay').innerHTML = \`
             <div class="math-box">
-              <h3>secp256k1 Curve Parameters</h3>
+              <h3>\${data.data.curve.name} Curve Parameters</h3>
               <dl class="commitment-display">
                 <dt>Curve:</dt><dd>\${data.data.curve.name}</dd>
                 <dt>p:</dt><dd>\${formatHex(data.data.curve.p)}</dd>
@@ -734,11 +2748,25 @@ function getHTML() {
                 <dt>x:</dt><dd>\${formatHex(data.data.G.x)}</dd>
                 <dt>y:</dt><dd>\${formatHex(data.data.G.y)}</dd>
               </dl>
-              <h3>Generator H (Derived)</h3>
+              <h3>Generator H (Hash-to-Curve)</h3>
               <dl class="commitment-display">
                 <dt>x:</dt><dd>\${formatHex(data.data.H.x)}</dd>
                 <dt>y:</dt><dd>\${formatHex(data.data.H.y)}</dd>
               </dl>
+              <h3>Generator J (Field Name Tag)</h3>
+              <dl class="commitment-display">
+                <dt>x:</dt><dd>\${formatHex(data.data.J.x)}</dd>
+                <dt>y:</dt><dd>\${formatHex(data.data.J.y)}</dd>
+                <dt>Seed:</dt><dd>\${data.data.derivationJ.seed}\${counter(data.data.derivationJ)}</dd>
+              </dl>
+              <h3>H Derivation Transcript</h3>
+              <dl class="commitment-display">
+                <dt>Method:</dt><dd>\${data.data.derivation.method} (\${data.data.derivation.hash})</dd>
+                <dt>DST:</dt><dd>\${data.data.derivation.dst}</dd>
+                <dt>Seed:</dt><dd>\${data.data.derivation.seed}</dd>
+                <dt>Input:</dt><dd>\${data.data.derivation.input}</dd>
+                \${data.data.derivation.counter === undefined ? '' : '<dt>Counter:</dt><dd>' + data.data.derivation.counter + ' (y parity: ' + data.data.derivation.yParity + ')</dd>'}
+              </dl>
               <p style="font-size: 11px; margin-top: 10px;">
                 <strong>Note:</strong> \${data.explanation.importance}
               </p>
@@ -751,21 +2779,142 @@ function getHTML() {
       }
     }
     
+    /**
+     * Step 1: draft the token and show the owner what it discloses
+     */
     async function createToken() {
       try {
-        const citizenId = document.getElementById('citizenSelect').value;
+        if (!ownerSession) {
+          log('Error: Sign in before creating a delegation', true);
+          return;
+        }
+        
         const policyId = document.getElementById('policySelect').value;
+        const citizenId = document.getElementById('citizenSelect').value;
+        
+        const constraints = {};
+        const maxUses = document.getElementById('tokenMaxUses').value;
+        const notBefore = document.getElementById('tokenNotBefore').value;
+        if (maxUses) {
+          constraints.maxUses = parseInt(maxUses, 10);
+        }
+        if (notBefore) {
+          constraints.notBefore = new Date(notBefore).toISOString();
+        }
         
         log('Creating delegation token...');
         log('Policy: ' + policyId);
         
-        const res = await fetch('/api/token/create', {
+        const binding = document.getElementById('tokenBinding').value;
+        const delegateKeyJwk = document.getElementById('delegateKeyJwk').value;
+        
+        const draftRes = await ownerFetch('/api/token/create', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ citizenId, policyId, expiresIn: 3600 })
+          body: JSON.stringify({
+            policyId,
+            expiresIn: 3600,
+            constraints,
+            maxDepth: parseInt(document.getElementById('tokenMaxDepth').value, 10) || 0,
+            curve: document.getElementById('tokenCurve').value,
+            binding,
+            delegateKey: binding === 'bound' && delegateKeyJwk ? JSON.parse(delegateKeyJwk) : undefined,
+            onBehalfOf: citizenId !== ownerSession.citizenId ? citizenId : undefined
+          })
         });
         
-        const data = await res.json();
+        const draft = await draftRes.json();
+        
+        if (!draft.success) {
+          log('Error: ' + draft.error + (draft.details ? ' (' + draft.details.join('; ') + ')' : ''), true);
+          return;
+        }
+        
+        pendingDraft = draft;
+        const consent = draft.data.consent;
+        
+        document.getElementById('tokenResult').innerHTML = \`
+          <div class="status">REVIEW BEFORE SIGNING: \${consent.policyName}</div>
+          <p>\${consent.description}</p>
+          \${consent.guardianship ? \`
+            <p class="hidden-indicator">
+              You are signing as guardian of \${consent.guardianship.wardId}
+              (\${consent.guardianship.legalBasis.type} \${consent.guardianship.legalBasis.reference},
+              valid until \${consent.guardianship.validUntil}). \${consent.guardianship.wardId} will see it in their audit trail.
+            </p>
+          \` : ''}
+          
+          <h3>The delegate will see</h3>
+          <table class="data-table">
+            <tr><th>Field</th><th>Value</th></tr>
+            \${consent.disclosedFields.map(f => \`<tr><td>\${f.field}</td><td>\${formatValue(f.value)}</td></tr>\`).join('')}
+          </table>
+          
+          \${consent.predicates.length > 0 ? \`
+            <h3>The delegate will learn only whether</h3>
+            <table class="data-table">
+              \${consent.predicates.map(p => \`<tr><td>\${p}</td></tr>\`).join('')}
+            </table>
+          \` : ''}
+          
+          <h3>The delegate may</h3>
+          <table class="data-table">
+            \${consent.actions.map(a => \`<tr><td>\${a.name}</td><td>\${a.description}</td></tr>\`).join('')
+              || '<tr><td>No actions</td></tr>'}
+          </table>
+          
+          <p class="hidden-indicator">
+            Stays hidden: \${consent.hiddenFields.join(', ')}<br>
+            Link expires after \${consent.expiresIn} seconds\${consent.constraints.maxUses ? ', ' + consent.constraints.maxUses + ' use(s)' : ''}<br>
+            \${consent.binding.mode === 'bound'
+              ? 'Only works with the delegate key ' + consent.binding.jkt
+              : 'Works for anyone who has the link'}<br>
+            \${consent.maxDepth > 0
+              ? 'The delegate may pass on part of it, up to ' + consent.maxDepth + ' level(s) deep'
+              : 'The delegate may not pass it on'}
+          </p>
+          
+          <button onclick="approveConsent()">Approve and Sign</button>
+          <button onclick="cancelConsent()">Cancel</button>
+        \`;
+        
+        log('Review the consent summary, then approve to sign');
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    function cancelConsent() {
+      pendingDraft = null;
+      document.getElementById('tokenResult').innerHTML = '<div class="status invalid">DELEGATION CANCELLED</div>';
+      log('Delegation cancelled before signing');
+    }
+    
+    /**
+     * Step 2: owner consents, signs C_D locally and the JWT is issued
+     */
+    async function approveConsent() {
+      try {
+        const draft = pendingDraft;
+        if (!draft) {
+          return;
+        }
+        pendingDraft = null;
+        
+        const ownerKey = await ensureOwnerKey(ownerSession.citizenId);
+        
+        // Owner checks C_D against the openings and signs it locally
+        log('Signing record commitment with owner key...');
+        const signature = vsdlOwner.signCommitment(ownerKey.privateKey, draft.data.signingRequest);
+        
+        const res = await ownerFetch('/api/token/' + draft.data.tokenId + '/sign', {
+          method: 'POST',
+          body: JSON.stringify({ signature, consent: true })
+        });
+        
+        const signed = await res.json();
+        const data = signed.success
+          ? { success: true, data: { ...draft.data, ...signed.data } }
+          : signed;
         
         if (data.success) {
           // Display token result
@@ -783,6 +2932,9 @@ function getHTML() {
               <tr><th>Visible Fields</th><td>\${data.data.policy.visibleFields.join(', ')}</td></tr>
               <tr><th>Hidden Fields</th><td>\${data.data.policy.hiddenFields.join(', ')}</td></tr>
               <tr><th>Allowed Actions</th><td>\${data.data.policy.allowedActions.join(', ')}</td></tr>
+              <tr><th>Max Uses</th><td>\${data.data.constraints.maxUses || 'Unlimited'}</td></tr>
+              <tr><th>Valid From</th><td>\${data.data.constraints.notBefore || 'Now'}</td></tr>
+              <tr><th>Link Type</th><td>\${data.data.binding.mode === 'bound' ? 'Bound to ' + data.data.binding.jkt : 'Bearer'}</td></tr>
             </table>
             
             <h3>Record Commitment C<sub>D</sub></h3>
@@ -790,19 +2942,208 @@ function getHTML() {
               <dt>x:</dt><dd>\${data.data.cryptography.recordCommitment.x}</dd>
               <dt>y:</dt><dd>\${data.data.cryptography.recordCommitment.y}</dd>
             </dl>
+            
+            <h3>Owner Signature</h3>
+            <dl class="commitment-display">
+              <dt>Key:</dt><dd>\${data.data.owner.publicKey}</dd>
+              <dt>σ:</dt><dd>\${formatHex(data.data.owner.signature)}</dd>
+              \${data.data.guardian ? \`<dt>Guardian:</dt><dd>\${data.data.guardian.id} (\${data.data.guardian.legalBasis})</dd>\` : ''}
+            </dl>
           \`;
           
-          // Auto-fill delegation URL
+          // Auto-fill delegation URL and the key it must be signed with
           document.getElementById('delegationUrl').value = data.data.delegationUrl;
+          document.getElementById('ownerPublicKey').value = data.data.owner.publicKey;
           
           // Show full details
           document.getElementById('fullDetails').textContent = JSON.stringify(data.data.cryptography, null, 2);
           
           log('Token created: ' + data.data.tokenId);
           log('Expires: ' + data.data.expiresAt);
+          
+          loadDelegations();
+        } else {
+          log('Error: ' + data.error, true);
+        }
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    async function loadPolicies() {
+      try {
+        const select = document.getElementById('policySelect');
+        const selected = select.value;
+        
+        const data = await (await ownerFetch('/api/policies')).json();
+        select.innerHTML = Object.entries(data.policies)
+          .map(([id, p]) => \`<option value="\${id}">\${p.name}</option>\`)
+          .join('');
+        if (data.policies[selected]) {
+          select.value = selected;
+        }
+        
+        if (!ownerSession) {
+          document.getElementById('policyFields').innerHTML = '<p class="hidden-indicator">Sign in to see your record fields.</p>';
+          return;
+        }
+        
+        const schema = await (await ownerFetch('/api/citizens/' + encodeURIComponent(ownerSession.citizenId) + '/schema')).json();
+        document.getElementById('policyFields').innerHTML = schema.data.fields
+          .map(f => \`<label style="font-weight: normal; text-transform: none;"><input type="checkbox" name="policyField" value="\${f}"> \${f}\${schema.data.fieldInfo[f] ? ' <span class="hidden-indicator">' + schema.data.fieldInfo[f].sensitivity + '</span>' : ''}</label>\`)
+          .join('');
+        document.getElementById('policyScalarFields').textContent = 'Number and date fields: ' +
+          (Object.entries(schema.data.scalarFields).map(([f, type]) => f + ' (' + type + ')').join(', ') || 'none');
+        
+        const registry = await (await fetch('/api/actions')).json();
+        document.getElementById('policyActions').innerHTML = registry.actions
+          .map(a => \`<label style="font-weight: normal; text-transform: none;"><input type="checkbox" name="policyAction" value="\${a.name}"> \${a.name} — \${a.description}</label>\`)
+          .join('');
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    async function createPolicy() {
+      try {
+        const checked = name => [...document.querySelectorAll('input[name="' + name + '"]:checked')].map(el => el.value);
+        const maxExpiresIn = parseInt(document.getElementById('policyMaxExpires').value, 10);
+        const predicates = JSON.parse(document.getElementById('policyPredicates').value.trim() || '[]');
+        
+        const res = await ownerFetch('/api/policies', {
+          method: 'POST',
+          body: JSON.stringify({
+            name: document.getElementById('policyName').value,
+            visibleFields: checked('policyField'),
+            allowedActions: checked('policyAction'),
+            predicates,
+            constraints: maxExpiresIn ? { maxExpiresIn } : {}
+          })
+        });
+        const data = await res.json();
+        
+        if (data.success) {
+          document.getElementById('policyResult').innerHTML = \`
+            <div class="status valid">POLICY CREATED</div>
+            <table class="data-table">
+              <tr><th>Visible Fields</th><td>\${data.data.policy.visibleFields.join(', ')}</td></tr>
+              <tr><th>Hidden Fields</th><td>\${data.data.policy.hiddenFields.join(', ')}</td></tr>
+              <tr><th>Predicates</th><td>\${data.data.policy.predicates.map(p => vsdlVerifier.describePredicate(p)).join(', ') || 'None'}</td></tr>
+              <tr><th>Policy Hash</th><td>\${formatHex(data.data.policy.policyHash)}</td></tr>
+            </table>
+          \`;
+          log('Policy created: ' + data.data.policyId);
+          await loadPolicies();
+          document.getElementById('policySelect').value = data.data.policyId;
+        } else {
+          document.getElementById('policyResult').innerHTML = \`
+            <div class="status invalid">\${data.error}: \${(data.details || []).join('; ')}</div>
+          \`;
+          log('Error: ' + data.error, true);
+        }
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    async function loadDelegations() {
+      try {
+        if (!ownerSession) {
+          document.getElementById('delegationsList').innerHTML = '<p class="hidden-indicator">Sign in to see your delegations.</p>';
+          return;
+        }
+        
+        const res = await ownerFetch('/api/tokens');
+        const data = await res.json();
+        
+        if (!data.success) {
+          log('Error: ' + data.error, true);
+          return;
+        }
+        
+        let rows = '';
+        for (const t of data.data.tokens) {
+          rows += \`<tr>
+            <td>\${formatHex(t.tokenId, 16)}</td>
+            <td>\${'↳ '.repeat(t.depth)}\${t.policyName}\${t.guardian && t.guardian.wardId !== ownerSession.citizenId ? ' (for ' + t.guardian.wardId + ')' : ''}</td>
+            <td>\${t.status.toUpperCase()}</td>
+            <td>\${t.usage.maxUses === null ? t.usage.uses : t.usage.uses + ' / ' + t.usage.maxUses}</td>
+            <td>\${t.status === 'active'
+              ? \`<button style="margin: 0;" onclick="revokeToken('\${t.tokenId}')">Revoke</button>\`
+              : (t.revokedAt || t.expiresAt || '')}</td>
+          </tr>\`;
+        }
+        
+        document.getElementById('delegationsList').innerHTML = data.data.tokens.length === 0
+          ? '<p class="hidden-indicator">No delegations yet.</p>'
+          : \`<table class="data-table">
+              <tr><th>Token</th><th>Policy</th><th>Status</th><th>Uses</th><th></th></tr>
+              \${rows}
+            </table>\`;
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    async function loadAudit() {
+      try {
+        if (!ownerSession) {
+          log('Error: Sign in to see your audit trail', true);
+          return;
+        }
+        
+        const data = await (await ownerFetch('/api/audit/' + encodeURIComponent(ownerSession.citizenId))).json();
+        
+        if (!data.success) {
+          log('Error: ' + data.error, true);
+          return;
+        }
+        
+        const integrity = data.data.integrity;
+        let rows = '';
+        for (const e of [...data.data.entries].reverse()) {
+          rows += \`<tr>
+            <td>\${e.seq}</td>
+            <td>\${new Date(e.at).toLocaleString()}</td>
+            <td>\${e.event}\${e.detail.action ? ' (' + e.detail.action + ')' : ''}</td>
+            <td>\${e.jti ? formatHex(e.jti, 16) : ''}</td>
+            <td>\${e.fields.join(', ')}</td>
+          </tr>\`;
+        }
+        
+        document.getElementById('auditTrail').innerHTML = \`
+          <div class="status \${integrity.valid ? 'valid' : 'invalid'}">
+            CHAIN \${integrity.valid ? 'INTACT' : 'BROKEN AT ENTRY ' + integrity.brokenAt} (\${integrity.length} entries)
+          </div>
+          <table class="data-table">
+            <tr><th>#</th><th>Time</th><th>Event</th><th>Token</th><th>Fields Disclosed</th></tr>
+            \${rows}
+          </table>
+        \`;
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    async function revokeToken(tokenId) {
+      try {
+        const ownerKey = await ensureOwnerKey(ownerSession.citizenId);
+        
+        log('Revoking token ' + tokenId + '...');
+        
+        const res = await ownerFetch('/api/token/' + tokenId + '/revoke', {
+          method: 'POST',
+          body: JSON.stringify({ signature: vsdlOwner.signRevocation(ownerKey.privateKey, tokenId) })
+        });
+        const data = await res.json();
+        
+        if (data.success) {
+          log('Token revoked: ' + tokenId);
         } else {
           log('Error: ' + data.error, true);
         }
+        
+        loadDelegations();
       } catch (err) {
         log('Error: ' + err.message, true);
       }
@@ -818,17 +3159,19 @@ function getHTML() {
         
         log('Accessing delegated data...');
         
-        const res = await fetch(url);
+        const res = await delegateFetch(url + (url.includes('?') ? '&' : '?') + 'explain=true', vsdlVerifier.tokenFromUrl(url));
         const data = await res.json();
         
         if (data.success) {
           currentProof = data.data.proof;
+          currentToken = vsdlVerifier.tokenFromUrl(url);
+          currentRecord = data.data.filteredRecord;
           document.getElementById('verifyBtn').disabled = false;
           
           // Display filtered data
           let tableRows = '';
           for (const [field, value] of Object.entries(data.data.filteredRecord)) {
-            tableRows += \`<tr><td>\${field}</td><td>\${value}</td></tr>\`;
+            tableRows += \`<tr><td>\${field}</td><td>\${formatValue(value)}</td></tr>\`;
           }
           
           document.getElementById('delegateResult').innerHTML = \`
@@ -841,19 +3184,50 @@ function getHTML() {
             </table>
             
             <p class="hidden-indicator">
-              + \${data.data.proof.hiddenFieldCount} hidden fields (cryptographically protected)
+              + \${data.data.explain.hiddenFieldCount} hidden fields (cryptographically protected,
+              \${data.data.proof.hiddenCommitments.length} \${data.data.proof.hiddenCommitments.some(h => h.membershipProof)
+                ? 'per-field commitments with membership proofs'
+                : 'hidden nodes of the signed field tree'})
             </p>
             
+            \${data.data.proof.predicates.length === 0 ? '' : \`
+              <h3>Proven Facts (Range Proofs, Values Stay Hidden)</h3>
+              <table class="data-table">
+                <tr><th>Statement</th><th>Result</th></tr>
+                \${data.data.proof.predicates.map((p, i) => \`<tr><td>\${data.data.explain.predicates[i]}</td><td>\${p.holds ? 'TRUE' : 'FALSE'}</td></tr>\`).join('')}
+              </table>
+            \`}
+            
+            \${data.data.usage.remainingUses === null ? '' : \`
+              <p class="hidden-indicator">Uses left on this link: \${data.data.usage.remainingUses} of \${data.data.usage.maxUses}</p>
+            \`}
+            
             <h3>Allowed Actions</h3>
-            <p>\${data.data.allowedActions.join(', ')}</p>
+            <select id="actionSelect">
+              \${data.data.allowedActions.map(a => \`<option value="\${a}">\${a}</option>\`).join('')}
+            </select>
+            <label>Action Payload (JSON)</label>
+            <textarea id="actionPayload" rows="3" style="width: 100%; padding: 10px; border: 1px solid #000; font-family: monospace; font-size: 11px;">{}</textarea>
+            <button onclick="invokeAction()" style="margin-top: 10px;">Invoke Action</button>
+            <div id="actionResult"></div>
+            
+            <h3>Pass On a Narrower Link</h3>
+            <div style="font-size: 12px;">
+              \${Object.keys(data.data.filteredRecord).map(f => \`<label style="font-weight: normal; text-transform: none;"><input type="checkbox" name="subField" value="\${f}" checked> \${f}</label>\`).join('')}
+              \${data.data.proof.visibleFields.map(o => o.fieldName).filter(f => !(f in data.data.filteredRecord)).map(f => \`<label style="font-weight: normal; text-transform: none;"><input type="checkbox" name="subField" value="\${f}"> \${f}</label>\`).join('')}
+              \${data.data.allowedActions.map(a => \`<label style="font-weight: normal; text-transform: none;"><input type="checkbox" name="subAction" value="\${a}"> \${a}</label>\`).join('')}
+              \${data.data.proof.predicates.map((p, i) => \`<label style="font-weight: normal; text-transform: none;"><input type="checkbox" name="subPredicate" value="\${i}"> \${data.data.explain.predicates[i]}</label>\`).join('')}
+            </div>
+            <button onclick="subdelegate()" style="margin-top: 10px;">Create Sub-delegation</button>
+            <div id="subdelegateResult"></div>
             
             <h3>Proof Components</h3>
             <div class="math-box">
               <div class="formula">C<sub>D</sub> = C<sub>H</sub> · C<sub>F</sub></div>
               <dl class="commitment-display">
-                <dt>C<sub>D</sub> (x):</dt><dd>\${formatHex(data.data.proof.recordCommitment.x)}</dd>
-                <dt>C<sub>H</sub> (x):</dt><dd>\${formatHex(data.data.proof.hiddenCommitment.x)}</dd>
-                <dt>C<sub>F</sub> (x):</dt><dd>\${formatHex(data.data.proof.visibleCommitment.x)}</dd>
+                <dt>C<sub>D</sub>:</dt><dd>\${formatHex(data.data.proof.recordCommitment)}</dd>
+                <dt>C<sub>H</sub>:</dt><dd>\${formatHex(data.data.proof.hiddenCommitment)}</dd>
+                <dt>C<sub>F</sub>:</dt><dd>\${formatHex(data.data.explain.visibleCommitment.compressed)}</dd>
               </dl>
             </div>
           \`;
@@ -861,7 +3235,7 @@ function getHTML() {
           document.getElementById('fullDetails').textContent = JSON.stringify(data.data, null, 2);
           
           log('Data received: ' + Object.keys(data.data.filteredRecord).length + ' visible fields');
-          log('Hidden fields: ' + data.data.proof.hiddenFieldCount);
+          log('Hidden fields: ' + data.data.explain.hiddenFieldCount);
         } else {
           log('Error: ' + data.error, true);
           document.getElementById('delegateResult').innerHTML = \`
@@ -873,6 +3247,63 @@ function getHTML() {
       }
     }
     
+    async function subdelegate() {
+      try {
+        const checked = name => [...document.querySelectorAll('input[name="' + name + '"]:checked')].map(el => el.value);
+        
+        const res = await delegateFetch('/api/delegate/' + encodeURIComponent(currentToken) + '/subdelegate', currentToken, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            visibleFields: checked('subField'),
+            allowedActions: checked('subAction'),
+            predicates: checked('subPredicate').map(i => currentProof.predicates[i].predicate)
+          })
+        });
+        const data = await res.json();
+        
+        if (data.success) {
+          document.getElementById('subdelegateResult').innerHTML = \`
+            <div class="status valid">SUB-DELEGATION CREATED (LEVEL \${data.data.depth} OF \${data.data.maxDepth})</div>
+            <div class="url-display">\${data.data.delegationUrl}</div>
+          \`;
+          log('Sub-delegated token ' + data.data.tokenId + ' from ' + data.data.parentId);
+          loadDelegations();
+        } else {
+          document.getElementById('subdelegateResult').innerHTML = \`
+            <div class="status invalid">\${data.error}\${data.details ? ': ' + data.details.join('; ') : ''}</div>
+          \`;
+          log('Error: ' + data.error, true);
+        }
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
+    async function invokeAction() {
+      try {
+        const action = document.getElementById('actionSelect').value;
+        const payload = JSON.parse(document.getElementById('actionPayload').value || '{}');
+        
+        log('Invoking action: ' + action);
+        
+        const res = await delegateFetch('/api/delegate/' + encodeURIComponent(currentToken) + '/actions/' + action, currentToken, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        const data = await res.json();
+        
+        document.getElementById('actionResult').innerHTML = data.success
+          ? \`<div class="status valid">ACTION COMPLETED</div><div class="output">\${JSON.stringify(data.data.result, null, 2)}</div>\`
+          : \`<div class="status invalid">\${data.code || 'ERROR'}: \${data.error}\${data.details ? ' — ' + [].concat(data.details).join('; ') : ''}</div>\`;
+        
+        log(data.success ? 'Action completed: ' + action : 'Action rejected: ' + data.error, !data.success);
+      } catch (err) {
+        log('Error: ' + err.message, true);
+      }
+    }
+    
     async function verifyProof() {
       try {
         if (!currentProof) {
@@ -880,53 +3311,72 @@ function getHTML() {
           return;
         }
         
-        log('Verifying cryptographic proof...');
+        log('Verifying cryptographic proof locally...');
         
-        const res = await fetch('/api/verify', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            visibleFields: currentProof.visibleFields,
-            recordCommitment: currentProof.recordCommitment.compressed,
-            hiddenCommitment: currentProof.hiddenCommitment.compressed
-          })
+        const jwks = await (await fetch('/.well-known/jwks.json')).json();
+        const revocations = await (await fetch('/api/revocations')).json();
+        const result = vsdlVerifier.verifyDelegation(currentProof, currentToken, currentRecord, {
+          jwks,
+          revocationList: revocations.data.revocationList,
+          ownerPublicKey: document.getElementById('ownerPublicKey').value.trim() || undefined
         });
         
-        const data = await res.json();
+        let checkRows = '';
+        for (const c of result.checks) {
+          checkRows += \`<tr><td>\${c.name}</td><td>\${c.passed ? 'PASS' : 'FAIL'}</td><td>\${c.detail}</td></tr>\`;
+        }
         
-        if (data.success) {
-          const v = data.data.verification;
+        const v = result.verification;
+        
+        document.getElementById('verificationResult').innerHTML = \`
+          <div class="status \${result.valid ? 'valid' : 'invalid'}">
+            VERIFICATION: \${result.valid ? 'PASSED ✓' : 'FAILED ✗'}
+          </div>
           
-          document.getElementById('verificationResult').innerHTML = \`
-            <div class="status \${data.data.valid ? 'valid' : 'invalid'}">
-              VERIFICATION: \${data.data.valid ? 'PASSED ✓' : 'FAILED ✗'}
-            </div>
+          <h3>Local Checks</h3>
+          <table class="data-table">
+            <tr><th>Check</th><th>Result</th><th>Detail</th></tr>
+            \${checkRows}
+          </table>
+          
+          \${v ? \`
+          <div class="math-box">
+            <h3>Verification Equation</h3>
+            <div class="formula">\${v.equation}</div>
             
-            <div class="math-box">
-              <h3>Verification Equation</h3>
-              <div class="formula">\${v.equation}</div>
-              
-              <h3>Computed Values</h3>
-              <dl class="commitment-display">
-                <dt>C<sub>D</sub>:</dt><dd>\${formatHex(v.C_D.x)}</dd>
-                <dt>C<sub>H</sub>:</dt><dd>\${formatHex(v.C_H.x)}</dd>
-                <dt>C<sub>F</sub>:</dt><dd>\${formatHex(v.C_F.x)}</dd>
-                <dt>C<sub>H</sub>·C<sub>F</sub>:</dt><dd>\${formatHex(v.sum.x)}</dd>
-              </dl>
-              
-              <h3>Result</h3>
-              <p style="text-align: center; font-size: 16px; font-weight: bold;">
-                \${v.result}
-              </p>
-            </div>
+            <h3>Computed Values</h3>
+            <dl class="commitment-display">
+              <dt>C<sub>D</sub>:</dt><dd>\${formatHex(v.C_D.x)}</dd>
+              <dt>C<sub>H</sub>:</dt><dd>\${formatHex(v.C_H.x)}</dd>
+              <dt>C<sub>F</sub>:</dt><dd>\${formatHex(v.C_F.x)}</dd>
+              <dt>C<sub>H</sub>·C<sub>F</sub>:</dt><dd>\${formatHex(v.sum.x)}</dd>
+            </dl>
             
-            <p style="margin-top: 15px;">
-              <strong>Explanation:</strong> \${data.data.explanation}
+            <h3>Result</h3>
+            <p style="text-align: center; font-size: 16px; font-weight: bold;">
+              \${v.result}
             </p>
-          \`;
+          </div>
+          \` : ''}
           
-          log('Verification complete: ' + (data.data.valid ? 'VALID' : 'INVALID'));
-        }
+          <p style="margin-top: 15px;">
+            <strong>Explanation:</strong> \${result.valid
+              ? 'Verified in this browser against the signed token commitment. C_D = C_H · C_F holds.'
+              : 'WARNING: Verification failed! Server may have tampered with data.'}
+          </p>
+        \`;
+        
+        log('Verification complete: ' + (result.valid ? 'VALID' : 'INVALID'));
+        
+        // Let the owner's audit trail know the link was verified
+        delegateFetch('/api/delegate/' + encodeURIComponent(currentToken) + '/verification', currentToken, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            valid: result.valid,
+            failedChecks: result.checks.filter(c => !c.passed).map(c => c.name)
+          })
+        }).catch(err => log('Error: ' + err.message, true));
       } catch (err) {
         log('Error: ' + err.message, true);
       }
@@ -934,12 +3384,35 @@ function getHTML() {
     
     // Initial log
     log('VSDL Server ready');
-    log('Click "Generate Delegation Token" to start');
+    log('Sign in, then click "Generate Delegation Token" to start');
+    
+    // A saved session may have expired or the server may have restarted
+    if (ownerSession) {
+      ownerFetch('/api/auth/session')
+        .then(res => res.json())
+        .then(data => setSession(data.success ? ownerSession : null))
+        .catch(() => setSession(null));
+    } else {
+      setSession(null);
+    }
   </script>
 </body>
 </html>`;
 }
 
+/**
+ * Malformed JSON bodies, and errors passed on by other middleware
+ */
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'Request body is not valid JSON', code: 'MALFORMED_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+  sendError(res, err);
+});
+
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
@@ -950,7 +3423,7 @@ app.listen(PORT, () => {
   console.log('');
   console.log('This server implements:');
   console.log('- Pedersen commitments for data fields');
-  console.log('- JWT-based delegation tokens');
+  console.log('- JWT-based delegation tokens (ES256, kid ' + keyRing.active.kid + ')');
   console.log('- Verifiable data filtering');
   console.log('- Cryptographic proof verification');
   console.log('============================================================');
@@ -0,0 +1,166 @@
+/**
+ * VSDL - Sigma-protocol proofs over field commitments
+ *
+ * Field Membership (CDS OR-proof, Fiat-Shamir):
+ * ---------------------------------------------
+ * For a hidden field commitment C = g^m · h^r · j^{n_f} and a list of
+ * candidate field names f_1..f_K, prove that f ∈ {f_1..f_K} without
+ * revealing which one, m or r.
+ *
+ * For each candidate k let P_k = C · j^{-n_k}. The prover knows (m, r)
+ * with P_ℓ = g^m · h^r for the real index ℓ, and simulates every other
+ * branch:
+ *
+ *   k ≠ ℓ:  pick e_k, z_{m,k}, z_{r,k};  A_k = g^{z_m} · h^{z_r} · P_k^{-e_k}
+ *   k = ℓ:  pick a, b;                    A_ℓ = g^a · h^b
+ *   e   = H(context, C, f_1..f_K, A_1..A_K)
+ *   e_ℓ = e - Σ_{k≠ℓ} e_k,  z_{m,ℓ} = a + e_ℓ·m,  z_{r,ℓ} = b + e_ℓ·r
+ *
+ * Verifier recomputes every A_k from (e_k, z_{m,k}, z_{r,k}) and checks
+ * Σ e_k = H(context, C, f_1..f_K, A_1..A_K).
+ *
+ * The candidates must be distinct: a repeated name would make the set
+ * look larger than it is, so both sides refuse one.
+ *
+ * Only tokens without a field tree use these proofs, and those are all
+ * secp256k1, so this module works on the default pedersen instance.
+ */
+
+const BN = require('bn.js');
+const pedersen = require('./pedersen');
+
+const { ec, mulBase } = pedersen;
+const MEMBERSHIP_DOMAIN = 'VSDL-MEMBERSHIP-V1';
+
+/**
+ * Fiat-Shamir challenge for a membership proof
+ */
+function membershipChallenge(context, C, candidates, A) {
+  return pedersen.hashToScalar(JSON.stringify([
+    MEMBERSHIP_DOMAIN,
+    context,
+    C.encode('hex', true),
+    candidates,
+    A.map(point => point.encode('hex', true))
+  ]));
+}
+
+/**
+ * Whether a candidate list names K distinct fields
+ */
+function distinctCandidates(candidates) {
+  return Array.isArray(candidates) && candidates.length > 0 &&
+    candidates.every(name => typeof name === 'string') &&
+    new Set(candidates).size === candidates.length;
+}
+
+/**
+ * P_k = C · j^{-n_k}
+ */
+function candidateBase(C, fieldName) {
+  return C.add(mulBase('J', pedersen.hashFieldName(fieldName)).neg());
+}
+
+/**
+ * Prove that commitment C carries one of the candidate field names
+ *
+ * @param {Point} C - Field commitment
+ * @param {string} fieldName - The real field name (must be in candidates)
+ * @param {BN} m - Message scalar H(f||v)
+ * @param {BN} r - Blinding factor
+ * @param {string[]} candidates - Candidate field names
+ * @param {string} context - Binds the proof to a token/position
+ * @returns {Object} { e: [], zm: [], zr: [] } as hex scalars
+ */
+function proveMembership(C, fieldName, m, r, candidates, context) {
+  if (!distinctCandidates(candidates)) {
+    throw new Error('Candidate field names must be distinct');
+  }
+  const real = candidates.indexOf(fieldName);
+  if (real === -1) {
+    throw new Error(`Field ${fieldName} is not among the candidates`);
+  }
+
+  const e = [];
+  const zm = [];
+  const zr = [];
+  const A = [];
+  let a = null;
+  let b = null;
+
+  for (let k = 0; k < candidates.length; k++) {
+    if (k === real) {
+      a = pedersen.randomScalar();
+      b = pedersen.randomScalar();
+      A.push(mulBase('G', a).add(mulBase('H', b)));
+    } else {
+      e[k] = pedersen.randomScalar();
+      zm[k] = pedersen.randomScalar();
+      zr[k] = pedersen.randomScalar();
+      const P = candidateBase(C, candidates[k]);
+      A.push(mulBase('G', zm[k]).add(mulBase('H', zr[k])).add(P.mul(e[k]).neg()));
+    }
+  }
+
+  const challenge = membershipChallenge(context, C, candidates, A);
+
+  let simulated = new BN(0);
+  for (let k = 0; k < candidates.length; k++) {
+    if (k !== real) {
+      simulated = simulated.add(e[k]);
+    }
+  }
+
+  e[real] = challenge.sub(simulated).umod(ec.n);
+  zm[real] = a.add(e[real].mul(m)).umod(ec.n);
+  zr[real] = b.add(e[real].mul(r)).umod(ec.n);
+
+  return {
+    e: e.map(pedersen.serializeBN),
+    zm: zm.map(pedersen.serializeBN),
+    zr: zr.map(pedersen.serializeBN)
+  };
+}
+
+/**
+ * Verify a membership proof produced by proveMembership()
+ *
+ * @param {Point} C - Field commitment
+ * @param {string[]} candidates - Candidate field names
+ * @param {Object} proof - { e, zm, zr }
+ * @param {string} context - Same context the prover used
+ * @returns {boolean}
+ */
+function verifyMembership(C, candidates, proof, context) {
+  if (!distinctCandidates(candidates)) {
+    return false;
+  }
+  const K = candidates.length;
+  if (!proof || ![proof.e, proof.zm, proof.zr].every(v => Array.isArray(v) && v.length === K)) {
+    return false;
+  }
+
+  const A = [];
+  let sum = new BN(0);
+
+  try {
+    for (let k = 0; k < K; k++) {
+      const e = pedersen.deserializeScalar(proof.e[k]);
+      const zm = pedersen.deserializeScalar(proof.zm[k]);
+      const zr = pedersen.deserializeScalar(proof.zr[k]);
+      const P = candidateBase(C, candidates[k]);
+
+      A.push(mulBase('G', zm).add(mulBase('H', zr)).add(P.mul(e).neg()));
+      sum = sum.add(e);
+    }
+  } catch (err) {
+    return false;
+  }
+
+  return sum.umod(ec.n).eq(membershipChallenge(context, C, candidates, A));
+}
+
+module.exports = {
+  proveMembership,
+  verifyMembership
+};
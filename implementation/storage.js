@@ -0,0 +1,241 @@
+/**
+ * VSDL - Storage adapters for citizen records, owner keys and tokens
+ *
+ * Every adapter exposes the same synchronous interface:
+ *
+ *   getCitizen(citizenId)          -> record | null
+ *   putCitizen(citizenId, record)
+ *   listCitizenIds()               -> [citizenId]
+ *   getOwnerKey(citizenId)         -> publicKey | null
+ *   putOwnerKey(citizenId, publicKey)
+ *   getCredential(username)        -> credential | null  (owner sign-in)
+ *   putCredential(username, credential)
+ *   getToken(tokenId)              -> token | null
+ *   putToken(tokenId, token)
+ *   listTokens()                   -> [token]
+ *   consumeTokenUse(tokenId, max)  -> new use count | null if max reached
+ *                                     (check and increment in one step)
+ *   getPolicy(policyId)            -> policy | null   (owner-defined policies)
+ *   putPolicy(policyId, policy)
+ *   listPolicies()                 -> [policy]
+ *   getGuardianship(id)            -> guardianship | null  (guardians.js)
+ *   putGuardianship(id, guardianship)
+ *   listGuardianships()            -> [guardianship]
+ *   appendInvocation(entry)        - delegated action log (append-only)
+ *   listInvocations(tokenId?)      -> [entry]
+ *   appendAuditEntry(entry)        - hash-chained audit log (append-only)
+ *   listAuditEntries(citizenId)    -> [entry]
+ *
+ * Values are copied on the way in and out, so callers must put() again
+ * after changing a record. Token entries hold only metadata and the
+ * per-field randomness; commitments are recomputed from the citizen
+ * record when a token is used.
+ *
+ * Adapters:
+ * - memory: lost on restart (default, for demos)
+ * - file:   one JSON file, written atomically on every change; field
+ *           randomness is encrypted with AES-256-GCM
+ *
+ * Selected at startup with VSDL_STORAGE=memory|file, VSDL_STORAGE_FILE
+ * (default ./data/vsdl-store.json) and VSDL_STORAGE_KEY (64 hex chars;
+ * generated next to the store file if unset).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_STORE_FILE = path.join(__dirname, 'data', 'vsdl-store.json');
+
+const clone = value => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * In-memory adapter
+ *
+ * @param {Object} [initial] - { citizens, ownerKeys, credentials, policies, guardianships, tokens,
+ *                              invocations, audit } to start from
+ * @param {Function} [onChange] - Called with the full state after each put
+ */
+function createMemoryStorage(initial = {}, onChange = () => {}) {
+  const state = {
+    citizens: { ...initial.citizens },
+    ownerKeys: { ...initial.ownerKeys },
+    credentials: { ...initial.credentials },
+    policies: { ...initial.policies },
+    guardianships: { ...initial.guardianships },
+    tokens: { ...initial.tokens },
+    invocations: [...(initial.invocations || [])],
+    audit: [...(initial.audit || [])]
+  };
+
+  const put = (table, key, value) => {
+    state[table][key] = clone(value);
+    onChange(state);
+  };
+
+  return {
+    type: 'memory',
+    getCitizen: citizenId => clone(state.citizens[citizenId]),
+    putCitizen: (citizenId, record) => put('citizens', citizenId, record),
+    listCitizenIds: () => Object.keys(state.citizens),
+    getOwnerKey: citizenId => state.ownerKeys[citizenId] || null,
+    putOwnerKey: (citizenId, publicKey) => put('ownerKeys', citizenId, publicKey),
+    getCredential: username => clone(state.credentials[username]),
+    putCredential: (username, credential) => put('credentials', username, credential),
+    getPolicy: policyId => clone(state.policies[policyId]),
+    putPolicy: (policyId, policy) => put('policies', policyId, policy),
+    listPolicies: () => Object.values(state.policies).map(clone),
+    getGuardianship: id => clone(state.guardianships[id]),
+    putGuardianship: (id, guardianship) => put('guardianships', id, guardianship),
+    listGuardianships: () => Object.values(state.guardianships).map(clone),
+    getToken: tokenId => clone(state.tokens[tokenId]),
+    putToken: (tokenId, token) => put('tokens', tokenId, token),
+    listTokens: () => Object.values(state.tokens).map(clone),
+    consumeTokenUse: (tokenId, maxUses) => {
+      const token = state.tokens[tokenId];
+      if (!token) {
+        return null;
+      }
+      const uses = token.uses || 0;
+      if (maxUses !== undefined && maxUses !== null && uses >= maxUses) {
+        return null;
+      }
+      token.uses = uses + 1;
+      onChange(state);
+      return token.uses;
+    },
+    appendInvocation: entry => {
+      state.invocations.push(clone(entry));
+      onChange(state);
+    },
+    listInvocations: tokenId => state.invocations
+      .filter(entry => tokenId === undefined || entry.tokenId === tokenId)
+      .map(clone),
+    appendAuditEntry: entry => {
+      state.audit.push(clone(entry));
+      onChange(state);
+    },
+    listAuditEntries: citizenId => state.audit
+      .filter(entry => entry.citizenId === citizenId)
+      .map(clone)
+  };
+}
+
+/**
+ * AES-256-GCM encrypt a JSON value
+ */
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex')
+  };
+}
+
+/**
+ * AES-256-GCM decrypt a value produced by encrypt()
+ */
+function decrypt(key, box) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(box.tag, 'hex'));
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(box.ciphertext, 'hex')),
+    decipher.final()
+  ]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * Load the encryption key from hex, or from/into a key file
+ */
+function loadEncryptionKey(hexKey, keyFile) {
+  if (hexKey) {
+    if (!/^[0-9a-fA-F]{64}$/.test(hexKey)) {
+      throw new Error('VSDL_STORAGE_KEY must be 64 hex characters');
+    }
+    return Buffer.from(hexKey, 'hex');
+  }
+
+  if (!fs.existsSync(keyFile)) {
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex') + '\n', { mode: 0o600 });
+  }
+  return Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'hex');
+}
+
+/**
+ * File-backed JSON adapter
+ *
+ * @param {Object} options - { file, key: hex encryption key }
+ */
+function createFileStorage({ file = DEFAULT_STORE_FILE, key } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const encryptionKey = loadEncryptionKey(key, file + '.key');
+
+  let initial = {};
+  if (fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    initial = {
+      citizens: saved.citizens,
+      ownerKeys: saved.ownerKeys,
+      credentials: saved.credentials,
+      policies: saved.policies,
+      guardianships: saved.guardianships,
+      invocations: saved.invocations,
+      audit: saved.audit,
+      tokens: Object.fromEntries(Object.entries(saved.tokens || {}).map(([id, token]) => [
+        id,
+        { ...token, randomness: decrypt(encryptionKey, token.randomness) }
+      ]))
+    };
+  }
+
+  const flush = state => {
+    const saved = {
+      citizens: state.citizens,
+      ownerKeys: state.ownerKeys,
+      credentials: state.credentials,
+      policies: state.policies,
+      guardianships: state.guardianships,
+      invocations: state.invocations,
+      audit: state.audit,
+      tokens: Object.fromEntries(Object.entries(state.tokens).map(([id, token]) => [
+        id,
+        { ...token, randomness: encrypt(encryptionKey, token.randomness) }
+      ]))
+    };
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(saved, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  };
+
+  return {
+    ...createMemoryStorage(initial, flush),
+    type: 'file',
+    file
+  };
+}
+
+/**
+ * Create the adapter named by configuration
+ *
+ * @param {Object} config - { type: 'memory' | 'file', file, key }
+ */
+function createStorage(config = {}) {
+  switch (config.type || 'memory') {
+    case 'memory':
+      return createMemoryStorage();
+    case 'file':
+      return createFileStorage(config);
+    default:
+      throw new Error(`Unknown storage type: ${config.type}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  createMemoryStorage,
+  createFileStorage
+};
@@ -0,0 +1,78 @@
+/**
+ * Token time windows and usage limits (constraints.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTokenConstraints, checkTimeWindow, checkUsage, inheritUsage } = require('../constraints');
+
+const at = iso => new Date(iso);
+const parsed = input => {
+  const { errors, constraints } = parseTokenConstraints(input);
+  assert.deepStrictEqual(errors, []);
+  return constraints;
+};
+
+test('hours that wrap midnight allow late evening and early morning only', () => {
+  const nights = parsed({ hours: { from: 22, to: 6 } });
+  for (const time of ['2025-06-02T22:00:00Z', '2025-06-02T23:59:59Z', '2025-06-03T00:00:00Z', '2025-06-03T05:59:59Z']) {
+    assert.strictEqual(checkTimeWindow(nights, at(time)), null, time);
+  }
+  for (const time of ['2025-06-03T06:00:00Z', '2025-06-03T12:00:00Z', '2025-06-03T21:59:59Z']) {
+    assert.strictEqual(checkTimeWindow(nights, at(time)).code, 'OUTSIDE_ALLOWED_WINDOW', time);
+  }
+});
+
+test('hours that do not wrap include from and exclude to', () => {
+  const office = parsed({ hours: { from: 9, to: 17 } });
+  assert.strictEqual(checkTimeWindow(office, at('2025-06-02T09:00:00Z')), null);
+  assert.strictEqual(checkTimeWindow(office, at('2025-06-02T16:59:59Z')), null);
+  assert.strictEqual(checkTimeWindow(office, at('2025-06-02T08:59:59Z')).code, 'OUTSIDE_ALLOWED_WINDOW');
+  assert.strictEqual(checkTimeWindow(office, at('2025-06-02T17:00:00Z')).code, 'OUTSIDE_ALLOWED_WINDOW');
+});
+
+test('hours and weekdays are read in the token time zone', () => {
+  // 2025-06-02 is a Monday; 21:30 UTC is already Tuesday 00:30 in Riyadh
+  const riyadh = parsed({ weekdays: [1], hours: { from: 22, to: 2 }, timeZone: 'Asia/Riyadh' });
+  assert.strictEqual(checkTimeWindow(riyadh, at('2025-06-02T19:30:00Z')), null);
+  const tuesday = checkTimeWindow(riyadh, at('2025-06-02T21:30:00Z'));
+  assert.strictEqual(tuesday.code, 'OUTSIDE_ALLOWED_WINDOW');
+  assert.match(tuesday.error, /only be used on Mon \(Asia\/Riyadh\)/);
+});
+
+test('notBefore is checked before the weekly window', () => {
+  const later = parsed({ notBefore: '2025-06-10T00:00:00Z', hours: { from: 22, to: 6 } });
+  assert.strictEqual(checkTimeWindow(later, at('2025-06-02T23:00:00Z')).code, 'TOKEN_NOT_YET_VALID');
+  assert.strictEqual(checkTimeWindow(later, at('2025-06-10T23:00:00Z')), null);
+  assert.strictEqual(checkTimeWindow(later, at('2025-06-10T12:00:00Z')).code, 'OUTSIDE_ALLOWED_WINDOW');
+});
+
+test('hours must be distinct whole hours', () => {
+  for (const hours of [{ from: 8, to: 8 }, { from: 8.5, to: 17 }, { from: 0, to: 25 }]) {
+    assert.deepStrictEqual(parseTokenConstraints({ hours }).errors, ['hours must be { from, to } with distinct whole hours 0-24']);
+  }
+});
+
+test('checkUsage refuses a token once its uses are spent', () => {
+  const limited = parsed({ maxUses: 2 });
+  assert.strictEqual(checkUsage(limited), null);
+  assert.strictEqual(checkUsage(limited, 1), null);
+  assert.deepStrictEqual(checkUsage(limited, 2), { code: 'USAGE_LIMIT_REACHED', error: 'Token has no uses left', maxUses: 2 });
+  assert.strictEqual(checkUsage(parsed({}), 1000), null);
+  assert.strictEqual(checkUsage(undefined, 1000), null);
+});
+
+test('a sub-delegated token gets no more uses than its parent has left', () => {
+  assert.deepStrictEqual(inheritUsage(parsed({ hours: { from: 8, to: 14 } }), 3), {
+    errors: [],
+    constraints: { maxUses: 3, hours: { from: 8, to: 14 } }
+  });
+  assert.deepStrictEqual(inheritUsage(parsed({ singleUse: true }), 3).constraints, { maxUses: 1 });
+  assert.deepStrictEqual(inheritUsage(parsed({ maxUses: 4 }), 3), {
+    errors: ["maxUses must be at most the parent's remaining 3"],
+    constraints: null
+  });
+  // An unlimited parent leaves the child as asked
+  assert.deepStrictEqual(inheritUsage(parsed({ maxUses: 4 }), null).constraints, { maxUses: 4 });
+  assert.deepStrictEqual(inheritUsage(parsed({}), null).constraints, {});
+});
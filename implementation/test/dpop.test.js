@@ -0,0 +1,73 @@
+/**
+ * DPoP proofs for bound tokens (dpop.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dpop = require('../dpop');
+
+const HTU = 'https://portal.example/api/delegate/abc';
+const TOKEN = 'header.payload.signature';
+const request = { method: 'GET', url: HTU, accessToken: TOKEN };
+
+const delegate = dpop.generateDelegateKey();
+const expected = { ...request, jkt: delegate.jkt };
+
+/**
+ * A proof with chosen claims, signed with the delegate key
+ */
+function proofWith(claims, key = delegate) {
+  const { crv, kty, x, y } = key.publicJwk;
+  return jwt.sign(
+    { jti: crypto.randomBytes(16).toString('base64url'), htm: 'GET', htu: HTU, ath: dpop.accessTokenHash(TOKEN), ...claims },
+    key.privateKey,
+    { algorithm: 'ES256', header: { typ: 'dpop+jwt', jwk: { crv, kty, x, y } } }
+  );
+}
+
+test('a fresh proof passes once and is refused as a replay', () => {
+  const verifier = dpop.createDpopVerifier();
+  const proof = dpop.createProof(delegate, request);
+  assert.strictEqual(verifier.verify(proof, expected), null);
+  assert.strictEqual(verifier.verify(proof, expected).code, 'DPOP_REPLAY');
+  assert.strictEqual(verifier.verify(dpop.createProof(delegate, request), expected), null);
+});
+
+test('iat must be recent and not past the clock skew', () => {
+  const verifier = dpop.createDpopVerifier({ maxAge: 60, clockSkew: 5 });
+  const now = Math.floor(Date.now() / 1000);
+  assert.strictEqual(verifier.verify(proofWith({ iat: now - 50 }), expected), null);
+  assert.strictEqual(verifier.verify(proofWith({ iat: now + 3 }), expected), null);
+  for (const iat of [now - 120, now + 60]) {
+    const result = verifier.verify(proofWith({ iat }), expected);
+    assert.deepStrictEqual(result, { code: 'INVALID_DPOP', error: 'DPoP proof is too old or from the future' });
+  }
+});
+
+test('htu is compared without the query, htm without case', () => {
+  const verifier = dpop.createDpopVerifier();
+  assert.strictEqual(verifier.verify(dpop.createProof(delegate, request), { ...expected, url: HTU + '?explain=true' }), null);
+  assert.strictEqual(verifier.verify(dpop.createProof(delegate, request), { ...expected, method: 'get' }), null);
+
+  const elsewhere = verifier.verify(dpop.createProof(delegate, request), { ...expected, url: HTU + '/actions/view_id_info' });
+  assert.deepStrictEqual(elsewhere, { code: 'INVALID_DPOP', error: 'DPoP htu does not match the request URL' });
+  const posted = verifier.verify(dpop.createProof(delegate, request), { ...expected, method: 'POST' });
+  assert.deepStrictEqual(posted, { code: 'INVALID_DPOP', error: 'DPoP htm does not match the request method' });
+});
+
+test('the proof must be for this token and signed by the bound key', () => {
+  const verifier = dpop.createDpopVerifier();
+  assert.strictEqual(verifier.verify(undefined, expected).code, 'DPOP_REQUIRED');
+  assert.strictEqual(verifier.verify(dpop.createProof(dpop.generateDelegateKey(), request), expected).code, 'DPOP_KEY_MISMATCH');
+
+  const otherToken = verifier.verify(dpop.createProof(delegate, { ...request, accessToken: 'other.token.value' }), expected);
+  assert.deepStrictEqual(otherToken, { code: 'INVALID_DPOP', error: 'DPoP ath does not match the delegation token' });
+
+  // Header names the bound key, but another key signed it
+  const { privateKey } = dpop.generateDelegateKey();
+  const forged = verifier.verify(proofWith({}, { ...delegate, privateKey }), expected);
+  assert.strictEqual(forged.code, 'INVALID_DPOP');
+  assert.match(forged.error, /^DPoP signature invalid/);
+});
@@ -0,0 +1,59 @@
+/**
+ * Field tree partitions (merkle.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const merkle = require('../merkle');
+
+const record = {
+  name: 'Ahmed',
+  address: { city: 'Riyadh', street: 'King Fahd Rd' },
+  taxRecords: { annualIncome: 85000, filings: [{ year: 2023 }, { year: 2024 }] },
+  tags: []
+};
+const paths = merkle.recordPaths(record);
+const committed = merkle.commitRecord(record);
+
+test('complementPaths hides the fewest nodes beside the visible ones', () => {
+  assert.deepStrictEqual(merkle.complementPaths(paths, ['name']), ['address', 'taxRecords', 'tags']);
+  assert.deepStrictEqual(
+    merkle.complementPaths(paths, ['name', 'address.city', 'taxRecords.filings[1].year']),
+    ['address.street', 'taxRecords.annualIncome', 'taxRecords.filings[0]', 'tags']
+  );
+  // Only the nodes in `within` are split
+  assert.deepStrictEqual(merkle.complementPaths(paths, ['address.city'], ['address']), ['address.street']);
+});
+
+test('coverErrors accepts a partition and names each overlap and gap', () => {
+  const visible = ['name', 'address.city'];
+  assert.deepStrictEqual(merkle.coverErrors([...visible, ...merkle.complementPaths(paths, visible)], paths), []);
+
+  assert.deepStrictEqual(merkle.coverErrors(['name', 'address', 'address.city', 'taxRecords', 'tags'], paths), [
+    'Fields overlap: address and address.city'
+  ]);
+  assert.deepStrictEqual(merkle.coverErrors(['name', 'name', 'address', 'taxRecords.filings', 'tags', 'ssn'], paths), [
+    'Field listed more than once: name',
+    'Field not in record: ssn',
+    'Field neither visible nor hidden: taxRecords.annualIncome'
+  ]);
+});
+
+test('rollUp of visible leaves and hidden nodes rebuilds the root', () => {
+  const visible = ['name', 'address.city', 'taxRecords.filings[1].year'];
+  const frontier = [...visible, ...merkle.complementPaths(paths, visible)].map(path => committed.tree.get(path));
+  const tree = merkle.rollUp(frontier.map(({ path, commitment, digest }) => ({ path, commitment, digest })));
+
+  assert.strictEqual(tree.get('').hash, committed.fieldRoot);
+  assert.ok(tree.get('').commitment.eq(committed.recordCommitment));
+  assert.strictEqual(tree.get('taxRecords').hash, committed.tree.get('taxRecords').hash);
+});
+
+test('rollUp refuses overlapping, repeated and malformed paths', () => {
+  const node = path => committed.tree.get(path);
+  const full = ['name', 'address', 'taxRecords', 'tags'].map(node);
+
+  assert.throws(() => merkle.rollUp([...full, node('address.city')]), /Paths overlap below address/);
+  assert.throws(() => merkle.rollUp([...full, node('name')]), /Malformed or repeated path: name/);
+  assert.throws(() => merkle.rollUp([{ ...node('name'), path: 'name..x' }]), /Malformed or repeated path/);
+});
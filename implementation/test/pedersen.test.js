@@ -0,0 +1,80 @@
+/**
+ * Scalar field commitments and bound proofs (pedersen.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BN = require('bn.js');
+const pedersen = require('../pedersen');
+const { FIELD_DOMAIN } = require('../encoding');
+
+const LARGEST = 2 ** 48 - 1;
+
+/**
+ * Commit to x as field `income`, prove x `relation` bound and verify it
+ */
+function proveAndVerify(x, relation, bound) {
+  const r = pedersen.randomScalar();
+  const m = new BN(x);
+  const C = pedersen.mulBase('G', m).add(pedersen.mulBase('H', r)).add(pedersen.mulBase('J', pedersen.hashFieldName('income')));
+  const proof = pedersen.proveBound(C, 'income', m, r, relation, bound, 'test');
+  return pedersen.verifyBound(C, 'income', relation, bound, proof, 'test');
+}
+
+test('bound proofs cover distances past 32 bits', () => {
+  // { op: '<', value: 10000000000 } on a small income
+  assert.strictEqual(proveAndVerify(95000, '<=', 10000000000 - 1), true);
+  assert.strictEqual(proveAndVerify(10000000000, '>=', 0), true);
+});
+
+test('bound proofs cover the widest predicate distances', () => {
+  assert.strictEqual(proveAndVerify(LARGEST, '>=', -2), true);
+  assert.strictEqual(proveAndVerify(0, '<=', LARGEST + 2), true);
+});
+
+test('bound proofs refuse a statement that does not hold', () => {
+  assert.throws(() => proveAndVerify(95000, '>=', 95001), /does not fit/);
+});
+
+test('scalar fields commit to their schema type and record', () => {
+  const r = pedersen.randomScalar();
+  const commit = (value, type, recordId = 'citizen-001') => pedersen.commitField('count', value, r, {
+    recordId,
+    encoding: FIELD_DOMAIN,
+    types: type ? { count: type } : {}
+  });
+  const encoded = fc => pedersen.group.encode(fc.commitment);
+
+  const commitments = [
+    commit(5, 'integer'),
+    commit('5', null),
+    commit('1900-01-06', 'date'),
+    commit(5, 'integer', 'citizen-002'),
+    commit(5, null)
+  ].map(encoded);
+  assert.strictEqual(new Set(commitments).size, commitments.length);
+
+  // A digit string in a string field (nationalId) is hashed, not a scalar
+  const nationalId = commit('1234567890', null);
+  assert.strictEqual(nationalId.math.scalar, false);
+  assert.strictEqual(commit(1234567890, 'integer').math.m, new BN(1234567890).toString(16).padStart(64, '0'));
+});
+
+test('a scalar field value must fit its schema type', () => {
+  const context = { recordId: 'citizen-001', encoding: FIELD_DOMAIN, types: { age: 'integer', dateOfBirth: 'date' } };
+  for (const [field, value] of [['age', '34'], ['age', -1], ['age', 2 ** 48], ['dateOfBirth', 34], ['dateOfBirth', '1899-12-31']]) {
+    assert.throws(() => pedersen.commitField(field, value, null, context), { code: 'INVALID_VALUE' }, `${field} ${value}`);
+  }
+});
+
+test('bound proofs on a scalar field only verify for its record and type', () => {
+  const context = { recordId: 'citizen-001', encoding: FIELD_DOMAIN, types: { age: 'integer' } };
+  const fc = pedersen.commitField('age', 34, null, context);
+  const proof = pedersen.proveBound(fc.commitment, 'age', new BN(34), fc.randomness, '>=', 18, 'test', { context, type: 'integer' });
+  const verify = encoding => pedersen.verifyBound(fc.commitment, 'age', '>=', 18, proof, 'test', encoding);
+
+  assert.strictEqual(verify({ context, type: 'integer' }), true);
+  assert.strictEqual(verify({ context: { ...context, recordId: 'citizen-002' }, type: 'integer' }), false);
+  assert.strictEqual(verify({ context, type: 'date' }), false);
+  assert.strictEqual(verify(), false);
+});
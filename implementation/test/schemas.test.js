@@ -0,0 +1,37 @@
+/**
+ * Request schemas (schemas.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate } = require('../validation');
+const { REQUEST_SCHEMAS, MAX_EXPIRES_IN } = require('../schemas');
+
+test('createToken accepts expiresIn up to a year', () => {
+  assert.deepStrictEqual(validate(REQUEST_SCHEMAS.createToken.body, { policyId: 'id-renewal', expiresIn: MAX_EXPIRES_IN }), []);
+});
+
+test('createToken and subdelegate refuse expiresIn past a year', () => {
+  // 1e13 seconds would make the token's expiry an invalid Date at signing
+  for (const expiresIn of [MAX_EXPIRES_IN + 1, 1e13]) {
+    const created = validate(REQUEST_SCHEMAS.createToken.body, { policyId: 'id-renewal', expiresIn });
+    assert.strictEqual(created.length, 1);
+    assert.match(created[0].message, /expiresIn/);
+
+    const passedOn = validate(REQUEST_SCHEMAS.subdelegate.body, { visibleFields: ['name'], expiresIn });
+    assert.strictEqual(passedOn.length, 1);
+    assert.match(passedOn[0].message, /expiresIn/);
+  }
+});
+
+test('verify and verifyBatch refuse a partition without openings', () => {
+  // An empty C_F has no point to add to C_H
+  const partition = { visibleFields: [], recordCommitment: '02'.padEnd(66, '1'), hiddenCommitment: '02'.padEnd(66, '2') };
+
+  const single = validate(REQUEST_SCHEMAS.verify.body, partition);
+  assert.deepStrictEqual(single.map(p => p.message), ['visibleFields must have at least 1 item(s)']);
+
+  const batch = validate(REQUEST_SCHEMAS.verifyBatch.body, { partitions: [partition] });
+  assert.strictEqual(batch.length, 1);
+  assert.match(batch[0].message, /visibleFields must have at least 1 item/);
+});
@@ -0,0 +1,35 @@
+/**
+ * Token and revocation list checks (verifier.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkRevocation, decodeToken, verifyTokenSignature } = require('../verifier');
+
+const segment = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+const jwt = (header, payload) => `${segment(header)}.${segment(payload)}.${'A'.repeat(86)}`;
+
+const MALFORMED = [
+  jwt('{not json', { iss: 'vsdl-gov-portal' }),
+  jwt({ alg: 'ES256', typ: 'JWT' }, '{"iss":'),
+  jwt('null', { iss: 'vsdl-gov-portal' }),
+  jwt({ alg: 'ES256', typ: 'JWT' }, '[1,2]')
+];
+
+test('verifyTokenSignature reports malformed JSON segments instead of throwing', () => {
+  for (const token of MALFORMED) {
+    const result = verifyTokenSignature(token, { keys: [] }, { typ: ['JWT'], iss: 'vsdl-gov-portal' });
+    assert.strictEqual(result.valid, false);
+    assert.match(result.detail, /^Malformed token/);
+  }
+  assert.throws(() => decodeToken(MALFORMED[0]), /^Error: Malformed token/);
+});
+
+test('checkRevocation refuses a malformed revocation list without throwing', () => {
+  const token = jwt({ alg: 'ES256', typ: 'JWT' }, { jti: 'token-1' });
+  for (const revocationList of MALFORMED) {
+    const result = checkRevocation(token, revocationList, { keys: [] });
+    assert.strictEqual(result.valid, false);
+    assert.match(result.detail, /^Revocation list: Malformed token/);
+  }
+});
@@ -0,0 +1,245 @@
+/**
+ * VSDL - Request validation and typed errors
+ *
+ * Every route declares the shape of its input with a schema in the style of
+ * action payloads (actions.js), extended to nested values:
+ *
+ *   { field: { type, required, enum, pattern, maxLength, min, max,
+ *              minItems, maxItems, items, fields, code, description } }
+ *
+ *   type      'string' | 'number' | 'integer' | 'boolean' | 'null' |
+ *             'object' | 'array', or an array of these
+ *   items     rule for every element of an array
+ *   fields    schema of a nested object (unknown fields are rejected)
+ *   code      error code for problems with this field (default
+ *             INVALID_REQUEST)
+ *   description  documentation only (toJsonSchema, openapi.js)
+ *
+ * Input that fails is answered with 400 { success: false, error, code,
+ * details } before the route runs. Deserializers (pedersen.js) throw
+ * ValidationError too, so a bad point or scalar that gets past a schema
+ * is still a 400 with a code rather than a 500.
+ */
+
+/**
+ * Input the server cannot act on, with a machine-readable code
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [code] - e.g. INVALID_REQUEST, INVALID_POINT, INVALID_SCALAR
+   * @param {string[]} [details] - One message per problem
+   */
+  constructor(message, code = 'INVALID_REQUEST', details = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Type name of a JSON value as schemas spell it
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Check one value against a rule, appending { message, code } problems
+ */
+function checkValue(rule, value, name, problems) {
+  const fail = message => problems.push({ message, code: rule.code || 'INVALID_REQUEST' });
+  const types = [].concat(rule.type);
+  const actual = typeOf(value);
+
+  const typed = types.some(type => type === actual || (type === 'integer' && Number.isInteger(value)));
+  if (!typed) {
+    const list = types.length === 1 ? types[0] : `${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}`;
+    fail(`${name} must be ${/^[aeiou]/.test(list) ? 'an' : 'a'} ${list}`);
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fail(`${name} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (actual === 'string') {
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+      fail(`${name} has an invalid format`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      fail(`${name} must be at most ${rule.maxLength} characters`);
+    }
+  }
+
+  if (actual === 'number') {
+    if (!Number.isFinite(value)) {
+      fail(`${name} must be a finite number`);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      fail(`${name} must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      fail(`${name} must be at most ${rule.max}`);
+    }
+  }
+
+  if (actual === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      fail(`${name} must have at least ${rule.minItems} item(s)`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      fail(`${name} must have at most ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      value.forEach((item, i) => checkValue(rule.items, item, `${name}[${i}]`, problems));
+    }
+  }
+
+  if (actual === 'object' && rule.fields) {
+    checkFields(rule.fields, value, `${name}.`, problems);
+  }
+}
+
+/**
+ * Check the fields of an object against a schema
+ */
+function checkFields(schema, input, prefix, problems) {
+  for (const key of Object.keys(input)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      problems.push({ message: `Unexpected field: ${prefix}${key}`, code: 'INVALID_REQUEST' });
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    if (input[key] === undefined) {
+      if (rule.required) {
+        problems.push({ message: `Missing required field: ${prefix}${key}`, code: rule.code || 'INVALID_REQUEST' });
+      }
+      continue;
+    }
+    checkValue(rule, input[key], prefix + key, problems);
+  }
+}
+
+/**
+ * Validate an object against a schema
+ *
+ * @param {Object} schema - { field: rule }
+ * @param {*} input
+ * @returns {Object[]} Problems [{ message, code }] (empty if valid)
+ */
+function validate(schema, input) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ message: 'Expected a JSON object', code: 'INVALID_REQUEST' }];
+  }
+  const problems = [];
+  checkFields(schema, input, '', problems);
+  return problems;
+}
+
+/**
+ * Throw a ValidationError naming every problem, if there are any
+ *
+ * The error's code is that of the first problem.
+ */
+function assertValid(schema, input, what = 'request') {
+  const problems = validate(schema, input);
+  if (problems.length > 0) {
+    throw new ValidationError(`Invalid ${what}`, problems[0].code, problems.map(p => p.message));
+  }
+}
+
+/**
+ * Express middleware validating a request's params, query and body
+ *
+ * @param {Object} schemas - { params?, query?, body? }, each a schema
+ */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    try {
+      for (const part of ['params', 'query', 'body']) {
+        if (schemas[part]) {
+          assertValid(schemas[part], req[part] === undefined ? {} : req[part], part === 'body' ? 'request' : `request ${part}`);
+        }
+      }
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message, code: err.code, details: err.details });
+    }
+    next();
+  };
+}
+
+/**
+ * JSON Schema (2020-12) of one rule
+ */
+function ruleToJsonSchema(rule) {
+  const types = [].concat(rule.type);
+  const out = { type: types.length === 1 ? types[0] : types };
+
+  if (rule.description) {
+    out.description = rule.description;
+  }
+  if (rule.enum) {
+    out.enum = rule.enum;
+  }
+  if (rule.pattern) {
+    out.pattern = rule.pattern;
+  }
+  if (rule.maxLength !== undefined) {
+    out.maxLength = rule.maxLength;
+  }
+  if (rule.min !== undefined) {
+    out.minimum = rule.min;
+  }
+  if (rule.max !== undefined) {
+    out.maximum = rule.max;
+  }
+  if (rule.minItems !== undefined) {
+    out.minItems = rule.minItems;
+  }
+  if (rule.maxItems !== undefined) {
+    out.maxItems = rule.maxItems;
+  }
+  if (rule.items) {
+    out.items = ruleToJsonSchema(rule.items);
+  }
+  if (rule.fields) {
+    Object.assign(out, toJsonSchema(rule.fields));
+    out.type = types.length === 1 ? types[0] : types;
+  }
+  return out;
+}
+
+/**
+ * JSON Schema (2020-12) of an object schema, for documentation
+ *
+ * Accepts the same objects as validate(): unknown fields are not allowed.
+ *
+ * @param {Object} schema - { field: rule }
+ * @returns {Object} JSON Schema
+ */
+function toJsonSchema(schema) {
+  const required = Object.keys(schema).filter(key => schema[key].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(schema).map(([key, rule]) => [key, ruleToJsonSchema(rule)])),
+    ...(required.length > 0 ? { required } : {}),
+    additionalProperties: false
+  };
+}
+
+module.exports = {
+  ValidationError,
+  validate,
+  assertValid,
+  validateRequest,
+  toJsonSchema
+};
@@ -0,0 +1,861 @@
+/**
+ * VSDL Verifier - Standalone delegate-side verification (vsdl-verifier)
+ *
+ * Runs in Node (require('./verifier')) and in the browser (served as
+ * /vsdl-verifier.js, exposing `window.vsdlVerifier`). It never calls the
+ * server: every check is recomputed locally from the proof and the token.
+ *
+ * Checks performed (Algorithm 1):
+ * 0. If a JWKS is supplied, the token's ES256 signature verifies under the
+ *    key named by its kid header, and its typ and iss are those of a
+ *    delegation token (or a credential exported from one); if a
+ *    revocation list is supplied too, it is signed by the JWKS and does
+ *    not list the token's jti
+ * 1. The proof is a vsdl-proof/v1 envelope (or an older, unversioned
+ *    proof) and the token's signed `commitment` claim equals
+ *    proof.recordCommitment.
+ *    All points are decoded and checked in the group named by the `curve`
+ *    claim (secp256k1 when absent, see group.js), and field messages are
+ *    encoded as its `encoding` claim says (encoding.js)
+ * 2. The owner signed (jti, sub, C_D, policyHash) with the embedded key;
+ *    for a sub-delegated token these are the root token's, and the
+ *    `chain` claim must lead from that signature to this token with each
+ *    link narrower than its parent. A token with a `guardian` claim was
+ *    signed by the ward's guardian, under a domain naming the
+ *    guardianship (owner.signingDigest), and must expire by its end
+ * 3. The token has not expired
+ * 4. The field schema hashes to the signed policyHash, the openings cover
+ *    exactly its visible paths, and there is one hidden commitment per
+ *    hidden path. With a `fieldRoot` claim, the openings and hidden nodes
+ *    rebuild the owner-signed Merkle root (merkle.js); older tokens prove
+ *    each hidden commitment carries a hidden field name (sigma.js) instead.
+ *    Every predicate in the schema is answered by a range proof over one
+ *    of the hidden commitments (pedersen.proveBound)
+ * 5. Visible values match the openings, leaf by leaf below each visible path
+ * 6. C_F is recomputed from the openings: C_F = ∏ g^{m_i} · h^{r_i} · j^{n_i}
+ * 7. The hidden commitments multiply to C_H, and C_D = C_H · C_F
+ */
+
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const pedersen = require('./pedersen');
+const merkle = require('./merkle');
+const owner = require('./owner');
+const sigma = require('./sigma');
+const { fieldContext } = require('./encoding');
+
+const p256 = new EC('p256');
+
+// Version of the proof envelope served by /api/delegate (see schemas.js)
+const PROOF_VERSION = 'vsdl-proof/v1';
+
+// `iss` of everything the server signs, and the `typ` headers of the JWTs
+// that carry a delegation: tokens, and credentials exported from them
+const TOKEN_ISSUER = 'vsdl-gov-portal';
+const DELEGATION_TYPES = ['JWT', 'dc+sd-jwt', 'vc+sd-jwt'];
+const REVOCATION_LIST_TYPE = 'vsdl-rl+jwt';
+
+/**
+ * Decode a base64url string to bytes
+ */
+function base64UrlToBytes(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+
+  if (typeof Buffer !== 'undefined') {
+    return new Uint8Array(Buffer.from(padded, 'base64'));
+  }
+
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Decode a base64url string to UTF-8 text
+ */
+function base64UrlDecode(input) {
+  return new TextDecoder().decode(base64UrlToBytes(input));
+}
+
+/**
+ * Encode bytes as base64url (no padding)
+ */
+function bytesToBase64Url(bytes) {
+  const base64 = typeof Buffer !== 'undefined'
+    ? Buffer.from(bytes).toString('base64')
+    : btoa(String.fromCharCode(...bytes));
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Encoded form of a proof point: v1 proofs carry the encoding itself,
+ * older ones { x, y, compressed }
+ */
+function encodedPoint(point) {
+  return typeof point === 'string' ? point : point && point.compressed;
+}
+
+/**
+ * Bytes to lowercase hex
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Verify a compact JWT's ES256 signature against a JWKS
+ *
+ * The same keys sign tokens, credentials and revocation lists, so a caller
+ * names the `typ` headers it accepts and the `iss` it expects.
+ *
+ * @param {string} token - Compact JWT
+ * @param {Object} jwks - { keys: [JWK] } as served at /.well-known/jwks.json
+ * @param {Object} [expected] - { typ: accepted typ headers, iss }
+ * @returns {Object} { valid, detail }
+ */
+function verifyTokenSignature(token, jwks, expected = {}) {
+  const parts = String(token).split('.');
+  let header;
+  let payload;
+  try {
+    ({ header, payload } = decodeToken(token));
+  } catch (err) {
+    return { valid: false, detail: err.message };
+  }
+  if (header.alg !== 'ES256') {
+    return { valid: false, detail: 'Unsupported token algorithm ' + header.alg };
+  }
+  if (expected.typ && !expected.typ.includes(header.typ)) {
+    return { valid: false, detail: 'Unexpected token type ' + header.typ + ' (expected ' + expected.typ.join(' or ') + ')' };
+  }
+  if (expected.iss !== undefined && payload.iss !== expected.iss) {
+    return { valid: false, detail: 'Unexpected issuer ' + payload.iss + ' (expected ' + expected.iss + ')' };
+  }
+
+  const jwk = ((jwks && jwks.keys) || []).find(k => k.kid === header.kid);
+  if (!jwk || jwk.kty !== 'EC' || jwk.crv !== 'P-256') {
+    return { valid: false, detail: 'No P-256 key with kid ' + header.kid + ' in JWKS' };
+  }
+
+  const signature = base64UrlToBytes(parts[2]);
+  if (signature.length !== 64) {
+    return { valid: false, detail: 'ES256 signature must be 64 bytes' };
+  }
+
+  try {
+    const key = p256.keyFromPublic({
+      x: bytesToHex(base64UrlToBytes(jwk.x)),
+      y: bytesToHex(base64UrlToBytes(jwk.y))
+    });
+    const digest = crypto.createHash('sha256').update(parts[0] + '.' + parts[1]).digest('hex');
+    const valid = key.verify(digest, {
+      r: bytesToHex(signature.slice(0, 32)),
+      s: bytesToHex(signature.slice(32))
+    });
+    return { valid, detail: (valid ? 'Signed by ' : 'Bad signature for ') + 'key ' + header.kid };
+  } catch (err) {
+    return { valid: false, detail: err.message };
+  }
+}
+
+/**
+ * Decode (without verifying the signature) a compact JWT
+ *
+ * @param {string} token - Compact JWT
+ * @returns {Object} { header, payload }
+ * @throws {Error} 'Malformed token: ...' unless both segments are JSON objects
+ */
+function decodeToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token: expected 3 segments');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]));
+    payload = JSON.parse(base64UrlDecode(parts[1]));
+  } catch (err) {
+    throw new Error('Malformed token: ' + err.message);
+  }
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(header) || !isObject(payload)) {
+    throw new Error('Malformed token: header and payload must be JSON objects');
+  }
+  return { header, payload };
+}
+
+/**
+ * Check a token against a signed revocation list (GET /api/revocations)
+ *
+ * @param {string} token - Delegation JWT
+ * @param {string} revocationList - Revocation list JWT (typ vsdl-rl+jwt)
+ * @param {Object} jwks - Keys the revocation list must be signed with
+ * @param {string} [issuer] - Expected `iss` of the list
+ * @returns {Object} { valid, detail }
+ */
+function checkRevocation(token, revocationList, jwks, issuer = TOKEN_ISSUER) {
+  const signature = verifyTokenSignature(revocationList, jwks, { typ: [REVOCATION_LIST_TYPE], iss: issuer });
+  if (!signature.valid) {
+    return { valid: false, detail: 'Revocation list: ' + signature.detail };
+  }
+
+  const { header, payload } = decodeToken(revocationList);
+  if (header.typ !== REVOCATION_LIST_TYPE || !Array.isArray(payload.revoked)) {
+    return { valid: false, detail: 'Not a VSDL revocation list' };
+  }
+
+  let jti;
+  try {
+    jti = decodeToken(token).payload.jti;
+  } catch (err) {
+    return { valid: false, detail: err.message };
+  }
+  const issued = new Date(payload.iat * 1000).toISOString();
+  return payload.revoked.includes(jti)
+    ? { valid: false, detail: 'Token ' + jti + ' is revoked (list issued ' + issued + ')' }
+    : { valid: true, detail: 'Not revoked as of ' + issued };
+}
+
+/**
+ * Canonical form of a policy predicate: { field, op, value[, unit] }
+ *
+ *   { field: 'taxRecords.annualIncome', op: '<', value: 200000 }
+ *   { field: 'dateOfBirth', op: '<', value: '2000-01-01' }
+ *   { field: 'dateOfBirth', op: '>=', value: 18, unit: 'years' }   (age)
+ */
+function normalizePredicate({ field, op, value, unit }) {
+  return unit === undefined ? { field, op, value } : { field, op, value, unit };
+}
+
+/**
+ * Predicates sorted into a canonical order
+ */
+function canonicalPredicates(predicates) {
+  return predicates
+    .map(p => JSON.stringify(normalizePredicate(p)))
+    .sort()
+    .map(p => JSON.parse(p));
+}
+
+/**
+ * Human-readable form of a predicate, e.g. "age(dateOfBirth) >= 18"
+ */
+function describePredicate(predicate) {
+  const subject = predicate.unit === 'years' ? 'age(' + predicate.field + ')' : predicate.field;
+  return subject + ' ' + predicate.op + ' ' + predicate.value;
+}
+
+/**
+ * Scalar type of a predicate's field: age and date bounds are on dates,
+ * whole-number bounds on integers (policies.checkPredicates)
+ */
+function predicateType(predicate) {
+  return predicate.unit === 'years' || typeof predicate.value === 'string' ? 'date' : 'integer';
+}
+
+/**
+ * Resolve a predicate to a bound on the committed scalar (see
+ * pedersen.encodeScalar); age predicates are resolved against `asOf`
+ *
+ *   age >= N  <=>  born on or before asOf - N years
+ *
+ * @param {Object} predicate
+ * @param {string} [asOf] - YYYY-MM-DD, for unit 'years'
+ * @returns {Object} { relation: '>=' | '<=', bound }
+ */
+function predicateStatement(predicate, asOf) {
+  const { op, value, unit } = predicate;
+  const type = predicateType(predicate);
+  const scalar = v => {
+    const x = pedersen.encodeScalar(v, type);
+    if (x === null) {
+      throw new Error('Predicate value ' + v + ' is not a number or date');
+    }
+    return x.toNumber();
+  };
+
+  if (unit === 'years') {
+    const cutoff = years => {
+      const date = new Date(asOf + 'T00:00:00Z');
+      date.setUTCFullYear(date.getUTCFullYear() - years);
+      return scalar(date.toISOString().slice(0, 10));
+    };
+    switch (op) {
+      case '>=': return { relation: '<=', bound: cutoff(value) };
+      case '>': return { relation: '<=', bound: cutoff(value + 1) };
+      case '<': return { relation: '>=', bound: cutoff(value) + 1 };
+      case '<=': return { relation: '>=', bound: cutoff(value + 1) + 1 };
+    }
+  } else {
+    switch (op) {
+      case '>=': return { relation: '>=', bound: scalar(value) };
+      case '>': return { relation: '>=', bound: scalar(value) + 1 };
+      case '<=': return { relation: '<=', bound: scalar(value) };
+      case '<': return { relation: '<=', bound: scalar(value) - 1 };
+    }
+  }
+  throw new Error('Unknown predicate operator: ' + op);
+}
+
+/**
+ * The statement proven when a predicate does not hold
+ */
+function complementStatement({ relation, bound }) {
+  return relation === '>=' ? { relation: '<=', bound: bound - 1 } : { relation: '>=', bound: bound + 1 };
+}
+
+/**
+ * Policy hash over the field schema, as carried (truncated) in the token
+ *
+ * Predicates are only part of the hashed schema when there are any, so
+ * policies without them hash as before.
+ *
+ * @param {string[]} visibleFields
+ * @param {string[]} hiddenFields
+ * @param {Object[]} [predicates]
+ * @returns {string} SHA-256 (hex)
+ */
+function computePolicyHash(visibleFields, hiddenFields, predicates = []) {
+  const schema = {
+    visible: [...visibleFields].sort(),
+    hidden: [...hiddenFields].sort()
+  };
+  if (predicates.length > 0) {
+    schema.predicates = canonicalPredicates(predicates);
+  }
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(schema))
+    .digest('hex');
+}
+
+/**
+ * Hash of one link in a sub-delegation chain
+ *
+ *   link_0 = SHA-256( ["VSDL-CHAIN-V1", ownerSig,  C_D, jti, policyHash, actions, delegator] )
+ *   link_i = SHA-256( ["VSDL-CHAIN-V1", link_{i-1}, C_D, jti, policyHash, actions, delegator] )
+ *
+ * delegator is the key thumbprint of the parent delegate for bound
+ * tokens, or null.
+ */
+function chainLinkHash(previous, commitment, { jti, policyHash, actions, delegator }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(['VSDL-CHAIN-V1', previous, commitment, jti, policyHash, [...actions].sort(), delegator]))
+    .digest('hex');
+}
+
+/**
+ * Check a sub-delegated token's `chain` claim (root link first)
+ *
+ * @param {Object} payload - Token claims with chain, ownerSig, commitment
+ * @returns {Object} { valid, detail }
+ */
+function verifyDelegationChain(payload) {
+  const chain = payload.chain;
+  const invalid = detail => ({ valid: false, detail });
+  const subset = (a, b) => a.every(x => b.includes(x));
+
+  if (!Array.isArray(chain) || chain.length < 2) {
+    return invalid('Chain must list the root token and at least one sub-delegation');
+  }
+  if (typeof payload.maxDepth === 'number' && chain.length - 1 > payload.maxDepth) {
+    return invalid('Chain is ' + (chain.length - 1) + ' deep, more than maxDepth ' + payload.maxDepth);
+  }
+
+  let previous = payload.ownerSig;
+  for (let i = 0; i < chain.length; i++) {
+    const link = chain[i];
+    if (!link || !Array.isArray(link.visible) || !Array.isArray(link.hidden) || !Array.isArray(link.actions)) {
+      return invalid('Link ' + i + ' is malformed');
+    }
+    const predicates = link.predicates || [];
+    if (!Array.isArray(predicates) ||
+        computePolicyHash(link.visible, link.hidden, predicates).slice(0, 32) !== link.policyHash) {
+      return invalid('Link ' + i + ' field schema does not hash to its policyHash');
+    }
+
+    if (i > 0) {
+      const parent = chain[i - 1];
+      const fields = [...link.visible, ...link.hidden];
+      const parentFields = [...parent.visible, ...parent.hidden];
+      if (!fields.every(path => parentFields.some(p => merkle.isWithin(path, p))) ||
+          !parentFields.every(p => fields.some(path => merkle.isWithin(path, p)))) {
+        return invalid('Link ' + i + ' covers different fields than its parent');
+      }
+      const keys = list => (list || []).map(p => JSON.stringify(normalizePredicate(p)));
+      if (!link.visible.every(path => parent.visible.some(p => merkle.isWithin(path, p))) ||
+          !subset(link.actions, parent.actions) || !subset(keys(predicates), keys(parent.predicates))) {
+        return invalid('Link ' + i + ' grants more than its parent');
+      }
+      if ([...link.visible].sort().join() === [...parent.visible].sort().join() &&
+          link.actions.length === parent.actions.length &&
+          predicates.length === (parent.predicates || []).length) {
+        return invalid('Link ' + i + ' is not narrower than its parent');
+      }
+    }
+
+    if (chainLinkHash(previous, payload.commitment, link) !== link.link) {
+      return invalid('Link ' + i + ' does not chain from ' + (i === 0 ? 'the owner signature' : 'link ' + (i - 1)));
+    }
+    previous = link.link;
+  }
+
+  const last = chain[chain.length - 1];
+  if (last.jti !== payload.jti || last.policyHash !== payload.policyHash ||
+      [...last.actions].sort().join() !== [...(payload.actions || [])].sort().join()) {
+    return invalid('Last link does not describe this token');
+  }
+
+  return {
+    valid: true,
+    detail: (chain.length - 1) + ' sub-delegation(s), each narrower than its parent, chained to the owner-signed C_D'
+  };
+}
+
+/**
+ * Extract the token from a delegation URL (or return it unchanged)
+ */
+function tokenFromUrl(url) {
+  const match = String(url).match(/\/api\/delegate\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[1]) : url;
+}
+
+/**
+ * Turn an exported credential (GET /api/delegate/:token?format=sd-jwt|vp)
+ * back into a delegate response
+ *
+ * Checks each disclosure against the signed `_sd` digests and puts the
+ * disclosed values back into the openings of the `vsdl` proof extension.
+ * The issuer JWT carries the delegation claims, so it takes the place of
+ * the token:
+ *
+ *   const view = readCredential(credential);
+ *   verifyDelegation(view.proof, view.token, view.filteredRecord, { jwks, ownerPublicKey });
+ *
+ * @param {string|Object} credential - SD-JWT, or a presentation enveloping one
+ * @returns {Object} { token, claims, filteredRecord, proof, policy }
+ */
+function readCredential(credential) {
+  let sdJwt = credential;
+  if (credential !== null && typeof credential === 'object') {
+    const prefix = 'data:application/vc+sd-jwt,';
+    const enveloped = [].concat(credential.verifiableCredential || [])
+      .find(vc => vc && typeof vc.id === 'string' && vc.id.startsWith(prefix));
+    if (!enveloped) {
+      throw new Error('Presentation holds no application/vc+sd-jwt credential');
+    }
+    sdJwt = enveloped.id.slice(prefix.length);
+  }
+
+  const [token, ...rest] = String(sdJwt).split('~');
+  if (rest.length === 0 || rest[rest.length - 1] !== '') {
+    throw new Error('Malformed SD-JWT (key binding JWTs are not supported)');
+  }
+
+  const { header, payload } = decodeToken(token);
+  if (header.typ !== 'dc+sd-jwt' && header.typ !== 'vc+sd-jwt') {
+    throw new Error('Not an SD-JWT credential (typ ' + header.typ + ')');
+  }
+  if (payload._sd_alg !== 'sha-256' || !payload.vsdl) {
+    throw new Error('Credential has no sha-256 digests or no vsdl proof extension');
+  }
+
+  const digests = (payload.credentialSubject || payload)._sd || [];
+  const filteredRecord = {};
+  for (const disclosure of rest.slice(0, -1)) {
+    const digest = bytesToBase64Url(crypto.createHash('sha256').update(disclosure).digest());
+    if (!digests.includes(digest)) {
+      throw new Error('Disclosure ' + digest + ' is not in the credential');
+    }
+    const [, name, value] = JSON.parse(base64UrlDecode(disclosure));
+    if (Object.prototype.hasOwnProperty.call(filteredRecord, name)) {
+      throw new Error('Field ' + name + ' is disclosed twice');
+    }
+    filteredRecord[name] = value;
+  }
+
+  // Leaf values below each disclosed path, for the openings
+  const values = new Map();
+  for (const [path, value] of Object.entries(filteredRecord)) {
+    for (const leaf of merkle.flattenRecord(value, path)) {
+      values.set(leaf.path, leaf.value);
+    }
+  }
+  const withheld = payload.vsdl.visibleFields.filter(o => !values.has(o.fieldName)).map(o => o.fieldName);
+  if (withheld.length > 0) {
+    throw new Error('The partition proof needs every disclosure; missing ' + withheld.join(', '));
+  }
+
+  const { policy, ...proof } = payload.vsdl;
+  proof.visibleFields = proof.visibleFields.map(o => ({ ...o, value: values.get(o.fieldName) }));
+
+  return { token, claims: payload, filteredRecord, proof, policy };
+}
+
+/**
+ * Verify a delegate response locally
+ *
+ * @param {Object} proof - `proof` object returned by /api/delegate/:token
+ * @param {string} token - The delegation JWT
+ * @param {Object} [filteredRecord] - Filtered record shown to the delegate
+ * @param {Object} [options] - { now: epoch ms, ownerPublicKey: expected owner key (hex,
+ *                              required for a valid result),
+ *                              jwks: token signing keys from /.well-known/jwks.json,
+ *                              issuer: expected `iss` (default vsdl-gov-portal),
+ *                              revocationList: JWT from /api/revocations (needs jwks) }
+ * @returns {Object} { valid, checks, predicates, recomputedVisible, verification }
+ */
+function verifyDelegation(proof, token, filteredRecord = null, options = {}) {
+  const checks = [];
+  const check = (name, passed, detail) => {
+    checks.push({ name, passed, detail });
+    return passed;
+  };
+  const fail = () => ({ valid: false, checks, predicates: [], recomputedVisible: null, verification: null });
+
+  let payload;
+  try {
+    payload = decodeToken(token).payload;
+  } catch (err) {
+    check('token', false, err.message);
+    return fail();
+  }
+
+  // 0. Token signature (ES256, key from JWKS)
+  if (options.jwks) {
+    const issuer = options.issuer || TOKEN_ISSUER;
+    const signature = verifyTokenSignature(token, options.jwks, { typ: DELEGATION_TYPES, iss: issuer });
+    if (!check('tokenSignature', signature.valid, signature.detail)) {
+      return fail();
+    }
+
+    if (options.revocationList) {
+      const revocation = checkRevocation(token, options.revocationList, options.jwks, issuer);
+      if (!check('revocation', revocation.valid, revocation.detail)) {
+        return fail();
+      }
+    }
+  }
+
+  // 1. Proof format, then the token commitment claim must match the
+  // proof's C_D, on the token's curve
+  if (!check(
+    'version',
+    proof.version === undefined || proof.version === PROOF_VERSION,
+    proof.version === undefined ? 'Unversioned proof (before ' + PROOF_VERSION + ')' : 'Proof format ' + proof.version
+  )) {
+    return fail();
+  }
+
+  const curveName = payload.curve === undefined ? pedersen.DEFAULT_CURVE : payload.curve;
+  if (!check(
+    'curve',
+    pedersen.CURVES.includes(curveName),
+    pedersen.CURVES.includes(curveName) ? 'Commitments are on ' + curveName : 'Unsupported curve ' + curveName
+  )) {
+    return fail();
+  }
+  const curve = pedersen.forCurve(curveName);
+
+  let context = null;
+  try {
+    context = fieldContext(payload);
+  } catch (err) {
+    check('encoding', false, err.message);
+    return fail();
+  }
+  check('encoding', true, context === null
+    ? 'Field messages use the legacy fieldName||value encoding'
+    : 'Field messages use ' + payload.encoding + ' bound to record ' + context.recordId);
+
+  const claimed = payload.commitment;
+  const proofCommitment = encodedPoint(proof.recordCommitment);
+  if (!check(
+    'commitmentClaim',
+    typeof claimed === 'string' && claimed === proofCommitment,
+    'JWT commitment claim ' + (claimed === proofCommitment ? 'matches' : 'does not match') + ' proof.recordCommitment'
+  )) {
+    return fail();
+  }
+
+  // 2. Owner signature over the commitment and policy hash (of the root
+  // token, for a sub-delegated one)
+  const root = Array.isArray(payload.chain) && payload.chain.length > 0 ? payload.chain[0] : payload;
+  const guardian = payload.guardian;
+  const wellFormed = !!guardian && typeof guardian === 'object' && typeof guardian.id === 'string';
+  if (guardian !== undefined && !check(
+    'guardian',
+    wellFormed,
+    wellFormed ? 'Issued by a guardian on the owner\'s behalf' : 'Malformed guardian claim'
+  )) {
+    return fail();
+  }
+  const signed = owner.verifyOwnerSignature(
+    payload.ownerKey,
+    {
+      jti: root.jti,
+      sub: payload.sub,
+      commitment: payload.commitment,
+      policyHash: root.policyHash,
+      fieldRoot: payload.fieldRoot,
+      curve: payload.curve,
+      guardian
+    },
+    payload.ownerSig
+  );
+  let signedBy = 'Signed by owner key ' + payload.ownerKey;
+  if (guardian !== undefined) {
+    signedBy = 'Signed by guardian key ' + payload.ownerKey + ' under guardianship ' + guardian.id +
+      ' (' + guardian.legalBasis + ')';
+  }
+  if (!check(
+    'ownerSignature',
+    signed,
+    signed ? signedBy : 'Missing or invalid owner signature'
+  )) {
+    return fail();
+  }
+
+  if (guardian !== undefined) {
+    const within = typeof guardian.validUntil === 'number' && payload.exp !== undefined && payload.exp <= guardian.validUntil;
+    if (!check(
+      'guardianship',
+      within,
+      within
+        ? 'Expires within the guardianship (until ' + new Date(guardian.validUntil * 1000).toISOString() + ')'
+        : 'Token outlives the guardianship it was issued under'
+    )) {
+      return fail();
+    }
+  }
+
+  if (payload.chain !== undefined) {
+    const chain = verifyDelegationChain(payload);
+    if (!check('delegationChain', chain.valid, chain.detail)) {
+      return fail();
+    }
+  }
+
+  // The signature only proves the token came from the key it carries;
+  // without a key obtained out of band the owner is unverified
+  if (!options.ownerPublicKey) {
+    check('ownerKey', false, 'Owner key not pinned; embedded key ' + payload.ownerKey + ' is unverified');
+  } else {
+    check(
+      'ownerKey',
+      options.ownerPublicKey === payload.ownerKey,
+      options.ownerPublicKey === payload.ownerKey ? 'Owner key matches the expected key' : 'Token is signed by an unexpected owner key'
+    );
+  }
+
+  // 3. Expiry
+  const now = Math.floor((options.now || Date.now()) / 1000);
+  check(
+    'expiry',
+    payload.exp === undefined || payload.exp > now,
+    payload.exp === undefined ? 'Token has no exp claim' : 'Expires at ' + new Date(payload.exp * 1000).toISOString()
+  );
+
+  // 4. Field schema and hidden field membership
+  const schema = proof.fieldSchema;
+  const declared = schema && schema.predicates !== undefined ? schema.predicates : [];
+  if (!check(
+    'fieldSchema',
+    !!schema && Array.isArray(schema.visible) && Array.isArray(schema.hidden) && Array.isArray(declared) &&
+      computePolicyHash(schema.visible, schema.hidden, declared).slice(0, 32) === payload.policyHash,
+    'Field schema ' + (schema ? 'hashes' : 'is missing, cannot hash') + ' to the signed policyHash'
+  )) {
+    return fail();
+  }
+
+  // Every opening lies within a visible path, and every visible path is opened
+  const openedNames = proof.visibleFields.map(f => f.fieldName);
+  const coveredPaths = schema.visible.filter(path => openedNames.some(name => merkle.isWithin(name, path)));
+  check(
+    'visibleFields',
+    new Set(openedNames).size === openedNames.length && coveredPaths.length === schema.visible.length &&
+      openedNames.every(name => schema.visible.some(path => merkle.isWithin(name, path))),
+    'Openings cover ' + coveredPaths.length + ' of ' + schema.visible.length + ' declared visible fields'
+  );
+
+  const hidden = proof.hiddenCommitments || [];
+  const hiddenSchema = [...schema.hidden].sort();
+  check(
+    'hiddenFieldCount',
+    hidden.length === hiddenSchema.length,
+    hidden.length + ' hidden commitments for ' + hiddenSchema.length + ' declared hidden fields'
+  );
+
+  let hiddenPoints;
+  try {
+    hiddenPoints = hidden.map(h => curve.deserializePoint(h.commitment));
+  } catch (err) {
+    check('decode', false, err.message);
+    return fail();
+  }
+
+  if (payload.fieldRoot !== undefined) {
+    // Visible leaves and hidden nodes must rebuild the signed field tree
+    let root = null;
+    let problem = null;
+    try {
+      root = merkle.rollUp([
+        ...proof.visibleFields.map(f => ({
+          path: f.fieldName,
+          commitment: curve.recomputeCommitment([f], context).commitment,
+          digest: null
+        })),
+        ...hidden.map((h, i) => ({ path: h.path, commitment: hiddenPoints[i], digest: h.digest === undefined ? null : h.digest }))
+      ]).get('');
+    } catch (err) {
+      problem = err.message;
+    }
+    const named = hidden.map(h => h.path).sort().join() === hiddenSchema.join();
+    const rebuilt = root !== null && root.hash === payload.fieldRoot && curve.group.encode(root.commitment) === claimed;
+    check(
+      'fieldTree',
+      named && rebuilt,
+      !named
+        ? 'Hidden commitments do not name the declared hidden paths'
+        : rebuilt
+          ? 'Openings and ' + hidden.length + ' hidden node(s) rebuild the signed field tree root'
+          : 'Field tree does not rebuild to the signed root' + (problem ? ': ' + problem : '')
+    );
+  } else {
+    // Tokens without a field tree are secp256k1 only (sigma.js)
+    const memberships = hidden.filter((h, i) =>
+      sigma.verifyMembership(hiddenPoints[i], hiddenSchema, h.membershipProof, `${payload.jti}|${i}`)
+    ).length;
+    check(
+      'hiddenMembership',
+      hidden.length > 0 && memberships === hidden.length,
+      memberships + ' of ' + hidden.length + ' hidden commitments proven to carry a declared hidden field name'
+    );
+  }
+
+  // Predicates: each answered by a range proof over a hidden commitment
+  const predicateResults = [];
+  if (declared.length > 0 || (proof.predicates && proof.predicates.length > 0)) {
+    const answers = proof.predicates || [];
+    const today = Math.floor((options.now || Date.now()) / 86400000);
+
+    declared.forEach((predicate, i) => {
+      const answer = answers[i] || {};
+      const result = { predicate, description: describePredicate(predicate), holds: answer.holds, verified: false };
+      predicateResults.push(result);
+
+      if (JSON.stringify(normalizePredicate(answer.predicate || {})) !== JSON.stringify(normalizePredicate(predicate)) ||
+          typeof answer.holds !== 'boolean') {
+        return;
+      }
+      if (predicate.unit === 'years') {
+        const asOf = Date.parse(answer.asOf + 'T00:00:00Z') / 86400000;
+        if (!(Math.abs(asOf - today) <= 1)) {
+          return;
+        }
+      }
+
+      let statement;
+      try {
+        statement = predicateStatement(predicate, answer.asOf);
+      } catch (err) {
+        return;
+      }
+      if (!answer.holds) {
+        statement = complementStatement(statement);
+      }
+
+      const position = hidden.findIndex(h => h.commitment === answer.commitment);
+      result.verified = position !== -1 &&
+        answer.relation === statement.relation && answer.bound === statement.bound &&
+        curve.verifyBound(
+          hiddenPoints[position],
+          predicate.field,
+          statement.relation,
+          statement.bound,
+          answer.rangeProof,
+          `${payload.jti}|predicate|${i}`,
+          { context, type: predicateType(predicate) }
+        );
+    });
+
+    const proven = predicateResults.filter(r => r.verified).length;
+    check(
+      'predicates',
+      answers.length === declared.length && proven === declared.length,
+      proven + ' of ' + declared.length + ' predicates proven: ' +
+        predicateResults.map(r => r.description + (typeof r.holds === 'boolean' ? ' is ' + r.holds : ' unanswered') + (r.verified ? ' ✓' : ' ✗')).join(', ')
+    );
+  }
+
+  // 5. Displayed values must be exactly the opened values (types included
+  // when the encoding commits to them)
+  if (filteredRecord) {
+    const opened = Object.fromEntries(proof.visibleFields.map(f => [f.fieldName, f.value]));
+    const shown = Object.entries(filteredRecord).flatMap(([path, value]) => merkle.flattenRecord(value, path));
+    const same = context === null ? (a, b) => String(a) === String(b) : (a, b) => a === b;
+    const consistent = shown.length === proof.visibleFields.length &&
+      shown.every(({ path, value }) => Object.prototype.hasOwnProperty.call(opened, path) && same(opened[path], value));
+    check('filteredRecord', consistent, consistent
+      ? 'Displayed values match the commitment openings'
+      : 'Displayed values differ from the commitment openings');
+  }
+
+  // 6. Recompute C_F from openings
+  let recomputed;
+  let C_D;
+  let C_H;
+  try {
+    recomputed = curve.recomputeCommitment(proof.visibleFields, context);
+    C_D = curve.deserializePoint(claimed);
+    C_H = curve.deserializePoint(encodedPoint(proof.hiddenCommitment));
+  } catch (err) {
+    check('decode', false, err.message);
+    return fail();
+  }
+
+  // 7. Hidden vector must multiply to C_H; partition against the SIGNED C_D
+  const aggregate = hiddenPoints.reduce((acc, point) => (acc === null ? point : acc.add(point)), null);
+  const aggregated = aggregate !== null && curve.group.eq(aggregate, C_H);
+  check(
+    'hiddenAggregate',
+    aggregated,
+    'Per-field hidden commitments ' + (aggregated ? 'multiply' : 'do not multiply') + ' to C_H'
+  );
+
+  const verification = curve.verifyPartition(C_D, C_H, recomputed.commitment);
+  check('partition', verification.valid, verification.math.result);
+
+  return {
+    valid: checks.every(c => c.passed),
+    checks,
+    claims: payload,
+    predicates: predicateResults,
+    recomputedVisible: curve.serializePoint(recomputed.commitment),
+    recomputationDetails: recomputed.details,
+    verification: verification.math
+  };
+}
+
+module.exports = {
+  PROOF_VERSION,
+  chainLinkHash,
+  checkRevocation,
+  complementStatement,
+  computePolicyHash,
+  decodeToken,
+  describePredicate,
+  normalizePredicate,
+  predicateStatement,
+  predicateType,
+  readCredential,
+  tokenFromUrl,
+  verifyDelegation,
+  verifyDelegationChain,
+  verifyTokenSignature
+};